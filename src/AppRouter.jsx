@@ -1,25 +1,36 @@
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useSearchParams } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import ProtectedRoute from './routes/ProtectedRoute';
 import MainLayout from './layouts/MainLayout';
 import Landing from './pages/Landing';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import Participants from './pages/Participants';
 import ParticipantDetail from './pages/ParticipantDetail';
 import ParticipantEdit from './pages/ParticipantEdit';
+import ParticipantMerge from './pages/ParticipantMerge';
+import ParticipantPrint from './pages/ParticipantPrint';
 import Programs from './pages/Programs';
 import ProgramsDetail from './pages/ProgramsDetail';
 import ProgramsEdit from './pages/ProgramsEdit';
+import ProgramSessions from './pages/ProgramSessions';
 import Staff from './pages/Staff';
 import ImportPage from './pages/Import';
 import ExportPage from './pages/Export';
+import Account from './pages/Account';
+import NotesFeed from './pages/NotesFeed';
+import { getSafeRedirect } from './utils/session';
+import { PERMISSIONS } from './utils/permissions';
 
 // Redirect authenticated users away from landing/login/register
+// (back to ?redirect= when they signed in again after their session expired)
 function PublicRoute({ children }) {
   const { isAuthenticated } = useAuth();
-  return isAuthenticated ? <Navigate to="/dashboard" replace /> : children;
+  const [searchParams] = useSearchParams();
+  return isAuthenticated ? <Navigate to={getSafeRedirect(searchParams.get('redirect'))} replace /> : children;
 }
 
 // Root route - redirect to landing or dashboard based on auth
@@ -51,28 +62,49 @@ export default function AppRouter() {
               </PublicRoute>
             } 
           />
+          <Route path="/forgot-password" element={<PublicRoute><ForgotPassword /></PublicRoute>} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route path="/dashboard" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
             <Route index element={<Dashboard />} />
           </Route>
           <Route path="/participants" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
             <Route index element={<Participants />} />
             <Route path=":id" element={<ParticipantDetail />} />
-            <Route path=":id/edit" element={<ParticipantEdit />} />
+            <Route
+              path=":id/edit"
+              element={<ProtectedRoute permission={PERMISSIONS.PARTICIPANTS_EDIT} redirectTo="/participants"><ParticipantEdit /></ProtectedRoute>}
+            />
+            <Route
+              path=":id/merge"
+              element={<ProtectedRoute permission={PERMISSIONS.PARTICIPANTS_MERGE} redirectTo="/participants"><ParticipantMerge /></ProtectedRoute>}
+            />
           </Route>
+          {/* Print layout without the app navigation */}
+          <Route path="/participants/:id/print" element={<ProtectedRoute><ParticipantPrint /></ProtectedRoute>} />
           <Route path="/programs" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
             <Route index element={<Programs />} />
             <Route path=":name" element={<ProgramsDetail />} />
-            <Route path=":name/edit" element={<ProgramsEdit />} />
+            <Route
+              path=":name/edit"
+              element={<ProtectedRoute permission={PERMISSIONS.PROGRAMS_EDIT} redirectTo="/programs"><ProgramsEdit /></ProtectedRoute>}
+            />
+            <Route path=":name/sessions" element={<ProgramSessions />} />
+          </Route>
+          <Route path="/notes" element={<ProtectedRoute permission={PERMISSIONS.NOTES_VIEW}><MainLayout /></ProtectedRoute>}>
+            <Route index element={<NotesFeed />} />
           </Route>
           <Route path="/staff" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
             <Route index element={<Staff />} />
           </Route>
-          <Route path="/import" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
+          <Route path="/import" element={<ProtectedRoute permission={PERMISSIONS.IMPORT_RUN}><MainLayout /></ProtectedRoute>}>
             <Route index element={<ImportPage />} />
           </Route>
-          <Route path="/export" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
+          <Route path="/export" element={<ProtectedRoute permission={PERMISSIONS.EXPORT_RUN}><MainLayout /></ProtectedRoute>}>
             <Route index element={<ExportPage />} />
           </Route>
+          <Route path="/account" element={<ProtectedRoute><MainLayout /></ProtectedRoute>}>
+            <Route index element={<Account />} />
+          </Route>
         </Routes>
       </BrowserRouter>
     </AuthProvider>
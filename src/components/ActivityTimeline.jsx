@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { fetchParticipantHistory } from '../services/api';
+import { TIMELINE_EVENT_TYPES, buildTimeline, filterTimeline } from '../utils/timeline';
+
+const PAGE_SIZE = 50;
+const ALL_TYPES = Object.keys(TIMELINE_EVENT_TYPES);
+
+const inputStyle = {
+  padding: '6px 10px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const monthLabel = (date) => date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+// A participant's whole journey in one list: program changes, notes, photos, attendance
+// and profile edits, newest first and grouped by month. Record history is loaded here;
+// notes, photos and attendance come from the page.
+export default function ActivityTimeline({ participant, attendance }) {
+  const { user } = useAuth();
+  const [history, setHistory] = useState([]);
+  const [historyError, setHistoryError] = useState('');
+  const [types, setTypes] = useState(ALL_TYPES);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setHistoryError('');
+        const response = await fetchParticipantHistory(participant.id);
+        setHistory(response.data?.events || response.data || []);
+      } catch (err) {
+        // the rest of the timeline is still useful without the record history
+        setHistoryError('Program enrollments and profile edits could not be loaded.');
+      }
+    };
+    loadHistory();
+  }, [participant]);
+
+  const events = useMemo(
+    () => buildTimeline({ participant, attendance, history, user }),
+    [participant, attendance, history, user]
+  );
+  const filtered = useMemo(() => filterTimeline(events, { types, from, to }), [events, types, from, to]);
+  const shown = filtered.slice(0, visibleCount);
+  const filtersActive = types.length !== ALL_TYPES.length || from || to;
+
+  const toggleType = (type) => {
+    setTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const clearFilters = () => {
+    setTypes(ALL_TYPES);
+    setFrom('');
+    setTo('');
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+        {ALL_TYPES.map(type => {
+          const { label, icon, color } = TIMELINE_EVENT_TYPES[type];
+          const active = types.includes(type);
+          const count = events.filter(event => event.type === type).length;
+          return (
+            <button
+              key={type}
+              onClick={() => toggleType(type)}
+              aria-pressed={active}
+              style={{
+                background: active ? color : 'transparent',
+                color: active ? 'white' : color,
+                border: `1px solid ${color}`,
+                padding: '4px 12px',
+                borderRadius: '15px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              {icon} {label} ({count})
+            </button>
+          );
+        })}
+      </div>
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '20px' }}>
+        <label style={{ fontSize: '13px', color: '#666' }}>
+          From{' '}
+          <input type="date" value={from} onChange={(e) => { setFrom(e.target.value); setVisibleCount(PAGE_SIZE); }} style={inputStyle} />
+        </label>
+        <label style={{ fontSize: '13px', color: '#666' }}>
+          To{' '}
+          <input type="date" value={to} onChange={(e) => { setTo(e.target.value); setVisibleCount(PAGE_SIZE); }} style={inputStyle} />
+        </label>
+        {filtersActive && (
+          <button
+            onClick={clearFilters}
+            style={{
+              background: 'transparent',
+              color: '#666',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '13px',
+              textDecoration: 'underline'
+            }}
+          >
+            Clear filters
+          </button>
+        )}
+        <span style={{ fontSize: '12px', color: '#666', marginLeft: 'auto' }}>
+          {filtered.length} event{filtered.length !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      {historyError && (
+        <p style={{ fontSize: '12px', color: '#856404', margin: '0 0 15px 0' }}>⚠️ {historyError}</p>
+      )}
+
+      {shown.length === 0 ? (
+        <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+          {events.length === 0 ? 'No activity recorded yet' : 'No activity matches these filters'}
+        </div>
+      ) : (
+        <div>
+          {shown.map((event, index) => {
+            const eventType = TIMELINE_EVENT_TYPES[event.type];
+            const month = monthLabel(event.date);
+            const newMonth = index === 0 || monthLabel(shown[index - 1].date) !== month;
+            return (
+              <React.Fragment key={event.id}>
+                {newMonth && (
+                  <div style={{ fontWeight: '600', color: '#333', fontSize: '14px', margin: index === 0 ? '0 0 10px 0' : '20px 0 10px 0' }}>
+                    {month}
+                  </div>
+                )}
+                <div style={{ display: 'flex', gap: '12px', borderLeft: `3px solid ${eventType.color}`, padding: '6px 0 6px 12px', marginLeft: '6px' }}>
+                  <div style={{ fontSize: '12px', color: '#666', minWidth: '80px' }}>
+                    {event.date.toLocaleDateString()}
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div style={{ color: '#333', fontSize: '14px' }}>
+                      <span style={{ marginRight: '6px' }}>{eventType.icon}</span>
+                      {event.title}
+                      {event.actor && <span style={{ color: '#666', fontSize: '12px' }}> • {event.actor}</span>}
+                    </div>
+                    {event.detail && (
+                      <div style={{ color: '#666', fontSize: '13px', marginTop: '2px', whiteSpace: 'pre-wrap' }}>
+                        {event.detail}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </React.Fragment>
+            );
+          })}
+          {filtered.length > shown.length && (
+            <button
+              onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+              style={{
+                marginTop: '15px',
+                background: 'transparent',
+                color: '#667eea',
+                border: '1px solid #667eea',
+                padding: '8px 16px',
+                borderRadius: '5px',
+                cursor: 'pointer'
+              }}
+            >
+              Show older activity ({filtered.length - shown.length} more)
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+import usePermission from '../hooks/usePermission';
+
+// Render children only when the signed-in user holds `permission`
+// (or any of a list), otherwise render `fallback`
+export default function Can({ permission, fallback = null, children }) {
+  const allowed = usePermission(permission);
+  return allowed ? children : fallback;
+}
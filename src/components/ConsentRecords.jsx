@@ -0,0 +1,274 @@
+import React, { useState } from 'react';
+import usePermission from '../hooks/usePermission';
+import { uploadDocument, addParticipantConsent, deleteParticipantConsent } from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+import { CONSENT_TYPES, CONSENT_STATUSES, getConsentRecords, getConsentStatus } from '../utils/consent';
+import { formatNoteDate } from '../utils/notes';
+import { validateDocumentFile } from '../utils/documents';
+
+const EMPTY_FORM = { type: 'photoRelease', signedDate: '', expiryDate: '', signedBy: '' };
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' };
+
+const buttonStyle = (background, disabled = false) => ({
+  background,
+  color: 'white',
+  border: 'none',
+  padding: '6px 12px',
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '12px'
+});
+
+const DocumentLink = ({ record }) => (record.document?.url ? (
+  <a href={record.document.url} target="_blank" rel="noopener noreferrer" style={{ color: '#667eea' }}>
+    📄 {record.document.name || 'Signed form'}
+  </a>
+) : (
+  <span style={{ color: '#dc3545' }}>No scanned form attached</span>
+));
+
+// Current photo release, UMD data sharing and program participation consents for a
+// participant, with earlier records and a form to record a newly signed consent.
+export default function ConsentRecords({ participant, onChanged, onSuccess, onError }) {
+  const canManage = usePermission(PERMISSIONS.PARTICIPANTS_EDIT);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState({});
+  const today = new Date().toISOString().split('T')[0];
+  const guardianNames = (participant.contacts || []).map(contact => contact.name).filter(Boolean);
+
+  const openForm = (type = 'photoRelease') => {
+    setForm({ ...EMPTY_FORM, type });
+    setFile(null);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.signedDate) {
+      onError?.('Signed date is required');
+      return;
+    }
+    if (form.signedDate > today) {
+      onError?.('Signed date cannot be in the future');
+      return;
+    }
+    if (form.expiryDate && form.expiryDate <= form.signedDate) {
+      onError?.('Expiry date must be after the signed date');
+      return;
+    }
+    const fileError = file && validateDocumentFile(file);
+    if (fileError) {
+      onError?.(fileError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      let document;
+      if (file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('folder', 'heart-smiles/consents');
+        const uploadResponse = await uploadDocument(formData);
+        document = uploadResponse.data.document;
+      }
+      await addParticipantConsent(participant.id, {
+        type: form.type,
+        signedDate: form.signedDate,
+        expiryDate: form.expiryDate || undefined,
+        signedBy: form.signedBy.trim() || undefined,
+        document
+      });
+      setShowForm(false);
+      onSuccess?.('Consent recorded successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to record consent');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    if (!window.confirm('Delete this consent record? This cannot be undone.')) return;
+    try {
+      await deleteParticipantConsent(participant.id, record.id);
+      onSuccess?.('Consent record deleted.');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to delete consent record');
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        {CONSENT_TYPES.map(type => {
+          const { status, record } = getConsentStatus(participant, type.value);
+          const statusStyle = CONSENT_STATUSES[status];
+          const earlier = getConsentRecords(participant, type.value).slice(1);
+
+          return (
+            <div
+              key={type.value}
+              style={{
+                background: '#f8f9fa',
+                padding: '12px 15px',
+                borderRadius: '6px',
+                border: '1px solid #e1e5e9',
+                borderLeft: `4px solid ${statusStyle.color}`
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                <div>
+                  <strong style={{ color: '#333' }}>{type.label}</strong>
+                  <span style={{
+                    display: 'inline-block',
+                    background: statusStyle.color,
+                    color: status === 'expiring' ? '#333' : 'white',
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    fontSize: '11px',
+                    marginLeft: '8px'
+                  }}>
+                    {statusStyle.label}
+                  </span>
+                </div>
+                {canManage && (
+                  <button onClick={() => openForm(type.value)} style={buttonStyle('#667eea')}>
+                    {record ? 'Record Renewal' : 'Record Consent'}
+                  </button>
+                )}
+              </div>
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>{type.description}</div>
+
+              {record && (
+                <div style={{ fontSize: '13px', color: '#333', marginTop: '8px', display: 'flex', flexWrap: 'wrap', gap: '15px' }}>
+                  <span>Signed {formatNoteDate(record.signedDate)}{record.signedBy && ` by ${record.signedBy}`}</span>
+                  <span style={{ color: status === 'expired' ? '#dc3545' : '#333' }}>
+                    {record.expiryDate ? `Expires ${formatNoteDate(record.expiryDate)}` : 'No expiry'}
+                  </span>
+                  <DocumentLink record={record} />
+                </div>
+              )}
+
+              {earlier.length > 0 && (
+                <div style={{ marginTop: '8px' }}>
+                  <button
+                    onClick={() => setHistoryOpen(prev => ({ ...prev, [type.value]: !prev[type.value] }))}
+                    style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '12px', padding: 0 }}
+                  >
+                    {historyOpen[type.value] ? 'Hide earlier records' : `Earlier records (${earlier.length})`}
+                  </button>
+                </div>
+              )}
+
+              {historyOpen[type.value] && (
+                <div style={{ marginTop: '8px', borderLeft: '3px solid #e1e5e9', paddingLeft: '12px' }}>
+                  {[record, ...earlier].map((entry, index) => (
+                    <div key={entry.id || index} style={{ fontSize: '12px', color: '#666', marginBottom: '6px', display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+                      <span>
+                        Signed {formatNoteDate(entry.signedDate)}
+                        {entry.expiryDate && `, expires ${formatNoteDate(entry.expiryDate)}`}
+                        {entry.recordedBy && ` • recorded by ${entry.recordedBy}`}
+                      </span>
+                      <DocumentLink record={entry} />
+                      {canManage && entry.id && (
+                        <button onClick={() => handleDelete(entry)} style={buttonStyle('#dc3545')}>
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          style={{ background: '#f8f9fa', padding: '15px', borderRadius: '6px', marginTop: '15px', border: '1px solid #e1e5e9' }}
+        >
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '12px', marginBottom: '12px' }}>
+            <div>
+              <label style={labelStyle}>Consent</label>
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} style={inputStyle}>
+                {CONSENT_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Signed Date *</label>
+              <input
+                type="date"
+                value={form.signedDate}
+                max={today}
+                onChange={(e) => setForm({ ...form, signedDate: e.target.value })}
+                required
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Expiry Date</label>
+              <input
+                type="date"
+                value={form.expiryDate}
+                min={form.signedDate || undefined}
+                onChange={(e) => setForm({ ...form, expiryDate: e.target.value })}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Signed By</label>
+              <input
+                list="consent-signers"
+                value={form.signedBy}
+                onChange={(e) => setForm({ ...form, signedBy: e.target.value })}
+                placeholder="Guardian name"
+                style={inputStyle}
+              />
+              <datalist id="consent-signers">
+                {guardianNames.map(name => <option key={name} value={name} />)}
+              </datalist>
+            </div>
+          </div>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={labelStyle}>Scanned Form (PDF or image)</label>
+            <input
+              type="file"
+              accept="application/pdf,image/*"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="submit" disabled={saving} style={buttonStyle('#28a745', saving)}>
+              {saving ? 'Saving...' : 'Save Consent'}
+            </button>
+            <button type="button" onClick={() => setShowForm(false)} disabled={saving} style={buttonStyle('#6c757d', saving)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { updateParticipant } from '../services/api';
+import {
+  CONTACT_TYPES,
+  CONTACT_RELATIONSHIPS,
+  CONTACT_LANGUAGES,
+  EMPTY_CONTACT,
+  cleanContact,
+  contactsEqual,
+  validateContact
+} from '../utils/contacts';
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  padding: '8px 12px',
+  border: `1px solid ${hasError ? '#dc3545' : '#ddd'}`,
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+});
+
+const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' };
+
+const errorStyle = { color: '#dc3545', fontSize: '12px', marginTop: '4px' };
+
+// Edit a participant's guardian and emergency contacts as one list and save them together.
+// The edited list is owned by the page (`contacts`/`onContactsChange`) so edits survive
+// a reload after a note or photo change; `savedContacts` is what is stored on the
+// participant. Calls onChanged after a save so the parent can reload the participant.
+export default function ContactsEditor({ participantId, contacts, savedContacts, onContactsChange, onChanged, onSuccess, onError }) {
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const edited = contacts || [];
+  const isDirty = !contactsEqual(edited, savedContacts);
+
+  const setEdited = (update) => onContactsChange(update(edited));
+
+  const updateContact = (index, changes) => {
+    setEdited(prev => prev.map((contact, i) => (i === index ? { ...contact, ...changes } : contact)));
+    setErrors(prev => prev.map((contactErrors, i) => {
+      if (i !== index || !contactErrors) return contactErrors;
+      const remaining = { ...contactErrors };
+      Object.keys(changes).forEach(key => { delete remaining[key]; });
+      if ('email' in changes) delete remaining.phone;
+      return remaining;
+    }));
+  };
+
+  const addContact = (type) => {
+    setEdited(prev => [...prev, { ...EMPTY_CONTACT, type }]);
+  };
+
+  const removeContact = (index) => {
+    const contact = edited[index];
+    if (contact.name?.trim() && !window.confirm(`Remove ${contact.name.trim()} from this participant's contacts?`)) return;
+    setEdited(prev => prev.filter((_, i) => i !== index));
+    setErrors(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    const contactErrors = edited.map(validateContact);
+    setErrors(contactErrors);
+    if (contactErrors.some(entry => Object.keys(entry).length > 0)) {
+      onError?.('Please fix the highlighted contact fields');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await updateParticipant(participantId, { contacts: edited.map(cleanContact) });
+      // Start over from the saved contacts (with their new ids) on reload
+      onContactsChange(null);
+      onSuccess?.('Contacts saved successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to save contacts');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {edited.length === 0 && (
+        <div style={{ color: '#666', fontStyle: 'italic', marginBottom: '15px' }}>
+          No guardian or emergency contacts on file.
+        </div>
+      )}
+
+      <datalist id="contact-relationships">
+        {CONTACT_RELATIONSHIPS.map(relationship => <option key={relationship} value={relationship} />)}
+      </datalist>
+      <datalist id="contact-languages">
+        {CONTACT_LANGUAGES.map(language => <option key={language} value={language} />)}
+      </datalist>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '15px', marginBottom: '15px' }}>
+        {edited.map((contact, index) => {
+          const contactErrors = errors[index] || {};
+          return (
+            <div
+              key={contact.id || `new-${index}`}
+              style={{ background: '#f8f9fa', padding: '15px', borderRadius: '6px', border: '1px solid #e1e5e9' }}
+            >
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                gap: '12px'
+              }}>
+                <div>
+                  <label style={labelStyle}>Contact Type</label>
+                  <select
+                    value={contact.type || 'guardian'}
+                    onChange={(e) => updateContact(index, { type: e.target.value })}
+                    style={inputStyle(false)}
+                  >
+                    {CONTACT_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label style={labelStyle}>Name *</label>
+                  <input
+                    value={contact.name || ''}
+                    onChange={(e) => updateContact(index, { name: e.target.value })}
+                    style={inputStyle(contactErrors.name)}
+                  />
+                  {contactErrors.name && <div style={errorStyle}>{contactErrors.name}</div>}
+                </div>
+                <div>
+                  <label style={labelStyle}>Relationship</label>
+                  <input
+                    list="contact-relationships"
+                    value={contact.relationship || ''}
+                    onChange={(e) => updateContact(index, { relationship: e.target.value })}
+                    style={inputStyle(false)}
+                  />
+                </div>
+                <div>
+                  <label style={labelStyle}>Phone</label>
+                  <input
+                    type="tel"
+                    value={contact.phone || ''}
+                    onChange={(e) => updateContact(index, { phone: e.target.value })}
+                    style={inputStyle(contactErrors.phone)}
+                  />
+                  {contactErrors.phone && <div style={errorStyle}>{contactErrors.phone}</div>}
+                </div>
+                <div>
+                  <label style={labelStyle}>Email</label>
+                  <input
+                    type="email"
+                    value={contact.email || ''}
+                    onChange={(e) => updateContact(index, { email: e.target.value })}
+                    style={inputStyle(contactErrors.email)}
+                  />
+                  {contactErrors.email && <div style={errorStyle}>{contactErrors.email}</div>}
+                </div>
+                <div>
+                  <label style={labelStyle}>Preferred Language</label>
+                  <input
+                    list="contact-languages"
+                    value={contact.preferredLanguage || ''}
+                    onChange={(e) => updateContact(index, { preferredLanguage: e.target.value })}
+                    style={inputStyle(false)}
+                  />
+                </div>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px' }}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(contact.pickupAuthorized)}
+                    onChange={(e) => updateContact(index, { pickupAuthorized: e.target.checked })}
+                  />
+                  Authorized to pick up this participant
+                </label>
+                <button
+                  type="button"
+                  onClick={() => removeContact(index)}
+                  style={{
+                    background: '#dc3545',
+                    color: 'white',
+                    border: 'none',
+                    padding: '4px 10px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+        {CONTACT_TYPES.map(type => (
+          <button
+            key={type.value}
+            type="button"
+            onClick={() => addContact(type.value)}
+            style={{
+              background: 'transparent',
+              color: '#667eea',
+              border: '1px solid #667eea',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              cursor: 'pointer'
+            }}
+          >
+            + Add {type.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!isDirty || saving}
+          style={{
+            background: isDirty ? '#007bff' : '#6c757d',
+            color: 'white',
+            border: 'none',
+            padding: '8px 16px',
+            borderRadius: '5px',
+            cursor: isDirty && !saving ? 'pointer' : 'not-allowed',
+            opacity: isDirty && !saving ? 1 : 0.6
+          }}
+        >
+          {saving ? 'Saving...' : 'Save Contacts'}
+        </button>
+        {isDirty && (
+          <button
+            type="button"
+            onClick={() => {
+              onContactsChange(savedContacts || []);
+              setErrors([]);
+            }}
+            disabled={saving}
+            style={{
+              background: '#6c757d',
+              color: 'white',
+              border: 'none',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              cursor: 'pointer'
+            }}
+          >
+            Discard Changes
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+import { toDate } from '../utils/participantFilters';
+import { formatScoreBreakdown } from '../utils/duplicates';
+
+// List of possible duplicate participants from findDuplicates, with why each one matched.
+// `renderAction(participant)` renders the button(s) shown on each match.
+export default function DuplicateMatchList({ matches, renderAction }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      {matches.map(({ participant, score, reasons, breakdown }) => {
+        const dateOfBirth = toDate(participant.dateOfBirth);
+        return (
+          <div
+            key={participant.id}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '15px',
+              padding: '10px 12px',
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '6px'
+            }}
+          >
+            <div>
+              <div style={{ fontWeight: '600', color: '#333' }}>
+                {participant.name}
+                <span style={{ marginLeft: '8px', fontSize: '12px', fontWeight: 'normal', color: '#856404' }}>
+                  {Math.round(score * 100)}% match
+                </span>
+              </div>
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '3px' }}>
+                {[
+                  participant.identificationNumber && `ID: ${participant.identificationNumber}`,
+                  dateOfBirth && `DOB: ${dateOfBirth.toLocaleDateString()}`,
+                  participant.school
+                ].filter(Boolean).join(' · ')}
+              </div>
+              <div style={{ fontSize: '12px', color: '#856404', marginTop: '3px' }}>
+                {reasons.join(', ')}
+                <span style={{ color: '#666' }}> ({formatScoreBreakdown(breakdown)})</span>
+              </div>
+            </div>
+            {renderAction && <div style={{ display: 'flex', gap: '8px' }}>{renderAction(participant)}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+
+const FILTERS = [
+  { value: 'failed', label: 'Failed' },
+  { value: 'warnings', label: 'Warnings' },
+  { value: 'valid', label: 'Valid' },
+  { value: 'all', label: 'All' }
+];
+
+const cellStyle = {
+  padding: '8px 12px',
+  borderBottom: '1px solid #f0f0f0',
+  fontSize: '12px',
+  verticalAlign: 'top'
+};
+
+// Per-row validation results for an import, filterable to failed rows.
+// `results` come from validateImportRows / mergeServerErrors. Rows with only
+// warnings (e.g. possible duplicates) are still imported.
+export default function ImportValidationReport({ results, columns, onDownloadFailed }) {
+  const failedCount = results.filter(result => result.errors.length > 0).length;
+  const warningCount = results.filter(result => result.warnings?.length > 0).length;
+  const [filter, setFilter] = useState(failedCount > 0 ? 'failed' : warningCount > 0 ? 'warnings' : 'all');
+
+  const visible = results.filter(result => {
+    if (filter === 'failed') return result.errors.length > 0;
+    if (filter === 'warnings') return result.warnings?.length > 0;
+    if (filter === 'valid') return result.errors.length === 0;
+    return true;
+  });
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px', flexWrap: 'wrap', gap: '10px' }}>
+        <h4 style={{ margin: 0 }}>
+          Row Validation: {results.length - failedCount} valid, {failedCount} failed
+          {warningCount > 0 && `, ${warningCount} with warnings`}
+        </h4>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          {FILTERS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setFilter(option.value)}
+              style={{
+                background: filter === option.value ? '#667eea' : 'transparent',
+                color: filter === option.value ? 'white' : '#667eea',
+                border: '1px solid #667eea',
+                padding: '4px 12px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+          {failedCount > 0 && onDownloadFailed && (
+            <button
+              type="button"
+              onClick={onDownloadFailed}
+              style={{
+                background: '#dc3545',
+                color: 'white',
+                border: 'none',
+                padding: '5px 12px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Download Failed Rows (CSV)
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div style={{ maxHeight: '350px', overflow: 'auto', border: '1px solid #e1e5e9', borderRadius: '4px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead style={{ background: '#f8f9fa', position: 'sticky', top: 0 }}>
+            <tr>
+              {['Row', 'Status', ...columns, 'Problems'].map(heading => (
+                <th key={heading} style={{
+                  padding: '8px 12px',
+                  textAlign: 'left',
+                  borderBottom: '1px solid #e1e5e9',
+                  fontSize: '12px',
+                  fontWeight: '600'
+                }}>
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 ? (
+              <tr>
+                <td colSpan={columns.length + 3} style={{ ...cellStyle, textAlign: 'center', color: '#666' }}>
+                  No rows to show.
+                </td>
+              </tr>
+            ) : visible.map((result, index) => {
+              const failed = result.errors.length > 0;
+              const warned = !failed && result.warnings?.length > 0;
+              return (
+                <tr
+                  key={`${result.rowNumber}-${index}`}
+                  style={{ background: failed ? '#fff5f5' : warned ? '#fffbea' : 'white' }}
+                >
+                  <td style={cellStyle}>{result.rowNumber || '—'}</td>
+                  <td style={{ ...cellStyle, color: failed ? '#dc3545' : warned ? '#856404' : '#28a745', fontWeight: '500' }}>
+                    {failed ? 'Failed' : warned ? 'Check' : 'Valid'}
+                  </td>
+                  {columns.map(column => (
+                    <td key={column} style={cellStyle}>{result.values[column] || ''}</td>
+                  ))}
+                  <td style={cellStyle}>
+                    {result.errors.length > 0 && (
+                      <div style={{ color: '#721c24' }}>{result.errors.join('; ')}</div>
+                    )}
+                    {result.warnings?.length > 0 && (
+                      <div style={{ color: '#856404' }}>{result.warnings.join('; ')}</div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+import React, { useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import usePermission from '../hooks/usePermission';
+import { updateParticipantNote, deleteParticipantNote } from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+import { toLocalDateString } from '../utils/participantFilters';
+import NoteVisibilityBadge from './NoteVisibilityBadge';
+import {
+  NOTE_TYPES,
+  NOTE_TYPE_COLORS,
+  NOTE_VISIBILITY,
+  formatNoteDate,
+  getNoteRevisions,
+  getNoteVisibility,
+  redactNotes,
+  searchNotes,
+  sortNotesNewestFirst
+} from '../utils/notes';
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box',
+  fontFamily: 'inherit'
+};
+
+const smallButton = (background, disabled = false) => ({
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  padding: '4px 10px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '12px'
+});
+
+const TypeBadge = ({ type }) => (
+  <span style={{
+    display: 'inline-block',
+    background: NOTE_TYPE_COLORS[type] || '#667eea',
+    color: 'white',
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontSize: '11px'
+  }}>
+    {type || 'general'}
+  </span>
+);
+
+const RedactedContent = ({ note }) => {
+  const level = NOTE_VISIBILITY.find(option => option.value === getNoteVisibility(note));
+  return (
+    <div style={{ color: '#999', fontStyle: 'italic' }}>
+      This note is restricted to {level ? level.description.toLowerCase() : 'certain staff'}.
+    </div>
+  );
+};
+
+// A participant's notes, newest first, with full-text search, inline editing and the
+// revision history of each note. Notes the viewer may not read are redacted.
+// Reports results through onSuccess/onError and calls onChanged after an edit or
+// delete so the parent can reload the participant. Pass `goals` to label milestone
+// notes with the goal they are linked to.
+export default function NoteList({ participantId, notes, goals, onChanged, onSuccess, onError, maxHeight }) {
+  const { user } = useAuth();
+  const canEdit = usePermission(PERMISSIONS.NOTES_EDIT);
+  const canDelete = usePermission(PERMISSIONS.NOTES_DELETE);
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState({});
+
+  const sorted = useMemo(() => sortNotesNewestFirst(redactNotes(notes, user)), [notes, user]);
+  const visible = useMemo(() => searchNotes(sorted, query), [sorted, query]);
+
+  const startEdit = (note) => {
+    setEditing({
+      id: note.id,
+      content: note.content || '',
+      type: note.type || 'general',
+      visibility: getNoteVisibility(note),
+      createdAt: toLocalDateString(note.createdAt)
+    });
+  };
+
+  const handleSave = async (note) => {
+    if (!editing.content.trim()) {
+      onError?.('Note content is required');
+      return;
+    }
+    // Only send the date when it was changed, so an edit keeps the note's time of day
+    const dateChanged = editing.createdAt !== toLocalDateString(note.createdAt);
+    const unchanged = editing.content === (note.content || '')
+      && editing.type === (note.type || 'general')
+      && editing.visibility === getNoteVisibility(note)
+      && !dateChanged;
+    if (unchanged) {
+      setEditing(null);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await updateParticipantNote(participantId, note.id, {
+        content: editing.content,
+        type: editing.type,
+        visibility: editing.visibility,
+        createdAt: dateChanged && editing.createdAt ? editing.createdAt : undefined
+      });
+      setEditing(null);
+      onSuccess?.('Note updated successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to update note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (note) => {
+    if (!window.confirm('Are you sure you want to delete this note?')) return;
+    try {
+      await deleteParticipantNote(participantId, note.id);
+      onSuccess?.('Note deleted successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to delete note');
+    }
+  };
+
+  if (sorted.length === 0) {
+    return (
+      <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+        No notes yet
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px' }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search notes..."
+          aria-label="Search notes"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        {query.trim() && (
+          <span style={{ fontSize: '12px', color: '#666', whiteSpace: 'nowrap' }}>
+            {visible.length} of {sorted.length}
+          </span>
+        )}
+      </div>
+
+      {visible.length === 0 ? (
+        <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+          No notes match "{query.trim()}"
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', maxHeight, overflowY: maxHeight ? 'auto' : undefined }}>
+          {visible.map((note, index) => {
+            const isEditing = editing?.id === note.id && note.id;
+            const revisions = getNoteRevisions(note);
+            const showHistory = historyOpen[note.id];
+            const goal = note.goalId && (goals || []).find(item => item.id === note.goalId);
+
+            return (
+              <div
+                key={note.id || index}
+                style={{
+                  background: '#f8f9fa',
+                  padding: '15px',
+                  borderRadius: '6px',
+                  border: '1px solid #e1e5e9'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px', marginBottom: '8px' }}>
+                  <div>
+                    <span style={{ fontWeight: '500', color: '#333', marginRight: '8px' }}>
+                      {note.author || 'Staff Member'}
+                    </span>
+                    <TypeBadge type={note.type} />
+                    <NoteVisibilityBadge note={note} />
+                    {goal && (
+                      <span style={{ fontSize: '12px', color: '#28a745', marginLeft: '8px' }}>
+                        🎯 {goal.title}
+                      </span>
+                    )}
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px', alignItems: 'flex-start' }}>
+                    <span style={{ fontSize: '12px', color: '#666', marginRight: '4px' }}>
+                      {formatNoteDate(note.createdAt)}
+                    </span>
+                    {canEdit && !isEditing && note.id && !note.redacted && (
+                      <button onClick={() => startEdit(note)} style={{ ...smallButton('#ffc107'), color: '#333' }}>
+                        Edit
+                      </button>
+                    )}
+                    {canDelete && !isEditing && (
+                      <button onClick={() => handleDelete(note)} style={smallButton('#dc3545')}>
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {isEditing ? (
+                  <div>
+                    <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+                      <select
+                        value={editing.type}
+                        onChange={(e) => setEditing({ ...editing, type: e.target.value })}
+                        style={{ ...inputStyle, flex: 1 }}
+                      >
+                        {NOTE_TYPES.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={editing.visibility}
+                        onChange={(e) => setEditing({ ...editing, visibility: e.target.value })}
+                        aria-label="Who can see this note"
+                        style={{ ...inputStyle, flex: 1 }}
+                      >
+                        {NOTE_VISIBILITY.map(level => (
+                          <option key={level.value} value={level.value}>{level.label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        value={editing.createdAt}
+                        onChange={(e) => setEditing({ ...editing, createdAt: e.target.value })}
+                        style={{ ...inputStyle, flex: 1 }}
+                      />
+                    </div>
+                    <textarea
+                      value={editing.content}
+                      onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                      rows="4"
+                      style={{ ...inputStyle, resize: 'vertical', marginBottom: '10px' }}
+                    />
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <button
+                        onClick={() => handleSave(note)}
+                        disabled={saving || !editing.content.trim()}
+                        style={smallButton('#28a745', saving || !editing.content.trim())}
+                      >
+                        {saving ? 'Saving...' : 'Save'}
+                      </button>
+                      <button onClick={() => setEditing(null)} disabled={saving} style={smallButton('#6c757d', saving)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : note.redacted ? (
+                  <RedactedContent note={note} />
+                ) : (
+                  <div style={{ color: '#333', lineHeight: '1.6', whiteSpace: 'pre-wrap' }}>{note.content}</div>
+                )}
+
+                {(note.lastEditedAt || revisions.length > 0) && (
+                  <div style={{ marginTop: '8px', fontSize: '12px', color: '#999' }}>
+                    Edited
+                    {note.lastEditedBy && ` by ${note.lastEditedBy}`}
+                    {note.lastEditedAt && ` on ${formatNoteDate(note.lastEditedAt, true)}`}
+                    {revisions.length > 0 && (
+                      <button
+                        onClick={() => setHistoryOpen(prev => ({ ...prev, [note.id]: !prev[note.id] }))}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: '#667eea',
+                          cursor: 'pointer',
+                          fontSize: '12px',
+                          padding: '0 0 0 8px'
+                        }}
+                      >
+                        {showHistory ? 'Hide history' : `History (${revisions.length})`}
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {showHistory && (
+                  <div style={{ marginTop: '10px', borderLeft: '3px solid #e1e5e9', paddingLeft: '12px' }}>
+                    {revisions.map((revision, revisionIndex) => (
+                      <div key={revisionIndex} style={{ marginBottom: '10px', fontSize: '13px' }}>
+                        <div style={{ color: '#666', marginBottom: '4px' }}>
+                          {revision.author || 'Staff Member'}
+                          {revision.editedAt && ` • replaced ${formatNoteDate(revision.editedAt, true)}`}
+                          {revision.type && <> • <TypeBadge type={revision.type} /></>}
+                          {revision.createdAt && ` • dated ${formatNoteDate(revision.createdAt)}`}
+                        </div>
+                        <div style={{ color: '#555', whiteSpace: 'pre-wrap' }}>{revision.content}</div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
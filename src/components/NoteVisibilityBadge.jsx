@@ -0,0 +1,25 @@
+import React from 'react';
+import { NOTE_VISIBILITY, getNoteVisibility } from '../utils/notes';
+
+// Shown on notes that aren't visible to everyone
+export default function NoteVisibilityBadge({ note }) {
+  const level = NOTE_VISIBILITY.find(option => option.value === getNoteVisibility(note));
+  if (!level || level.value === 'everyone') return null;
+  return (
+    <span
+      title={level.description}
+      style={{
+        display: 'inline-block',
+        background: '#fff3cd',
+        color: '#856404',
+        border: '1px solid #ffeaa7',
+        padding: '1px 8px',
+        borderRadius: '4px',
+        fontSize: '11px',
+        marginLeft: '6px'
+      }}
+    >
+      🔒 {level.label}
+    </span>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+
+const buttonStyle = (disabled) => ({
+  background: 'transparent',
+  color: disabled ? '#aaa' : '#667eea',
+  border: `1px solid ${disabled ? '#ddd' : '#667eea'}`,
+  padding: '4px 12px',
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '13px'
+});
+
+// Previous / next page controls for lists loaded with usePaginatedList in 'replace' mode
+export default function PaginationControls({ page, totalPages, onPageChange, disabled = false }) {
+  if (totalPages <= 1) return null;
+
+  const prevDisabled = disabled || page <= 1;
+  const nextDisabled = disabled || page >= totalPages;
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '13px', color: '#666' }}>
+      <button type="button" onClick={() => onPageChange(page - 1)} disabled={prevDisabled} style={buttonStyle(prevDisabled)}>
+        ← Previous
+      </button>
+      <span>Page {page} of {totalPages}</span>
+      <button type="button" onClick={() => onPageChange(page + 1)} disabled={nextDisabled} style={buttonStyle(nextDisabled)}>
+        Next →
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,390 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import usePermission from '../hooks/usePermission';
+import {
+  addParticipantToProgram,
+  removeParticipantFromProgram,
+  archiveParticipant,
+  addParticipantNote,
+  exportSelectedParticipantsCsv
+} from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+import { NOTE_TYPES, NOTE_VISIBILITY } from '../utils/notes';
+import { getParticipantExportParams } from '../utils/exports';
+import { BULK_RESULT_STATUSES, runBulkAction, summarizeBulkResults } from '../utils/bulkActions';
+
+const EMPTY_NOTE = { content: '', type: 'session', visibility: 'everyone', date: '' };
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = (background, disabled = false) => ({
+  background,
+  color: 'white',
+  border: 'none',
+  padding: '8px 16px',
+  borderRadius: '5px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '14px'
+});
+
+// Actions for the participants selected on the Participants list. Each change is made
+// one participant at a time and reported per row, so a partial failure shows exactly
+// who was updated; failed rows can be retried or kept selected on their own.
+export default function ParticipantBulkActions({ selected, programs, showArchived, onComplete, onSelect, onClearSelection }) {
+  const { user } = useAuth();
+  const canEditParticipants = usePermission(PERMISSIONS.PARTICIPANTS_EDIT);
+  const canArchive = usePermission(PERMISSIONS.PARTICIPANTS_ARCHIVE);
+  const canAddNotes = usePermission(PERMISSIONS.NOTES_CREATE);
+  const canExport = usePermission(PERMISSIONS.EXPORT_RUN);
+  const canExportUnfiltered = usePermission(PERMISSIONS.EXPORT_UNFILTERED);
+
+  const [action, setAction] = useState('');
+  const [programId, setProgramId] = useState('');
+  const [archiveReason, setArchiveReason] = useState('');
+  const [note, setNote] = useState(EMPTY_NOTE);
+  // The run in progress or just finished: { label, participants, results: { [id]: result } }
+  const [run, setRun] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  // Same consent rule as the Export page: only consenting participants go to UMD
+  const [exportForUmd, setExportForUmd] = useState(!canExportUnfiltered);
+  const [excludedCount, setExcludedCount] = useState(0);
+
+  const actions = [
+    { value: 'enroll', label: 'Enroll in program', allowed: canEditParticipants && !showArchived },
+    { value: 'unenroll', label: 'Remove from program', allowed: canEditParticipants && !showArchived },
+    { value: 'archive', label: 'Archive', allowed: canArchive && !showArchived },
+    { value: 'note', label: 'Add note', allowed: canAddNotes && !showArchived }
+  ].filter(option => option.allowed);
+
+  const programName = programs.find(program => program.id === programId)?.name || 'the program';
+
+  const buildTask = () => {
+    switch (action) {
+      case 'enroll':
+        return {
+          label: `Enrolling in ${programName}`,
+          task: async (participant) => {
+            if ((participant.programs || []).includes(programId)) return { skipped: 'Already enrolled' };
+            await addParticipantToProgram(participant.id, programId);
+            return null;
+          }
+        };
+      case 'unenroll':
+        return {
+          label: `Removing from ${programName}`,
+          task: async (participant) => {
+            if (!(participant.programs || []).includes(programId)) return { skipped: 'Not enrolled' };
+            await removeParticipantFromProgram(participant.id, programId);
+            return null;
+          }
+        };
+      case 'archive':
+        return {
+          label: 'Archiving',
+          task: async (participant) => {
+            await archiveParticipant(participant.id, archiveReason.trim());
+            return null;
+          }
+        };
+      case 'note':
+        return {
+          label: 'Adding note',
+          task: async (participant) => {
+            await addParticipantNote(participant.id, {
+              content: note.content.trim(),
+              type: note.type,
+              visibility: note.visibility,
+              createdAt: note.date || undefined
+            });
+            return null;
+          }
+        };
+      default:
+        return null;
+    }
+  };
+
+  const validate = () => {
+    if ((action === 'enroll' || action === 'unenroll') && !programId) return 'Choose a program';
+    if (action === 'archive' && !archiveReason.trim()) return 'Please give a reason for archiving';
+    if (action === 'note' && !note.content.trim()) return 'Note content is required';
+    return '';
+  };
+
+  const start = async (participants) => {
+    const problem = validate();
+    if (problem) {
+      setRun({ label: '', participants: [], results: {}, error: problem });
+      return;
+    }
+    const { label, task: change } = buildTask();
+    // Participants archived by an earlier run stay selected but are left alone
+    const task = (participant) => (participant.isActive === false
+      ? { skipped: 'Archived' }
+      : change(participant));
+    if (action === 'archive' && !window.confirm(
+      `Archive ${participants.length} participant${participants.length !== 1 ? 's' : ''}? They will be hidden from active lists and can be restored later.`
+    )) {
+      return;
+    }
+
+    setRunning(true);
+    setRun({ label, participants, results: {} });
+    const results = await runBulkAction(participants, task, (result) => {
+      setRun(prev => ({ ...prev, results: { ...prev.results, [result.id]: result } }));
+    });
+    setRunning(false);
+
+    const summary = summarizeBulkResults(results);
+    if (summary.failed === 0) {
+      setNote(EMPTY_NOTE);
+      setArchiveReason('');
+    }
+    // Hand back the participants that changed so the selection doesn't go stale
+    const changedIds = results.filter(result => result.status === 'done').map(result => result.id);
+    await onComplete?.(participants.filter(participant => changedIds.includes(participant.id)).map(participant => {
+      if (action === 'enroll') return { ...participant, programs: [...(participant.programs || []), programId] };
+      if (action === 'unenroll') return { ...participant, programs: (participant.programs || []).filter(pid => pid !== programId) };
+      if (action === 'archive') return { ...participant, isActive: false };
+      return participant;
+    }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setExportError('');
+      setExcludedCount(0);
+      const params = getParticipantExportParams(user, { forUmd: exportForUmd });
+      const response = await exportSelectedParticipantsCsv(selected.map(participant => participant.id), params);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `participants_selection_${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+      // The server reports how many participants it left out for missing consent
+      if (params.consent) setExcludedCount(Number(response.headers?.['x-excluded-count']) || 0);
+    } catch (err) {
+      setExportError(err?.response?.data?.error || 'Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const results = run ? run.participants.map(participant => run.results[participant.id] || {
+    id: participant.id,
+    name: participant.name,
+    status: 'pending',
+    message: ''
+  }) : [];
+  const summary = summarizeBulkResults(results);
+  const failedParticipants = run ? run.participants.filter(participant => run.results[participant.id]?.status === 'failed') : [];
+  const finished = summary.done + summary.skipped + summary.failed;
+
+  return (
+    <div style={{
+      background: '#eef1fd',
+      border: '1px solid #c5cdf5',
+      borderRadius: '8px',
+      padding: '15px 20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <strong style={{ color: '#333' }}>{selected.length} selected</strong>
+        {actions.length > 0 && (
+          <select
+            value={action}
+            onChange={(e) => { setAction(e.target.value); setRun(null); }}
+            disabled={running}
+            aria-label="Bulk action"
+            style={inputStyle}
+          >
+            <option value="">Choose an action...</option>
+            {actions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        {canExport && (
+          <button onClick={handleExport} disabled={exporting || running} style={buttonStyle('#28a745', exporting || running)}>
+            {exporting ? 'Exporting...' : 'Export Selection'}
+          </button>
+        )}
+        {canExport && canExportUnfiltered && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#333' }}>
+            <input
+              type="checkbox"
+              checked={exportForUmd}
+              onChange={(e) => setExportForUmd(e.target.checked)}
+            />
+            Export will be shared with UMD
+          </label>
+        )}
+        <button
+          onClick={onClearSelection}
+          disabled={running}
+          style={{ background: 'transparent', color: '#666', border: 'none', cursor: 'pointer', fontSize: '13px', textDecoration: 'underline' }}
+        >
+          Clear selection
+        </button>
+      </div>
+
+      {exportError && (
+        <div style={{ color: '#721c24', fontSize: '13px', marginTop: '10px' }}>❌ {exportError}</div>
+      )}
+      {canExport && !exportForUmd && (
+        <div style={{ color: '#856404', fontSize: '13px', marginTop: '10px' }}>
+          ⚠️ The export includes every selected participant, whether or not they consented to sharing data with UMD. Don't send this file to UMD.
+        </div>
+      )}
+      {excludedCount > 0 && (
+        <div style={{ color: '#856404', fontSize: '13px', marginTop: '10px' }}>
+          {excludedCount} selected participant{excludedCount !== 1 ? 's were' : ' was'} left out of the export for lack of a current UMD data-sharing consent.
+        </div>
+      )}
+
+      {action && (
+        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'flex-start', marginTop: '12px' }}>
+          {(action === 'enroll' || action === 'unenroll') && (
+            <select
+              value={programId}
+              onChange={(e) => setProgramId(e.target.value)}
+              disabled={running}
+              aria-label="Program"
+              style={{ ...inputStyle, minWidth: '220px' }}
+            >
+              <option value="">Choose a program...</option>
+              {programs.map(program => (
+                <option key={program.id} value={program.id}>{program.name}</option>
+              ))}
+            </select>
+          )}
+          {action === 'archive' && (
+            <input
+              value={archiveReason}
+              onChange={(e) => setArchiveReason(e.target.value)}
+              disabled={running}
+              placeholder="Reason for archiving (required)"
+              style={{ ...inputStyle, flex: 1, minWidth: '250px' }}
+            />
+          )}
+          {action === 'note' && (
+            <div style={{ flex: 1, minWidth: '300px' }}>
+              <div style={{ display: 'flex', gap: '10px', marginBottom: '8px', flexWrap: 'wrap' }}>
+                <select
+                  value={note.type}
+                  onChange={(e) => setNote({ ...note, type: e.target.value })}
+                  disabled={running}
+                  aria-label="Note type"
+                  style={inputStyle}
+                >
+                  {NOTE_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={note.visibility}
+                  onChange={(e) => setNote({ ...note, visibility: e.target.value })}
+                  disabled={running}
+                  aria-label="Who can see this note"
+                  style={inputStyle}
+                >
+                  {NOTE_VISIBILITY.map(level => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="date"
+                  value={note.date}
+                  onChange={(e) => setNote({ ...note, date: e.target.value })}
+                  disabled={running}
+                  aria-label="Note date"
+                  style={inputStyle}
+                />
+              </div>
+              <textarea
+                value={note.content}
+                onChange={(e) => setNote({ ...note, content: e.target.value })}
+                disabled={running}
+                rows="3"
+                placeholder="e.g. Attended the science museum field trip"
+                style={{ ...inputStyle, width: '100%', resize: 'vertical', fontFamily: 'inherit' }}
+              />
+            </div>
+          )}
+          <button
+            onClick={() => start(selected)}
+            disabled={running || selected.length === 0}
+            style={buttonStyle('#667eea', running || selected.length === 0)}
+          >
+            {running ? 'Working...' : `Apply to ${selected.length}`}
+          </button>
+        </div>
+      )}
+
+      {run?.error && (
+        <div style={{ color: '#721c24', fontSize: '13px', marginTop: '10px' }}>❌ {run.error}</div>
+      )}
+
+      {run && !run.error && (
+        <div style={{ marginTop: '15px', background: 'white', border: '1px solid #e1e5e9', borderRadius: '6px', padding: '12px 15px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', flexWrap: 'wrap', marginBottom: '8px' }}>
+            <strong style={{ fontSize: '14px', color: '#333' }}>
+              {run.label}: {finished} of {results.length}
+            </strong>
+            <span style={{ fontSize: '13px', color: '#666' }}>
+              {summary.done} done
+              {summary.skipped > 0 && ` • ${summary.skipped} skipped`}
+              {summary.failed > 0 && <span style={{ color: '#dc3545' }}> • {summary.failed} failed</span>}
+            </span>
+          </div>
+          <div style={{ height: '6px', background: '#e9ecef', borderRadius: '3px', overflow: 'hidden', marginBottom: '10px' }}>
+            <div style={{
+              width: `${results.length ? (finished / results.length) * 100 : 0}%`,
+              height: '100%',
+              background: summary.failed > 0 ? '#ffc107' : '#28a745',
+              transition: 'width 0.2s'
+            }} />
+          </div>
+          <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
+            {results.map(result => {
+              const status = BULK_RESULT_STATUSES[result.status];
+              return (
+                <div key={result.id} style={{ display: 'flex', gap: '10px', fontSize: '13px', padding: '3px 0' }}>
+                  <span title={status.label}>{status.icon}</span>
+                  <span style={{ color: '#333', minWidth: '160px' }}>{result.name}</span>
+                  <span style={{ color: status.color }}>{result.message || status.label}</span>
+                </div>
+              );
+            })}
+          </div>
+          {!running && failedParticipants.length > 0 && (
+            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+              <button onClick={() => start(failedParticipants)} style={buttonStyle('#dc3545')}>
+                Retry {failedParticipants.length} Failed
+              </button>
+              <button
+                onClick={() => onSelect(failedParticipants)}
+                style={{ ...buttonStyle('transparent'), color: '#667eea', border: '1px solid #667eea' }}
+              >
+                Select Only Failed
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
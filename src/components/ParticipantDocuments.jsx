@@ -0,0 +1,264 @@
+import React, { useMemo, useState } from 'react';
+import usePermission from '../hooks/usePermission';
+import { uploadDocument, addParticipantDocument, deleteParticipantDocument } from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+import { toDate } from '../utils/participantFilters';
+import { formatNoteDate } from '../utils/notes';
+import {
+  DOCUMENT_CATEGORIES,
+  formatFileSize,
+  getDocumentCategory,
+  isImageDocument,
+  isPdfDocument,
+  validateDocumentFile
+} from '../utils/documents';
+
+const EMPTY_FORM = { title: '', category: 'reportCard' };
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' };
+
+const buttonStyle = (background, disabled = false) => ({
+  background,
+  color: 'white',
+  border: 'none',
+  padding: '6px 12px',
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '12px'
+});
+
+const filterButtonStyle = (active) => ({
+  background: active ? '#667eea' : 'transparent',
+  color: active ? 'white' : '#667eea',
+  border: '1px solid #667eea',
+  padding: '4px 12px',
+  borderRadius: '15px',
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+const Preview = ({ document }) => {
+  if (isImageDocument(document)) {
+    return (
+      <img
+        src={document.url}
+        alt={document.title || document.name}
+        style={{ maxWidth: '100%', maxHeight: '600px', objectFit: 'contain', display: 'block', margin: '0 auto' }}
+      />
+    );
+  }
+  if (isPdfDocument(document)) {
+    return (
+      <iframe
+        src={document.url}
+        title={document.title || document.name || 'Document preview'}
+        style={{ width: '100%', height: '600px', border: 'none' }}
+      />
+    );
+  }
+  return <div style={{ color: '#666', fontStyle: 'italic' }}>No preview available for this file.</div>;
+};
+
+// Documents attached to a participant (report cards, IEPs, referral forms, permission
+// slips), newest first, with category filters, an inline preview for PDFs and images,
+// and upload/delete for staff who can manage documents.
+export default function ParticipantDocuments({ participantId, documents, onChanged, onSuccess, onError }) {
+  const canManage = usePermission(PERMISSIONS.DOCUMENTS_MANAGE);
+  const [category, setCategory] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [uploading, setUploading] = useState(false);
+  const [previewId, setPreviewId] = useState(null);
+
+  const sorted = useMemo(
+    () => (documents || []).slice().sort((a, b) => (toDate(b.uploadedAt)?.getTime() || 0) - (toDate(a.uploadedAt)?.getTime() || 0)),
+    [documents]
+  );
+  const visible = category ? sorted.filter(doc => getDocumentCategory(doc.category).value === category) : sorted;
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    const fileError = validateDocumentFile(file);
+    if (fileError) {
+      onError?.(fileError);
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('folder', 'heart-smiles/documents');
+      const uploadResponse = await uploadDocument(formData);
+      await addParticipantDocument(participantId, {
+        title: form.title.trim() || file.name,
+        category: form.category,
+        document: uploadResponse.data.document
+      });
+      setForm(EMPTY_FORM);
+      setFile(null);
+      setFileInputKey(key => key + 1);
+      onSuccess?.('Document uploaded successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to upload document');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete "${doc.title || doc.name}"? This cannot be undone.`)) return;
+    try {
+      await deleteParticipantDocument(participantId, doc.id);
+      if (previewId === doc.id) setPreviewId(null);
+      onSuccess?.('Document deleted successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
+  return (
+    <div>
+      {canManage && (
+        <form
+          onSubmit={handleUpload}
+          style={{ background: '#f8f9fa', padding: '15px', borderRadius: '6px', border: '1px solid #e1e5e9', marginBottom: '20px' }}
+        >
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '12px' }}>
+            <div>
+              <label style={labelStyle}>Title</label>
+              <input
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                placeholder="Defaults to the file name"
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Category</label>
+              <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} style={inputStyle}>
+                {DOCUMENT_CATEGORIES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>File (PDF or image)</label>
+              <input
+                key={fileInputKey}
+                type="file"
+                accept="application/pdf,image/*"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                disabled={uploading}
+                style={inputStyle}
+              />
+            </div>
+          </div>
+          <button type="submit" disabled={uploading || !file} style={buttonStyle('#28a745', uploading || !file)}>
+            {uploading ? 'Uploading...' : 'Upload Document'}
+          </button>
+          <span style={{ fontSize: '12px', color: '#666', marginLeft: '10px' }}>Maximum file size: 10MB</span>
+        </form>
+      )}
+
+      {sorted.length > 0 && (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '15px' }}>
+          <button onClick={() => setCategory('')} style={filterButtonStyle(!category)}>
+            All ({sorted.length})
+          </button>
+          {DOCUMENT_CATEGORIES.map(option => {
+            const count = sorted.filter(doc => getDocumentCategory(doc.category).value === option.value).length;
+            if (count === 0) return null;
+            return (
+              <button key={option.value} onClick={() => setCategory(option.value)} style={filterButtonStyle(category === option.value)}>
+                {option.label} ({count})
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {visible.length === 0 ? (
+        <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+          {sorted.length === 0 ? 'No documents attached yet' : 'No documents in this category'}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {visible.map((doc, index) => {
+            const docCategory = getDocumentCategory(doc.category);
+            const canPreview = isPdfDocument(doc) || isImageDocument(doc);
+            const previewing = previewId === doc.id;
+
+            return (
+              <div
+                key={doc.id || index}
+                style={{ background: '#f8f9fa', padding: '12px 15px', borderRadius: '6px', border: '1px solid #e1e5e9' }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+                  <div>
+                    <span style={{ marginRight: '6px' }}>{isPdfDocument(doc) ? '📄' : '🖼️'}</span>
+                    <strong style={{ color: '#333' }}>{doc.title || doc.name}</strong>
+                    <span style={{
+                      display: 'inline-block',
+                      background: docCategory.color,
+                      color: 'white',
+                      padding: '2px 8px',
+                      borderRadius: '4px',
+                      fontSize: '11px',
+                      marginLeft: '8px'
+                    }}>
+                      {docCategory.label}
+                    </span>
+                    <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                      Uploaded {formatNoteDate(doc.uploadedAt) || '—'}
+                      {doc.uploadedBy && ` by ${doc.uploadedBy}`}
+                      {doc.size ? ` • ${formatFileSize(doc.size)}` : ''}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    {canPreview && (
+                      <button onClick={() => setPreviewId(previewing ? null : doc.id)} style={buttonStyle('#667eea')}>
+                        {previewing ? 'Hide Preview' : 'Preview'}
+                      </button>
+                    )}
+                    <a
+                      href={doc.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{ ...buttonStyle('#17a2b8'), textDecoration: 'none' }}
+                    >
+                      Open
+                    </a>
+                    {canManage && doc.id && (
+                      <button onClick={() => handleDelete(doc)} style={buttonStyle('#dc3545')}>
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {previewing && (
+                  <div style={{ marginTop: '12px', background: 'white', border: '1px solid #e1e5e9', borderRadius: '4px', padding: '10px' }}>
+                    <Preview document={doc} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,432 @@
+import React, { useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import usePermission from '../hooks/usePermission';
+import { createParticipantGoal, updateParticipantGoal, deleteParticipantGoal, addGoalUpdate } from '../services/api';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  GOAL_CATEGORIES,
+  GOAL_STATUSES,
+  getGoalProgress,
+  getGoalUpdates,
+  isGoalOverdue,
+  sortGoals,
+  summarizeGoals
+} from '../utils/goals';
+import { formatNoteDate, redactNotes } from '../utils/notes';
+import { toDateString } from '../utils/participantFilters';
+
+const EMPTY_GOAL = { title: '', category: 'academic', targetDate: '', description: '' };
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box',
+  fontFamily: 'inherit'
+};
+
+const labelStyle = { display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' };
+
+const buttonStyle = (background, disabled = false) => ({
+  background,
+  color: 'white',
+  border: 'none',
+  padding: '6px 12px',
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '12px'
+});
+
+const Badge = ({ color, children }) => (
+  <span style={{
+    display: 'inline-block',
+    background: color,
+    color: 'white',
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontSize: '11px',
+    marginLeft: '6px'
+  }}>
+    {children}
+  </span>
+);
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#667eea',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: 0,
+  marginRight: '15px'
+};
+
+// Title, category, target date and description; shared by the add and edit forms
+const GoalFields = ({ goal, onChange }) => (
+  <>
+    <div style={{ marginBottom: '10px' }}>
+      <label style={labelStyle}>Title *</label>
+      <input
+        value={goal.title}
+        onChange={(e) => onChange({ ...goal, title: e.target.value })}
+        placeholder="e.g. Raise math grade to a B"
+        required
+        style={inputStyle}
+      />
+    </div>
+    <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+      <div style={{ flex: 1 }}>
+        <label style={labelStyle}>Category</label>
+        <select
+          value={goal.category}
+          onChange={(e) => onChange({ ...goal, category: e.target.value })}
+          style={inputStyle}
+        >
+          {Object.entries(GOAL_CATEGORIES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ flex: 1 }}>
+        <label style={labelStyle}>Target Date</label>
+        <input
+          type="date"
+          value={goal.targetDate}
+          onChange={(e) => onChange({ ...goal, targetDate: e.target.value })}
+          style={inputStyle}
+        />
+      </div>
+    </div>
+    <div style={{ marginBottom: '10px' }}>
+      <label style={labelStyle}>Description</label>
+      <textarea
+        value={goal.description}
+        onChange={(e) => onChange({ ...goal, description: e.target.value })}
+        rows="2"
+        style={{ ...inputStyle, resize: 'vertical' }}
+      />
+    </div>
+  </>
+);
+
+// Goals section on the participant page: add and edit goals, record progress updates and see
+// the milestone notes linked to each goal (notes with a matching goalId).
+export default function ParticipantGoals({ participantId, goals, notes, onChanged, onSuccess, onError }) {
+  const { user } = useAuth();
+  const canManage = usePermission(PERMISSIONS.GOALS_MANAGE);
+  const [showForm, setShowForm] = useState(false);
+  const [newGoal, setNewGoal] = useState(EMPTY_GOAL);
+  const [saving, setSaving] = useState(false);
+  // The goal whose progress form is open: { goalId, note, progress, status }
+  const [update, setUpdate] = useState(null);
+  // The goal being edited: { goalId, title, category, targetDate, description }
+  const [editing, setEditing] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  const sorted = useMemo(() => sortGoals(goals), [goals]);
+  const summary = useMemo(() => summarizeGoals(goals), [goals]);
+  const milestoneNotes = useMemo(
+    () => redactNotes((notes || []).filter(note => note.goalId), user),
+    [notes, user]
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newGoal.title.trim()) {
+      onError?.('Goal title is required');
+      return;
+    }
+    try {
+      setSaving(true);
+      await createParticipantGoal(participantId, {
+        ...newGoal,
+        title: newGoal.title.trim(),
+        targetDate: newGoal.targetDate || undefined
+      });
+      setNewGoal(EMPTY_GOAL);
+      setShowForm(false);
+      onSuccess?.('Goal added successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to add goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (goal) => {
+    setUpdate(null);
+    setEditing({
+      goalId: goal.id,
+      title: goal.title || '',
+      category: goal.category || 'academic',
+      targetDate: toDateString(goal.targetDate),
+      description: goal.description || ''
+    });
+  };
+
+  // Changes the goal's details only; its status, progress and updates are kept
+  const handleEdit = async (e) => {
+    e.preventDefault();
+    if (!editing.title.trim()) {
+      onError?.('Goal title is required');
+      return;
+    }
+    try {
+      setSaving(true);
+      const { goalId, ...details } = editing;
+      await updateParticipantGoal(participantId, goalId, {
+        ...details,
+        title: details.title.trim(),
+        targetDate: details.targetDate || null
+      });
+      setEditing(null);
+      onSuccess?.('Goal updated successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to update goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openUpdate = (goal) => {
+    setEditing(null);
+    setUpdate({
+      goalId: goal.id,
+      note: '',
+      progress: getGoalProgress(goal),
+      status: goal.status === 'not-started' || !goal.status ? 'in-progress' : goal.status
+    });
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await addGoalUpdate(participantId, update.goalId, {
+        note: update.note.trim(),
+        progress: update.status === 'achieved' ? 100 : Number(update.progress),
+        status: update.status
+      });
+      setUpdate(null);
+      onSuccess?.('Goal progress updated!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to update goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm(`Delete the goal "${goal.title}"? Its progress updates will be lost; linked notes are kept.`)) return;
+    try {
+      await deleteParticipantGoal(participantId, goal.id);
+      onSuccess?.('Goal deleted successfully!');
+      await onChanged?.();
+    } catch (err) {
+      onError?.(err?.response?.data?.error || 'Failed to delete goal');
+    }
+  };
+
+  const toggle = (goalId, section) => {
+    setExpanded(prev => ({ ...prev, [goalId]: prev[goalId] === section ? null : section }));
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+        <div style={{ fontSize: '13px', color: '#666' }}>
+          {summary.total > 0
+            ? `${summary.achieved} of ${summary.total} achieved${summary.overdue ? ` • ${summary.overdue} overdue` : ''}`
+            : 'No goals set yet'}
+        </div>
+        {canManage && (
+          <button onClick={() => setShowForm(!showForm)} style={buttonStyle(showForm ? '#6c757d' : '#28a745')}>
+            {showForm ? 'Cancel' : '+ Add Goal'}
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          style={{ background: '#f8f9fa', padding: '15px', borderRadius: '6px', marginBottom: '15px' }}
+        >
+          <GoalFields goal={newGoal} onChange={setNewGoal} />
+          <button type="submit" disabled={saving} style={buttonStyle('#28a745', saving)}>
+            {saving ? 'Saving...' : 'Add Goal'}
+          </button>
+        </form>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        {sorted.map((goal, index) => {
+          const category = GOAL_CATEGORIES[goal.category];
+          const status = GOAL_STATUSES[goal.status] || GOAL_STATUSES['not-started'];
+          const progress = getGoalProgress(goal);
+          const overdue = isGoalOverdue(goal);
+          const updates = getGoalUpdates(goal);
+          const linkedNotes = milestoneNotes.filter(note => note.goalId === goal.id);
+          const section = expanded[goal.id];
+
+          return (
+            <div
+              key={goal.id || index}
+              style={{ background: '#f8f9fa', padding: '15px', borderRadius: '6px', border: '1px solid #e1e5e9' }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                <div>
+                  <strong style={{ color: '#333' }}>{goal.title}</strong>
+                  {category && <Badge color={category.color}>{category.label}</Badge>}
+                  <Badge color={status.color}>{status.label}</Badge>
+                </div>
+                {canManage && update?.goalId !== goal.id && editing?.goalId !== goal.id && (
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <button onClick={() => openUpdate(goal)} style={buttonStyle('#667eea')}>
+                      Update Progress
+                    </button>
+                    <button onClick={() => startEdit(goal)} style={{ ...buttonStyle('#ffc107'), color: '#333' }}>
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(goal)} style={buttonStyle('#dc3545')}>
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+              {goal.description && (
+                <div style={{ color: '#666', fontSize: '13px', marginTop: '6px' }}>{goal.description}</div>
+              )}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '10px' }}>
+                <div style={{ flex: 1, height: '8px', background: '#e9ecef', borderRadius: '4px', overflow: 'hidden' }}>
+                  <div style={{ width: `${progress}%`, height: '100%', background: status.color }} />
+                </div>
+                <span style={{ fontSize: '12px', color: '#666', minWidth: '35px' }}>{progress}%</span>
+              </div>
+              {goal.targetDate && (
+                <div style={{ fontSize: '12px', marginTop: '6px', color: overdue ? '#dc3545' : '#666' }}>
+                  Target: {formatNoteDate(goal.targetDate)}{overdue && ' (overdue)'}
+                </div>
+              )}
+
+              {editing?.goalId === goal.id && (
+                <form onSubmit={handleEdit} style={{ marginTop: '12px', borderTop: '1px solid #e1e5e9', paddingTop: '12px' }}>
+                  <GoalFields goal={editing} onChange={setEditing} />
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button type="submit" disabled={saving} style={buttonStyle('#28a745', saving)}>
+                      {saving ? 'Saving...' : 'Save Goal'}
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} disabled={saving} style={buttonStyle('#6c757d', saving)}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {update?.goalId === goal.id && (
+                <form onSubmit={handleUpdate} style={{ marginTop: '12px', borderTop: '1px solid #e1e5e9', paddingTop: '12px' }}>
+                  <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>Status</label>
+                      <select
+                        value={update.status}
+                        onChange={(e) => setUpdate({ ...update, status: e.target.value })}
+                        style={inputStyle}
+                      >
+                        {Object.entries(GOAL_STATUSES).map(([value, { label }]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>Progress: {update.status === 'achieved' ? 100 : update.progress}%</label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        step="5"
+                        value={update.status === 'achieved' ? 100 : update.progress}
+                        disabled={update.status === 'achieved'}
+                        onChange={(e) => setUpdate({ ...update, progress: e.target.value })}
+                        style={{ width: '100%' }}
+                      />
+                    </div>
+                  </div>
+                  <div style={{ marginBottom: '10px' }}>
+                    <label style={labelStyle}>What changed?</label>
+                    <textarea
+                      value={update.note}
+                      onChange={(e) => setUpdate({ ...update, note: e.target.value })}
+                      rows="2"
+                      style={{ ...inputStyle, resize: 'vertical' }}
+                    />
+                  </div>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button type="submit" disabled={saving} style={buttonStyle('#28a745', saving)}>
+                      {saving ? 'Saving...' : 'Save Update'}
+                    </button>
+                    <button type="button" onClick={() => setUpdate(null)} disabled={saving} style={buttonStyle('#6c757d', saving)}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {(updates.length > 0 || linkedNotes.length > 0) && (
+                <div style={{ marginTop: '10px' }}>
+                  {updates.length > 0 && (
+                    <button onClick={() => toggle(goal.id, 'updates')} style={linkStyle}>
+                      {section === 'updates' ? 'Hide updates' : `Updates (${updates.length})`}
+                    </button>
+                  )}
+                  {linkedNotes.length > 0 && (
+                    <button onClick={() => toggle(goal.id, 'notes')} style={linkStyle}>
+                      {section === 'notes' ? 'Hide milestone notes' : `Milestone notes (${linkedNotes.length})`}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {section === 'updates' && (
+                <div style={{ marginTop: '8px', borderLeft: '3px solid #e1e5e9', paddingLeft: '12px' }}>
+                  {updates.map((entry, entryIndex) => (
+                    <div key={entry.id || entryIndex} style={{ marginBottom: '8px', fontSize: '13px' }}>
+                      <div style={{ color: '#666' }}>
+                        {entry.author || 'Staff Member'} • {formatNoteDate(entry.createdAt, true)}
+                        {entry.status && ` • ${GOAL_STATUSES[entry.status]?.label || entry.status}`}
+                        {typeof entry.progress === 'number' && ` • ${entry.progress}%`}
+                      </div>
+                      {entry.note && <div style={{ color: '#333', whiteSpace: 'pre-wrap' }}>{entry.note}</div>}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {section === 'notes' && (
+                <div style={{ marginTop: '8px', borderLeft: '3px solid #28a745', paddingLeft: '12px' }}>
+                  {linkedNotes.map((note, noteIndex) => (
+                    <div key={note.id || noteIndex} style={{ marginBottom: '8px', fontSize: '13px' }}>
+                      <div style={{ color: '#666' }}>
+                        {note.author || 'Staff Member'} • {formatNoteDate(note.createdAt)}
+                      </div>
+                      {note.redacted ? (
+                        <div style={{ color: '#999', fontStyle: 'italic' }}>Restricted note</div>
+                      ) : (
+                        <div style={{ color: '#333', whiteSpace: 'pre-wrap' }}>{note.content}</div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { checkPassword } from '../utils/password';
+
+// Strength bar and rule checklist shown under a new-password field
+export default function PasswordStrengthMeter({ password }) {
+  if (!password) return null;
+  const { rules, score, label, color } = checkPassword(password);
+
+  return (
+    <div style={{ marginTop: '8px' }} aria-live="polite">
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+        <div style={{ flex: 1, height: '6px', background: '#e9ecef', borderRadius: '3px', overflow: 'hidden' }}>
+          <div style={{
+            width: `${((score + 1) / 5) * 100}%`,
+            height: '100%',
+            background: color,
+            transition: 'width 0.2s'
+          }} />
+        </div>
+        <span style={{ fontSize: '12px', color, fontWeight: '500', minWidth: '60px' }}>{label}</span>
+      </div>
+      <ul style={{ listStyle: 'none', padding: 0, margin: '6px 0 0 0', fontSize: '12px' }}>
+        {rules.map(rule => (
+          <li key={rule.id} style={{ color: rule.met ? '#28a745' : '#666' }}>
+            {rule.met ? '✓' : '○'} {rule.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React from 'react';
+import { toDate } from '../utils/participantFilters';
+
+// Grid of uploaded photos with caption, activity, date and tagged participants.
+// Pass `onDelete` to show a delete button on each photo.
+export default function PhotoGallery({ photos, participantNames = {}, onDelete, thumbnailHeight = 200 }) {
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: `repeat(auto-fill, minmax(${thumbnailHeight}px, 1fr))`,
+      gap: '15px'
+    }}>
+      {photos.map((photo, index) => {
+        const uploadedAt = toDate(photo.uploadedAt);
+        // Backend may return tagged participants as objects or as bare IDs
+        const tagged = (photo.taggedParticipants || photo.taggedParticipantIds || [])
+          .map(tag => (typeof tag === 'string' ? participantNames[tag] : tag?.name))
+          .filter(Boolean);
+
+        return (
+          <div key={photo.id || index} style={{ position: 'relative' }}>
+            <img
+              src={photo.url}
+              alt={photo.caption || `Upload ${index + 1}`}
+              style={{
+                width: '100%',
+                height: `${thumbnailHeight}px`,
+                objectFit: 'cover',
+                borderRadius: '6px',
+                border: '1px solid #e1e5e9'
+              }}
+            />
+            {onDelete && (
+              <button
+                onClick={() => onDelete(photo)}
+                style={{
+                  position: 'absolute',
+                  top: '8px',
+                  right: '8px',
+                  background: 'rgba(220, 53, 69, 0.9)',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '50%',
+                  width: '28px',
+                  height: '28px',
+                  cursor: 'pointer',
+                  fontSize: '16px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontWeight: 'bold'
+                }}
+                title="Delete photo"
+              >
+                ×
+              </button>
+            )}
+            <div style={{ marginTop: '8px', fontSize: '12px', color: '#666' }}>
+              {photo.caption && <div><strong>Caption:</strong> {photo.caption}</div>}
+              {photo.activity && <div><strong>Activity:</strong> {photo.activity}</div>}
+              {tagged.length > 0 && <div><strong>Tagged:</strong> {tagged.join(', ')}</div>}
+              {uploadedAt && (
+                <div style={{ marginTop: '3px', fontSize: '11px', color: '#999' }}>
+                  {uploadedAt.toLocaleDateString()}
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Show the warning this long before the access token expires
+const WARNING_MS = 5 * 60 * 1000;
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const ACTIVITY_EVENTS = ['keydown', 'mousedown', 'touchstart', 'scroll'];
+
+// Countdown modal shown shortly before the session expires. If the server issued a
+// refresh token and the user has been active recently, the session is extended
+// silently instead; otherwise staff can extend it from the modal or sign out.
+// If the countdown runs out the session ends without clearing form drafts, so they
+// can be restored after signing in again.
+export default function SessionExpiryWarning() {
+  const { expiresAt, canExtendSession, extendSession, expireSession, logout } = useAuth();
+  const [now, setNow] = useState(Date.now());
+  const [extending, setExtending] = useState(false);
+  const [error, setError] = useState('');
+  const lastActivityRef = useRef(Date.now());
+
+  useEffect(() => {
+    const markActive = () => {
+      lastActivityRef.current = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, markActive, { passive: true, capture: true }));
+    return () => ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, markActive, { capture: true }));
+  }, []);
+
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  const remaining = expiresAt ? expiresAt - now : Infinity;
+
+  useEffect(() => {
+    if (remaining <= 0) expireSession();
+  }, [remaining, expireSession]);
+
+  // A new token (from the modal or a silent refresh) resets any previous error
+  useEffect(() => {
+    setError('');
+  }, [expiresAt]);
+
+  const inWarningWindow = remaining <= WARNING_MS && remaining > 0;
+  const recentlyActive = now - lastActivityRef.current < WARNING_MS;
+  const extendSilently = inWarningWindow && canExtendSession && recentlyActive && !error;
+
+  const handleExtend = async () => {
+    try {
+      setExtending(true);
+      setError('');
+      await extendSession();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Could not extend your session. Save your work and sign in again.');
+    } finally {
+      setExtending(false);
+    }
+  };
+
+  useEffect(() => {
+    if (extendSilently && !extending) handleExtend();
+    // eslint-disable-next-line
+  }, [extendSilently]);
+
+  if (!inWarningWindow || extendSilently) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div
+        role="alertdialog"
+        aria-labelledby="session-expiry-title"
+        style={{
+          background: 'white',
+          borderRadius: '8px',
+          padding: '30px',
+          maxWidth: '420px',
+          width: '100%',
+          boxShadow: '0 10px 40px rgba(0,0,0,0.2)',
+          textAlign: 'center'
+        }}
+      >
+        <h3 id="session-expiry-title" style={{ margin: '0 0 10px 0', color: '#333' }}>
+          Your session is about to expire
+        </h3>
+        <div style={{ fontSize: '36px', fontWeight: '600', color: '#dc3545', margin: '15px 0' }}>
+          {formatCountdown(remaining)}
+        </div>
+        <p style={{ color: '#666', fontSize: '14px', margin: '0 0 20px 0' }}>
+          {canExtendSession
+            ? 'Stay signed in to keep working. If the timer runs out you will need to sign in again; unsaved notes and forms will be kept.'
+            : 'You will need to sign in again when the timer runs out. Unsaved notes and forms will be kept.'}
+        </p>
+        {error && (
+          <div style={{
+            background: '#f8d7da',
+            color: '#721c24',
+            padding: '10px',
+            borderRadius: '4px',
+            marginBottom: '15px',
+            fontSize: '13px',
+            border: '1px solid #f5c6cb'
+          }}>
+            {error}
+          </div>
+        )}
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+          {canExtendSession && (
+            <button
+              onClick={handleExtend}
+              disabled={extending}
+              style={{
+                background: '#667eea',
+                color: 'white',
+                border: 'none',
+                padding: '10px 20px',
+                borderRadius: '5px',
+                cursor: extending ? 'not-allowed' : 'pointer',
+                opacity: extending ? 0.6 : 1
+              }}
+            >
+              {extending ? 'Extending...' : 'Stay Signed In'}
+            </button>
+          )}
+          <button
+            onClick={logout}
+            style={{
+              background: '#6c757d',
+              color: 'white',
+              border: 'none',
+              padding: '10px 20px',
+              borderRadius: '5px',
+              cursor: 'pointer'
+            }}
+          >
+            Sign Out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
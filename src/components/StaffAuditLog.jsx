@@ -0,0 +1,101 @@
+import React, { useEffect } from 'react';
+import usePaginatedList from '../hooks/usePaginatedList';
+import PaginationControls from './PaginationControls';
+import { fetchStaffAuditLog } from '../services/api';
+import { toDate } from '../utils/participantFilters';
+import { ROLE_LABELS } from '../utils/permissions';
+
+const PAGE_SIZE = 20;
+
+const describeEntry = (entry) => {
+  const target = entry.targetName || 'a staff member';
+  const details = entry.details || {};
+  switch (entry.action) {
+    case 'role-changed':
+      return `changed ${target}'s role from ${ROLE_LABELS[details.from] || details.from || '?'} to ${ROLE_LABELS[details.to] || details.to || '?'}`;
+    case 'deactivated':
+      return `deactivated ${target}'s account`;
+    case 'reactivated':
+      return `reactivated ${target}'s account`;
+    case 'password-reset-forced':
+      return `forced a password reset for ${target}`;
+    case 'invite-created':
+      return `invited ${details.email || target} as ${ROLE_LABELS[details.role] || details.role || 'staff'}`;
+    case 'invite-revoked':
+      return `revoked the invitation for ${details.email || target}`;
+    default:
+      return `${entry.action || 'updated'} ${target}`;
+  }
+};
+
+// Most recent staff account changes, newest first. Bump `refreshKey` after making a
+// change so the new entry shows up.
+export default function StaffAuditLog({ refreshKey = 0 }) {
+  const log = usePaginatedList(fetchStaffAuditLog, {
+    itemsKey: 'entries',
+    pageSize: PAGE_SIZE,
+    mode: 'replace'
+  });
+
+  useEffect(() => {
+    if (refreshKey) log.reload();
+    // eslint-disable-next-line
+  }, [refreshKey]);
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e1e5e9',
+      borderRadius: '8px',
+      overflow: 'hidden',
+      marginTop: '30px'
+    }}>
+      <div style={{
+        background: '#f8f9fa',
+        padding: '15px 20px',
+        borderBottom: '1px solid #e1e5e9',
+        fontWeight: '600',
+        color: '#333'
+      }}>
+        Audit Log
+      </div>
+      {log.error && (
+        <div style={{ padding: '15px 20px', color: '#721c24' }}>{log.error}</div>
+      )}
+      {log.loading ? (
+        <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>Loading audit log...</div>
+      ) : log.items.length === 0 ? (
+        <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>No staff changes recorded yet.</div>
+      ) : (
+        log.items.map((entry, index) => (
+          <div
+            key={entry.id || index}
+            style={{
+              padding: '12px 20px',
+              borderBottom: index < log.items.length - 1 ? '1px solid #f0f0f0' : 'none',
+              display: 'flex',
+              justifyContent: 'space-between',
+              gap: '15px',
+              fontSize: '14px'
+            }}
+          >
+            <div style={{ color: '#333' }}>
+              <strong>{entry.actorName || 'Unknown'}</strong> {describeEntry(entry)}
+            </div>
+            <div style={{ color: '#999', fontSize: '12px', whiteSpace: 'nowrap' }}>
+              {toDate(entry.createdAt)?.toLocaleString() || ''}
+            </div>
+          </div>
+        ))
+      )}
+      <div style={{ padding: log.totalPages > 1 ? '10px 20px' : 0 }}>
+        <PaginationControls
+          page={log.page}
+          totalPages={log.totalPages}
+          onPageChange={log.goToPage}
+          disabled={log.loading}
+        />
+      </div>
+    </div>
+  );
+}
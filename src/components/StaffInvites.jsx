@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from 'react';
+import { fetchStaffInvites, createStaffInvite, revokeStaffInvite } from '../services/api';
+import { ROLE_LABELS } from '../utils/permissions';
+import { toDate } from '../utils/participantFilters';
+
+const inviteLink = (token) => `${window.location.origin}/register?invite=${encodeURIComponent(token)}`;
+
+const inputStyle = {
+  padding: '8px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px'
+};
+
+// Admin panel for one-time registration invites. Each invite fixes the new account's
+// role; the invitee registers from the link. `onChange` is called after an invite is
+// created or revoked (e.g. to refresh the audit log).
+export default function StaffInvites({ onChange }) {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('umd');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  // The invite just created, so its link can be copied (tokens aren't listed again)
+  const [created, setCreated] = useState(null);
+
+  useEffect(() => {
+    loadInvites();
+  }, []);
+
+  const loadInvites = async () => {
+    try {
+      setLoading(true);
+      const response = await fetchStaffInvites();
+      setInvites(response.data?.invites || response.data || []);
+    } catch (err) {
+      console.error('Error loading invites:', err);
+      setError(err?.response?.data?.error || 'Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Invite ${email} as ${ROLE_LABELS[role]}? They will be able to create an account with this role.`)) {
+      return;
+    }
+
+    try {
+      setCreating(true);
+      setError('');
+      const response = await createStaffInvite({ email: email.trim(), role });
+      setCreated(response.data?.invite || response.data);
+      setEmail('');
+      await loadInvites();
+      onChange?.();
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to create invitation');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm(`Revoke the invitation for ${invite.email}? The link will stop working.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await revokeStaffInvite(invite.id);
+      if (created?.id === invite.id) setCreated(null);
+      setSuccess(`Invitation for ${invite.email} revoked.`);
+      await loadInvites();
+      onChange?.();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to revoke invitation');
+    }
+  };
+
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(token));
+      setSuccess('Invite link copied to clipboard.');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch {
+      setError('Could not copy the link. Select it and copy it manually.');
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e1e5e9',
+      borderRadius: '8px',
+      overflow: 'hidden',
+      marginTop: '30px'
+    }}>
+      <div style={{
+        background: '#f8f9fa',
+        padding: '15px 20px',
+        borderBottom: '1px solid #e1e5e9',
+        fontWeight: '600',
+        color: '#333'
+      }}>
+        Invitations
+      </div>
+      <div style={{ padding: '20px' }}>
+        <form onSubmit={handleCreate} style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="new.staff@example.com"
+            required
+            style={{ ...inputStyle, flex: 1, minWidth: '220px' }}
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} style={inputStyle}>
+            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={creating}
+            style={{
+              background: '#667eea',
+              color: 'white',
+              border: 'none',
+              padding: '8px 16px',
+              borderRadius: '4px',
+              cursor: creating ? 'not-allowed' : 'pointer',
+              opacity: creating ? 0.6 : 1,
+              fontSize: '14px'
+            }}
+          >
+            {creating ? 'Creating...' : 'Create Invite'}
+          </button>
+        </form>
+
+        {success && (
+          <div style={{ marginTop: '15px', color: '#155724', fontSize: '14px' }}>✅ {success}</div>
+        )}
+        {error && (
+          <div style={{ marginTop: '15px', color: '#721c24', fontSize: '14px' }}>❌ {error}</div>
+        )}
+
+        {created?.token && (
+          <div style={{
+            marginTop: '15px',
+            padding: '12px',
+            background: '#e7f3ff',
+            border: '1px solid #b8daff',
+            borderRadius: '6px',
+            fontSize: '13px'
+          }}>
+            <div style={{ marginBottom: '8px', color: '#004085' }}>
+              Send this one-time link to {created.email}. It registers them as {ROLE_LABELS[created.role] || created.role}.
+            </div>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <input
+                readOnly
+                value={inviteLink(created.token)}
+                onFocus={(e) => e.target.select()}
+                style={{ ...inputStyle, flex: 1, fontSize: '12px' }}
+              />
+              <button
+                onClick={() => handleCopy(created.token)}
+                style={{
+                  background: '#007bff',
+                  color: 'white',
+                  border: 'none',
+                  padding: '6px 12px',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+              >
+                Copy Link
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div style={{ marginTop: '20px' }}>
+          {loading ? (
+            <div style={{ color: '#666', fontSize: '14px' }}>Loading invitations...</div>
+          ) : invites.length === 0 ? (
+            <div style={{ color: '#666', fontSize: '14px' }}>No pending invitations.</div>
+          ) : (
+            invites.map((invite, index) => (
+              <div
+                key={invite.id || index}
+                style={{
+                  padding: '10px 0',
+                  borderTop: '1px solid #f0f0f0',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '10px',
+                  fontSize: '14px'
+                }}
+              >
+                <div>
+                  <strong>{invite.email}</strong>
+                  <span style={{ color: '#666' }}> — {ROLE_LABELS[invite.role] || invite.role}</span>
+                  {toDate(invite.expiresAt) && (
+                    <div style={{ fontSize: '12px', color: '#999' }}>
+                      Expires {toDate(invite.expiresAt).toLocaleString()}
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleRevoke(invite)}
+                  style={{
+                    background: '#dc3545',
+                    color: 'white',
+                    border: 'none',
+                    padding: '6px 12px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  Revoke
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
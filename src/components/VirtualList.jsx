@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Renders only the rows currently in view (plus `overscan` on each side) so lists with
+// thousands of records stay responsive. Rows must have a fixed height.
+// `onEndReached` fires when the user scrolls within `endThreshold` rows of the end,
+// or when the loaded rows don't fill the viewport yet.
+export default function VirtualList({
+  items,
+  rowHeight,
+  height = 600,
+  overscan = 5,
+  endThreshold = 10,
+  renderRow,
+  getKey = (item, index) => item.id || index,
+  onEndReached,
+  footer
+}) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const totalHeight = items.length * rowHeight;
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+
+  useEffect(() => {
+    if (onEndReached && end >= items.length - endThreshold) {
+      onEndReached();
+    }
+  }, [end, items.length, endThreshold, onEndReached]);
+
+  // Reset scroll position when the list is replaced (e.g. new filters)
+  useEffect(() => {
+    if (items.length === 0 && containerRef.current) {
+      containerRef.current.scrollTop = 0;
+      setScrollTop(0);
+    }
+  }, [items.length]);
+
+  const rows = [];
+  for (let index = start; index < end; index += 1) {
+    const item = items[index];
+    rows.push(
+      <div
+        key={getKey(item, index)}
+        style={{
+          position: 'absolute',
+          top: index * rowHeight,
+          left: 0,
+          right: 0,
+          height: rowHeight
+        }}
+      >
+        {renderRow(item, index)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ maxHeight: height, overflowY: 'auto', position: 'relative' }}
+    >
+      <div style={{ height: totalHeight, position: 'relative' }}>
+        {rows}
+      </div>
+      {footer}
+    </div>
+  );
+}
@@ -1,46 +1,127 @@
 import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { refreshSession } from '../services/api';
+import { TOKEN_KEY, USER_KEY, REFRESH_TOKEN_KEY, SESSION_ENDED_KEY, getTokenExpiry } from '../utils/session';
+import { clearAllDrafts } from '../utils/drafts';
 
 const AuthContext = createContext(undefined);
 
-export function AuthProvider({ children }) {
-  const [token, setToken] = useState(() => localStorage.getItem('hs_token') || '');
-  const [user, setUser] = useState(() => {
-    const raw = localStorage.getItem('hs_user');
+const parseUser = (raw) => {
+  try {
     return raw ? JSON.parse(raw) : null;
-  });
+  } catch {
+    return null;
+  }
+};
+
+export function AuthProvider({ children }) {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY) || '');
+  const [refreshToken, setRefreshToken] = useState(() => localStorage.getItem(REFRESH_TOKEN_KEY) || '');
+  const [user, setUser] = useState(() => parseUser(localStorage.getItem(USER_KEY)));
+  // Why the last session ended without a logout ('expired' | 'invalid'), so routes
+  // can send the user to /login with a message and a redirect back
+  const [sessionEnded, setSessionEnded] = useState('');
 
   useEffect(() => {
-    if (token) localStorage.setItem('hs_token', token); else localStorage.removeItem('hs_token');
+    if (token) localStorage.setItem(TOKEN_KEY, token); else localStorage.removeItem(TOKEN_KEY);
   }, [token]);
 
   useEffect(() => {
-    if (user) localStorage.setItem('hs_user', JSON.stringify(user)); else localStorage.removeItem('hs_user');
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken); else localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }, [refreshToken]);
+
+  useEffect(() => {
+    if (user) localStorage.setItem(USER_KEY, JSON.stringify(user)); else localStorage.removeItem(USER_KEY);
   }, [user]);
 
-  // Listen for token expiration events from API interceptor
+  // Listen for token refresh/expiration events from API interceptor
   useEffect(() => {
-    const handleTokenExpired = () => {
+    const handleTokenRefreshed = (e) => {
+      setToken(e.detail.token);
+      if (e.detail.refreshToken) setRefreshToken(e.detail.refreshToken);
+    };
+
+    const handleTokenExpired = (e) => {
       setToken('');
+      setRefreshToken('');
       setUser(null);
+      setSessionEnded(e.detail?.reason || 'expired');
     };
 
+    window.addEventListener('auth:token-refreshed', handleTokenRefreshed);
     window.addEventListener('auth:token-expired', handleTokenExpired);
-    return () => window.removeEventListener('auth:token-expired', handleTokenExpired);
+    return () => {
+      window.removeEventListener('auth:token-refreshed', handleTokenRefreshed);
+      window.removeEventListener('auth:token-expired', handleTokenExpired);
+    };
+  }, []);
+
+  // Keep other open tabs in sync: storage events fire there whenever this tab's
+  // login, logout, token refresh, expiry or user (e.g. role) change is written
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.storageArea !== localStorage) return;
+      if (e.key === TOKEN_KEY) {
+        setToken(e.newValue || '');
+        if (e.newValue) {
+          setSessionEnded('');
+        } else {
+          // The reason is written before the token is removed; none means a logout
+          const reason = localStorage.getItem(SESSION_ENDED_KEY) || '';
+          setSessionEnded(reason);
+          if (!reason) clearAllDrafts();
+        }
+      } else if (e.key === REFRESH_TOKEN_KEY) {
+        setRefreshToken(e.newValue || '');
+      } else if (e.key === USER_KEY) {
+        setUser(parseUser(e.newValue));
+      } else if (e.key === null) {
+        // localStorage.clear() in another tab
+        setToken('');
+        setRefreshToken('');
+        setUser(null);
+        setSessionEnded('');
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
 
   const value = useMemo(() => ({
     token,
     user,
     isAuthenticated: Boolean(token),
-    login: ({ token: t, user: u }) => {
+    // When the access token expires (ms since epoch), or null if unknown
+    expiresAt: token ? getTokenExpiry(token) : null,
+    canExtendSession: Boolean(refreshToken),
+    sessionEnded,
+    login: ({ token: t, user: u, refreshToken: r }) => {
+      localStorage.removeItem(SESSION_ENDED_KEY);
       setToken(t);
+      setRefreshToken(r || '');
       setUser(u);
+      setSessionEnded('');
     },
     logout: () => {
+      localStorage.removeItem(SESSION_ENDED_KEY);
       setToken('');
+      setRefreshToken('');
       setUser(null);
-    }
-  }), [token, user]);
+      setSessionEnded('');
+      clearAllDrafts();
+    },
+    // Merge profile changes (e.g. from the account page) into the signed-in user
+    updateUser: (changes) => setUser(prev => (prev ? { ...prev, ...changes } : prev)),
+    // End the session without discarding drafts, e.g. when the expiry countdown runs out
+    expireSession: () => {
+      localStorage.setItem(SESSION_ENDED_KEY, 'expired');
+      setToken('');
+      setRefreshToken('');
+      setUser(null);
+      setSessionEnded('expired');
+    },
+    extendSession: refreshSession
+  }), [token, refreshToken, user, sessionEnded]);
 
   return (
     <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
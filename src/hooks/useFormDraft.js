@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { loadDraft, saveDraft, clearDraft as removeDraft } from '../utils/drafts';
+
+// Keep an in-progress form in sessionStorage so it survives a forced re-login.
+//
+// `value` is the draft to keep, or null when there is nothing worth keeping (e.g. the
+// form is empty or unchanged). `onRestore` is called once with a saved draft as soon as
+// `enabled` is true — pass enabled=false until the form's initial data has loaded so the
+// draft isn't overwritten by it. Call `clearDraft` after the form is saved.
+export default function useFormDraft(key, value, onRestore, { enabled = true } = {}) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [restored, setRestored] = useState(false);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+  const restoredKeyRef = useRef(null);
+  const serialized = JSON.stringify(value ?? null);
+
+  useEffect(() => {
+    if (!enabled || !userId || restoredKeyRef.current === key) return;
+    restoredKeyRef.current = key;
+    const draft = loadDraft(userId, key);
+    if (draft !== null) {
+      onRestoreRef.current(draft);
+      setRestored(true);
+    }
+  }, [enabled, userId, key]);
+
+  useEffect(() => {
+    if (!enabled || !userId || restoredKeyRef.current !== key) return;
+    const current = JSON.parse(serialized);
+    if (current === null) removeDraft(userId, key); else saveDraft(userId, key, current);
+  }, [enabled, userId, key, serialized]);
+
+  const clearDraft = useCallback(() => {
+    if (userId) removeDraft(userId, key);
+    setRestored(false);
+  }, [userId, key]);
+
+  return { restored, clearDraft };
+}
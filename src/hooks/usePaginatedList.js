@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Normalize the backend's { pagination } block; older endpoints return a bare array
+export const getTotalPages = (pagination) => {
+  if (!pagination) return 1;
+  if (pagination.totalPages) return pagination.totalPages;
+  if (pagination.pages) return pagination.pages;
+  if (pagination.total && pagination.limit) return Math.ceil(pagination.total / pagination.limit);
+  return 1;
+};
+
+// Load a list page by page from an endpoint that returns { [itemsKey]: [...], pagination: {...} }.
+//
+// mode 'append' accumulates pages for infinite scroll (call loadMore near the end of the list);
+// mode 'replace' keeps only the current page for page controls (call goToPage).
+// Any change to `params` starts over from page 1.
+export default function usePaginatedList(fetchPage, {
+  itemsKey,
+  params = {},
+  pageSize = 50,
+  mode = 'append',
+  enabled = true
+} = {}) {
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(enabled);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const requestIdRef = useRef(0);
+  const fetchPageRef = useRef(fetchPage);
+  fetchPageRef.current = fetchPage;
+
+  const paramsKey = JSON.stringify(params);
+
+  const load = useCallback(async (pageToLoad, append) => {
+    const requestId = ++requestIdRef.current;
+    try {
+      if (append) setLoadingMore(true); else setLoading(true);
+      setError('');
+      const response = await fetchPageRef.current({ ...JSON.parse(paramsKey), page: pageToLoad, limit: pageSize });
+      // Ignore responses for a page/params combination that has since been superseded
+      if (requestId !== requestIdRef.current) return;
+      const data = response.data;
+      const pageItems = data?.[itemsKey] || (Array.isArray(data) ? data : []);
+      setItems(prev => (append ? prev.concat(pageItems) : pageItems));
+      setPagination(data?.pagination || null);
+      setPage(pageToLoad);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error(`Error loading ${itemsKey || 'list'}:`, err);
+      setError(err?.response?.data?.error || `Failed to load ${itemsKey || 'list'}`);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [itemsKey, paramsKey, pageSize]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    load(1, false);
+  }, [load, enabled]);
+
+  const totalPages = getTotalPages(pagination);
+  const hasMore = pagination ? (pagination.hasMore ?? page < totalPages) : false;
+
+  const loadMore = useCallback(() => {
+    if (loading || loadingMore || !hasMore) return;
+    load(page + 1, mode === 'append');
+  }, [load, loading, loadingMore, hasMore, page, mode]);
+
+  const goToPage = useCallback((nextPage) => {
+    if (nextPage < 1 || nextPage > totalPages || loading) return;
+    load(nextPage, false);
+  }, [load, totalPages, loading]);
+
+  const reload = useCallback(() => load(1, false), [load]);
+
+  return {
+    items,
+    setItems,
+    pagination,
+    page,
+    totalPages,
+    total: pagination?.total ?? items.length,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    goToPage,
+    reload
+  };
+}
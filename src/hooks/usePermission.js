@@ -0,0 +1,8 @@
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+// Whether the signed-in user holds `permission` (or any of a list of permissions)
+export default function usePermission(permission) {
+  const { user } = useAuth();
+  return hasPermission(user, permission);
+}
@@ -0,0 +1,38 @@
+import { useEffect } from 'react';
+
+const DEFAULT_MESSAGE = 'You have unsaved changes. Are you sure you want to leave this page?';
+
+// Warn before the user leaves a page with unsaved changes.
+// Covers browser navigation (reload, close tab, external links) through beforeunload,
+// and in-app <Link> clicks through a capturing click listener, since the router
+// is a plain BrowserRouter and can't block navigation itself.
+export default function useUnsavedChangesWarning(when, message = DEFAULT_MESSAGE) {
+  useEffect(() => {
+    if (!when) return undefined;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = message;
+      return message;
+    };
+
+    const handleLinkClick = (e) => {
+      const link = e.target.closest?.('a[href]');
+      if (!link || link.target === '_blank') return;
+      if (!window.confirm(message)) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    document.addEventListener('click', handleLinkClick, true);
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      document.removeEventListener('click', handleLinkClick, true);
+    };
+  }, [when, message]);
+
+  // Use for programmatic navigation (e.g. "Back" buttons calling navigate())
+  return () => !when || window.confirm(message);
+}
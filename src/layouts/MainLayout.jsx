@@ -1,6 +1,9 @@
 import React from 'react';
 import { Link, Outlet, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import SessionExpiryWarning from '../components/SessionExpiryWarning';
+import Can from '../components/Can';
+import { PERMISSIONS } from '../utils/permissions';
 
 export default function MainLayout() {
   const { user, logout } = useAuth();
@@ -85,6 +88,23 @@ export default function MainLayout() {
                 📚 Programs
               </Link>
             </li>
+            <li>
+              <Link 
+                to="/notes"
+                style={{
+                  display: 'block',
+                  padding: '12px 20px',
+                  color: '#333',
+                  textDecoration: 'none',
+                  fontSize: '14px',
+                  transition: 'background 0.2s'
+                }}
+                onMouseEnter={(e) => e.target.style.background = '#f8f9fa'}
+                onMouseLeave={(e) => e.target.style.background = 'transparent'}
+              >
+                📝 Notes
+              </Link>
+            </li>
             <li>
               <Link 
                 to="/staff"
@@ -102,7 +122,7 @@ export default function MainLayout() {
                 👤 Staff
               </Link>
             </li>
-            {isHeartSmiles && (
+            <Can permission={PERMISSIONS.IMPORT_RUN}>
               <li>
                 <Link 
                   to="/import"
@@ -120,7 +140,7 @@ export default function MainLayout() {
                   📥 Import Data
                 </Link>
               </li>
-            )}
+            </Can>
             <li>
               <Link 
                 to="/export"
@@ -151,6 +171,9 @@ export default function MainLayout() {
             <div style={{ fontSize: '11px', marginTop: '2px' }}>
               {isHeartSmiles ? 'HeartSmiles Staff' : 'UMD Staff'}
             </div>
+            <Link to="/account" style={{ display: 'inline-block', marginTop: '6px', fontSize: '12px', color: '#667eea', textDecoration: 'none' }}>
+              ⚙️ My Account
+            </Link>
           </div>
           <button
             onClick={handleLogout}
@@ -178,6 +201,7 @@ export default function MainLayout() {
       }}>
         <Outlet />
       </main>
+      <SessionExpiryWarning />
     </div>
   );
 }
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { updateProfile, changePassword } from '../services/api';
+import { checkPassword } from '../utils/password';
+import { ROLE_LABELS } from '../utils/permissions';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+
+const cardStyle = {
+  background: 'white',
+  border: '1px solid #e1e5e9',
+  borderRadius: '8px',
+  padding: '25px',
+  marginBottom: '25px',
+  maxWidth: '600px'
+};
+
+const labelStyle = { display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' };
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const buttonStyle = (disabled) => ({
+  background: '#667eea',
+  color: 'white',
+  border: 'none',
+  padding: '10px 20px',
+  borderRadius: '5px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1
+});
+
+const Banner = ({ type, children }) => (
+  <div style={{
+    background: type === 'success' ? '#d4edda' : '#f8d7da',
+    color: type === 'success' ? '#155724' : '#721c24',
+    padding: '12px 20px',
+    borderRadius: '6px',
+    marginBottom: '20px',
+    border: `1px solid ${type === 'success' ? '#c3e6cb' : '#f5c6cb'}`
+  }}>
+    {type === 'success' ? '✅' : '❌'} {children}
+  </div>
+);
+
+const Account = () => {
+  const { user, updateUser } = useAuth();
+
+  const [profile, setProfile] = useState({ name: user?.name || '', email: user?.email || '' });
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [profileError, setProfileError] = useState('');
+  const [profileSuccess, setProfileSuccess] = useState('');
+
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordSuccess, setPasswordSuccess] = useState('');
+
+  const profileChanged = profile.name.trim() !== (user?.name || '') || profile.email.trim() !== (user?.email || '');
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    const name = profile.name.trim();
+    const email = profile.email.trim();
+    if (!name || !email) {
+      setProfileError('Name and email are required');
+      return;
+    }
+
+    try {
+      setSavingProfile(true);
+      setProfileError('');
+      const response = await updateProfile({ name, email });
+      updateUser(response.data?.staff || { name, email });
+      setProfileSuccess('Profile updated successfully!');
+      setTimeout(() => setProfileSuccess(''), 3000);
+    } catch (err) {
+      setProfileError(err?.response?.data?.error || 'Failed to update profile');
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (!checkPassword(passwords.next).valid) {
+      setPasswordError('The new password does not meet all of the requirements');
+      return;
+    }
+    if (passwords.next !== passwords.confirm) {
+      setPasswordError('New passwords do not match');
+      return;
+    }
+    if (passwords.next === passwords.current) {
+      setPasswordError('The new password must be different from your current password');
+      return;
+    }
+
+    try {
+      setSavingPassword(true);
+      setPasswordError('');
+      await changePassword(passwords.current, passwords.next);
+      setPasswords({ current: '', next: '', confirm: '' });
+      setPasswordSuccess('Password changed successfully!');
+      setTimeout(() => setPasswordSuccess(''), 3000);
+    } catch (err) {
+      setPasswordError(err?.response?.data?.error || 'Failed to change password');
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <h1>My Account</h1>
+      <p style={{ color: '#666', marginBottom: '30px' }}>
+        {user?.username && <>Signed in as <strong>{user.username}</strong> • </>}
+        {ROLE_LABELS[user?.role] || user?.role}
+      </p>
+
+      <div style={cardStyle}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333' }}>Profile</h3>
+        {profileSuccess && <Banner type="success">{profileSuccess}</Banner>}
+        {profileError && <Banner type="error">{profileError}</Banner>}
+        <form onSubmit={handleProfileSubmit}>
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>Name *</label>
+            <input
+              value={profile.name}
+              onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+              required
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Email *</label>
+            <input
+              type="email"
+              value={profile.email}
+              onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+              required
+              style={inputStyle}
+            />
+          </div>
+          <button type="submit" disabled={savingProfile || !profileChanged} style={buttonStyle(savingProfile || !profileChanged)}>
+            {savingProfile ? 'Saving...' : 'Save Profile'}
+          </button>
+        </form>
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333' }}>Change Password</h3>
+        {passwordSuccess && <Banner type="success">{passwordSuccess}</Banner>}
+        {passwordError && <Banner type="error">{passwordError}</Banner>}
+        <form onSubmit={handlePasswordSubmit}>
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>Current Password *</label>
+            <input
+              type="password"
+              value={passwords.current}
+              onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+              required
+              autoComplete="current-password"
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ marginBottom: '15px' }}>
+            <label style={labelStyle}>New Password *</label>
+            <input
+              type="password"
+              value={passwords.next}
+              onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+              required
+              autoComplete="new-password"
+              style={inputStyle}
+            />
+            <PasswordStrengthMeter password={passwords.next} />
+          </div>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={labelStyle}>Confirm New Password *</label>
+            <input
+              type="password"
+              value={passwords.confirm}
+              onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+              required
+              autoComplete="new-password"
+              style={inputStyle}
+            />
+          </div>
+          <button type="submit" disabled={savingPassword} style={buttonStyle(savingPassword)}>
+            {savingPassword ? 'Changing...' : 'Change Password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Account;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { fetchParticipants, fetchPrograms } from '../services/api';
+import Can from '../components/Can';
+import { PERMISSIONS, ROLE_LABELS } from '../utils/permissions';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -19,18 +21,20 @@ const Dashboard = () => {
   const loadDashboardData = async () => {
     try {
       setLoading(true);
+      // Only the first few participants are shown, so let the server count the rest
       const [participantsRes, programsRes] = await Promise.all([
-        fetchParticipants(),
+        fetchParticipants({ page: 1, limit: 5, isActive: true }),
         fetchPrograms()
       ]);
 
       // Backend returns { participants: [...], pagination: {...} } or just array
       const participants = participantsRes.data?.participants || participantsRes.data || [];
+      const participantPagination = participantsRes.data?.pagination;
       // Backend returns { programs: [...], pagination: {...} } or just array
       const programs = programsRes.data?.programs || programsRes.data || [];
 
       setStats({
-        totalParticipants: participants.length,
+        totalParticipants: participantPagination?.total ?? participants.length,
         totalPrograms: programs.length,
         recentParticipants: participants.slice(0, 5),
         recentPrograms: programs.slice(0, 5)
@@ -56,7 +60,7 @@ const Dashboard = () => {
         <h1>Dashboard</h1>
         <p>Welcome back, {user?.name || 'User'}!</p>
         <p style={{ color: '#666', fontSize: '14px' }}>
-          Role: {user?.role === 'heartSmiles' ? 'HeartSmiles Staff' : 'University of Maryland Staff'}
+          Role: {ROLE_LABELS[user?.role] || user?.role}
         </p>
       </div>
 
@@ -191,7 +195,7 @@ const Dashboard = () => {
           >
             View All Programs
           </button>
-          {user?.role === 'heartSmiles' && (
+          <Can permission={PERMISSIONS.IMPORT_RUN}>
             <>
               <button 
                 onClick={() => window.location.href = '/import'}
@@ -226,7 +230,7 @@ const Dashboard = () => {
                 Export Data
               </button>
             </>
-          )}
+          </Can>
         </div>
       </div>
     </div>
@@ -1,12 +1,22 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import usePermission from '../hooks/usePermission';
 import { exportParticipantsCsv } from '../services/api';
 import api from '../services/api';
+import { NOTE_VISIBILITY, getReadableVisibilities } from '../utils/notes';
+import { PERMISSIONS } from '../utils/permissions';
+import { getParticipantExportParams } from '../utils/exports';
 
 const Export = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [exportType, setExportType] = useState('participants');
+  const [includeContacts, setIncludeContacts] = useState(false);
+  // Participant data only goes to UMD for participants with a current data-sharing
+  // consent. Staff without the unfiltered-export permission always get the filtered export.
+  const canExportUnfiltered = usePermission(PERMISSIONS.EXPORT_UNFILTERED);
+  const [forUmd, setForUmd] = useState(!canExportUnfiltered);
+  const [excludedCount, setExcludedCount] = useState(0);
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
 
@@ -15,18 +25,20 @@ const Export = () => {
       setLoading(true);
       setError('');
       setSuccess(false);
+      setExcludedCount(0);
 
       let response;
       let filename;
+      const params = getParticipantExportParams(user, { forUmd, includeContacts });
 
       if (exportType === 'participants') {
-        response = await exportParticipantsCsv();
+        response = await exportParticipantsCsv(params);
         filename = `participants_${new Date().toISOString().split('T')[0]}.csv`;
       } else if (exportType === 'programs') {
         response = await api.get('/export/programs', { responseType: 'blob' });
         filename = `programs_${new Date().toISOString().split('T')[0]}.csv`;
       } else {
-        response = await api.get('/export/combined', { responseType: 'blob' });
+        response = await api.get('/export/combined', { params, responseType: 'blob' });
         filename = `combined_data_${new Date().toISOString().split('T')[0]}.csv`;
       }
 
@@ -40,6 +52,10 @@ const Export = () => {
       document.body.removeChild(a);
       window.URL.revokeObjectURL(url);
 
+      // The server reports how many participants it left out for missing consent
+      if (params.consent && exportType !== 'programs') {
+        setExcludedCount(Number(response.headers?.['x-excluded-count']) || 0);
+      }
       setSuccess(true);
       setTimeout(() => setSuccess(false), 3000);
     } catch (err) {
@@ -90,6 +106,42 @@ const Export = () => {
             {exportType === 'programs' && 'Export all program data'}
             {exportType === 'combined' && 'Export participants and programs in a combined format'}
           </p>
+          {exportType !== 'programs' && getReadableVisibilities(user).length < NOTE_VISIBILITY.length && (
+            <p style={{ fontSize: '12px', color: '#856404', margin: '5px 0 0 0' }}>
+              🔒 Notes restricted to HeartSmiles staff or to their author and admins are left out unless you have access to them.
+            </p>
+          )}
+          {exportType !== 'programs' && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', fontSize: '14px' }}>
+              <input
+                type="checkbox"
+                checked={includeContacts}
+                onChange={(e) => setIncludeContacts(e.target.checked)}
+              />
+              Include guardian and emergency contact columns
+            </label>
+          )}
+          {exportType !== 'programs' && (!canExportUnfiltered ? (
+            <p style={{ fontSize: '12px', color: '#856404', margin: '12px 0 0 0' }}>
+              🔒 Only participants with a current UMD data-sharing consent are included.
+            </p>
+          ) : (
+            <>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', fontSize: '14px' }}>
+                <input
+                  type="checkbox"
+                  checked={forUmd}
+                  onChange={(e) => setForUmd(e.target.checked)}
+                />
+                This export will be shared with UMD
+              </label>
+              <p style={{ fontSize: '12px', color: forUmd ? '#666' : '#856404', margin: '5px 0 0 26px' }}>
+                {forUmd
+                  ? 'Participants without a current UMD data-sharing consent will be left out.'
+                  : '⚠️ Includes every participant, whether or not they consented to sharing data with UMD. Don\'t send this file to UMD.'}
+              </p>
+            </>
+          ))}
         </div>
 
         {error && (
@@ -118,6 +170,19 @@ const Export = () => {
           </div>
         )}
 
+        {excludedCount > 0 && (
+          <div style={{
+            background: '#fff3cd',
+            color: '#856404',
+            padding: '10px 15px',
+            borderRadius: '4px',
+            marginBottom: '20px',
+            border: '1px solid #ffeaa7'
+          }}>
+            ⚠️ {excludedCount} participant{excludedCount !== 1 ? 's were' : ' was'} left out because their UMD data-sharing consent is missing or expired.
+          </div>
+        )}
+
         <button
           onClick={handleExport}
           disabled={loading}
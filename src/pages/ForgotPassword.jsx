@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { requestPasswordReset } from '../services/api';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      await requestPasswordReset(email.trim());
+      setSent(true);
+    } catch (err) {
+      if (err?.response?.status === 429) {
+        setError('Too many reset requests. Please wait a few minutes and try again.');
+      } else {
+        setError(err?.response?.data?.error || 'Could not send a reset link. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      padding: '20px'
+    }}>
+      <div style={{
+        background: 'white',
+        borderRadius: '12px',
+        padding: '40px',
+        maxWidth: '400px',
+        width: '100%',
+        boxShadow: '0 10px 40px rgba(0,0,0,0.2)'
+      }}>
+        <h2 style={{ margin: '0 0 10px 0', color: '#333', fontSize: '28px' }}>Forgot Password</h2>
+        <p style={{ margin: '0 0 30px 0', color: '#666', fontSize: '14px' }}>
+          Enter your account email and we'll send you a link to choose a new password.
+        </p>
+        {sent ? (
+          <div style={{
+            background: '#d4edda',
+            color: '#155724',
+            padding: '12px',
+            borderRadius: '6px',
+            marginBottom: '20px',
+            fontSize: '14px',
+            border: '1px solid #c3e6cb'
+          }}>
+            If an account exists for {email.trim()}, a reset link is on its way. The link expires
+            after a short time and can only be used once.
+          </div>
+        ) : (
+          <form onSubmit={onSubmit}>
+            <div style={{ marginBottom: '20px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
+                Email
+              </label>
+              <input
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                type="email"
+                required
+                style={{
+                  width: '100%',
+                  padding: '12px',
+                  border: '1px solid #ddd',
+                  borderRadius: '6px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+                placeholder="Enter your email"
+              />
+            </div>
+            {error && (
+              <div style={{
+                background: '#f8d7da',
+                color: '#721c24',
+                padding: '12px',
+                borderRadius: '6px',
+                marginBottom: '20px',
+                fontSize: '14px',
+                border: '1px solid #f5c6cb'
+              }}>
+                {error}
+              </div>
+            )}
+            <button
+              type="submit"
+              disabled={loading}
+              style={{
+                width: '100%',
+                background: loading ? '#6c757d' : '#667eea',
+                color: 'white',
+                border: 'none',
+                padding: '12px 24px',
+                borderRadius: '6px',
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                opacity: loading ? 0.6 : 1,
+                transition: 'background 0.2s'
+              }}
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+        <div style={{ marginTop: '20px', textAlign: 'center', fontSize: '14px' }}>
+          <a href="/login" style={{ color: '#667eea', textDecoration: 'none', fontWeight: '500' }}>
+            ← Back to sign in
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,25 +1,66 @@
-import React, { useState } from 'react';
-import { useAuth } from '../context/AuthContext';
-import { importParticipantsFile } from '../services/api';
+import React, { useEffect, useState } from 'react';
+import { fetchParticipants, fetchPrograms, importParticipantsFile, importProgramsFile } from '../services/api';
+import ImportValidationReport from '../components/ImportValidationReport';
+import { fetchAllMatching } from '../utils/bulkActions';
+import { validateImportRows, mergeServerErrors, buildErrorCsv } from '../utils/importValidation';
+import {
+  IMPORT_FIELDS,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+  readSpreadsheetFile,
+  buildCsvFile,
+  loadMappingTemplates,
+  saveMappingTemplate,
+  deleteMappingTemplate,
+  findMatchingTemplate,
+  mappingFromTemplate
+} from '../utils/importMapping';
+
+const IMPORT_TYPES = {
+  participants: { label: 'Participants', reportColumns: ['Name', 'ID Number', 'Program'] },
+  programs: { label: 'Programs', reportColumns: ['Name', 'Start Date', 'End Date'] }
+};
+
+// Labels for enrollment link statuses returned by the programs import
+const ENROLLMENT_STATUS = {
+  linked: { label: 'Will link', doneLabel: 'Linked', color: '#155724', background: '#d4edda' },
+  already_enrolled: { label: 'Already enrolled', doneLabel: 'Already enrolled', color: '#666', background: '#f8f9fa' },
+  not_found: { label: 'Participant not found', doneLabel: 'Participant not found', color: '#721c24', background: '#f8d7da' }
+};
+
+const formatSummaryKey = (key) => key
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/_/g, ' ')
+  .replace(/^./, c => c.toUpperCase());
 
 const Import = () => {
-  const { user } = useAuth();
   const [selectedFile, setSelectedFile] = useState(null);
   const [importType, setImportType] = useState('participants');
   const [dryRun, setDryRun] = useState(true);
+  const [linkParticipants, setLinkParticipants] = useState(true);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  // Rows read from the CSV or .xlsx file (header row first); null until a file is read
+  const [sourceRows, setSourceRows] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [templates, setTemplates] = useState(loadMappingTemplates);
+  const [selectedTemplate, setSelectedTemplate] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [skipFailedRows, setSkipFailedRows] = useState(true);
+  // Existing program names for the "unknown program" check; null if they couldn't be loaded
+  const [programNames, setProgramNames] = useState(null);
 
-  // Only HeartSmiles staff can access import functionality
-  if (user?.role !== 'heartSmiles') {
-    return (
-      <div style={{ padding: '20px', textAlign: 'center' }}>
-        <h1>Access Denied</h1>
-        <p>Only HeartSmiles staff can access import functionality.</p>
-      </div>
-    );
-  }
+  useEffect(() => {
+    fetchPrograms()
+      .then(response => {
+        const allPrograms = response.data?.programs || response.data || [];
+        setProgramNames(allPrograms.map(p => p.name).filter(Boolean));
+      })
+      .catch(err => console.error('Error loading programs:', err));
+  }, []);
 
   const handleFileSelect = (e) => {
     const file = e.target.files[0];
@@ -33,42 +74,183 @@ const Import = () => {
         'text/plain'
       ];
       
-      const allowedExtensions = ['.xls', '.xlsx', '.csv'];
+      const allowedExtensions = ['.xlsx', '.csv'];
       const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
-      
+
+      // Older binary .xls workbooks can't be read in the browser for column mapping
+      if (fileExtension === '.xls') {
+        setError('Older Excel (.xls) files can\'t be read. Save the spreadsheet as .xlsx or CSV and try again.');
+        setSelectedFile(null);
+        return;
+      }
       if (!allowedTypes.includes(file.type) && !allowedExtensions.includes(fileExtension)) {
-        setError('Please select a valid Excel (.xls, .xlsx) or CSV file.');
+        setError('Please select a valid Excel (.xlsx) or CSV file.');
         setSelectedFile(null);
         return;
       }
       
       setSelectedFile(file);
       setError('');
+      setResult(null);
+      prepareColumnMapping(file, importType);
     }
   };
 
-  const handleImport = async () => {
+  // Read the file's headers and pre-fill the mapping from a matching template or suggestions
+  const prepareColumnMapping = async (file, type) => {
+    setSourceRows(null);
+    setColumnMapping({});
+    setSelectedTemplate('');
+    try {
+      const rows = await readSpreadsheetFile(file);
+      const headers = rows[0] || [];
+      const templateMatch = findMatchingTemplate(templates, headers, type);
+      setSourceRows(rows);
+      setSelectedTemplate(templateMatch);
+      setTemplateName(templateMatch);
+      setColumnMapping(templateMatch
+        ? mappingFromTemplate(templates[templateMatch], headers, type)
+        : suggestMapping(headers, type));
+    } catch (err) {
+      console.error('Error reading file:', err);
+      setError('Could not read the column headers from this file.');
+    }
+  };
+
+  const sourceHeaders = sourceRows?.[0] || [];
+
+  const handleImportTypeChange = (type) => {
+    setImportType(type);
+    setResult(null);
+    setSelectedTemplate('');
+    if (sourceRows) setColumnMapping(suggestMapping(sourceHeaders, type));
+  };
+
+  const handleApplyTemplate = (name) => {
+    setSelectedTemplate(name);
+    if (!name) {
+      setColumnMapping(suggestMapping(sourceHeaders, importType));
+      return;
+    }
+    setTemplateName(name);
+    setColumnMapping(mappingFromTemplate(templates[name], sourceHeaders, importType));
+  };
+
+  const handleSaveTemplate = () => {
+    const name = templateName.trim();
+    if (!name) {
+      setError('Enter a template name, e.g. the school or source of the spreadsheet.');
+      return;
+    }
+    if (templates[name] && name !== selectedTemplate &&
+        !window.confirm(`Replace the existing "${name}" template?`)) {
+      return;
+    }
+    setTemplates(saveMappingTemplate(name, importType, columnMapping));
+    setSelectedTemplate(name);
+    setError('');
+    setSuccess(`Mapping template "${name}" saved.`);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleDeleteTemplate = () => {
+    if (!selectedTemplate || !window.confirm(`Delete the "${selectedTemplate}" mapping template?`)) return;
+    setTemplates(deleteMappingTemplate(selectedTemplate));
+    setSelectedTemplate('');
+    setTemplateName('');
+  };
+
+  const mappingProblems = sourceRows ? validateMapping(columnMapping, importType) : [];
+
+  const handleDownloadFailedRows = () => {
+    const baseName = (selectedFile?.name || `${result.importType}-import`).replace(/\.[^.]+$/, '');
+    const url = window.URL.createObjectURL(new Blob([buildErrorCsv(result.validation)], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${baseName}-errors.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  };
+
+  // asDryRun is passed explicitly by "Confirm Import" since setDryRun hasn't applied yet
+  const handleImport = async (asDryRun = dryRun) => {
     if (!selectedFile) {
       setError('Please select a file to import.');
       return;
     }
+    if (mappingProblems.length > 0) {
+      setError(mappingProblems[0]);
+      return;
+    }
 
-    try {
-      setLoading(true);
-      setError('');
-      setResult(null);
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    // Validate the mapped rows in the browser; failed rows are left out of the upload when skipping
+    let file = selectedFile;
+    let validation = [];
+    let uploadedRowNumbers = null;
+    if (sourceRows) {
+      const mappedRows = applyMapping(sourceRows, columnMapping);
+      let existingParticipants = [];
+      if (importType === 'participants') {
+        try {
+          existingParticipants = await fetchAllMatching(fetchParticipants, { isActive: true });
+        } catch (err) {
+          // Duplicate warnings are advisory; validate without them
+          console.error('Error loading participants for duplicate check:', err);
+        }
+      }
+      validation = validateImportRows(mappedRows, importType, { programNames, existingParticipants });
+      const rowsToSend = skipFailedRows ? validation.filter(row => row.errors.length === 0) : validation;
+      uploadedRowNumbers = rowsToSend.map(row => row.rowNumber);
+
+      if (rowsToSend.length === 0) {
+        setResult({
+          success: false,
+          error: 'No rows passed validation. Download the failed rows, fix them and re-import.',
+          importType,
+          dryRun: asDryRun,
+          validation
+        });
+        setLoading(false);
+        return;
+      }
+      file = buildCsvFile(selectedFile.name, [
+        mappedRows[0],
+        ...rowsToSend.map(row => mappedRows[row.rowNumber - 1])
+      ]);
+    }
 
-      const response = await importParticipantsFile(selectedFile, dryRun);
-      setResult(response.data);
+    try {
+      const response = importType === 'programs'
+        ? await importProgramsFile(file, asDryRun, { linkParticipants })
+        : await importParticipantsFile(file, asDryRun);
+      setResult({
+        ...response.data,
+        importType,
+        dryRun: asDryRun,
+        validation: mergeServerErrors(validation, response.data?.errors, uploadedRowNumbers)
+      });
       
-      if (!dryRun) {
+      if (!asDryRun) {
         // If not a dry run, clear the file selection
         setSelectedFile(null);
+        setSourceRows(null);
         document.getElementById('fileInput').value = '';
       }
     } catch (err) {
       console.error('Import error:', err);
-      setError(err?.response?.data?.error || 'Import failed. Please try again.');
+      const message = err?.response?.data?.error || 'Import failed. Please try again.';
+      const rowErrors = mergeServerErrors(validation, err?.response?.data?.errors, uploadedRowNumbers);
+      if (rowErrors.length > 0) {
+        setResult({ success: false, error: message, importType, dryRun: asDryRun, validation: rowErrors });
+      } else {
+        setError(message);
+      }
     } finally {
       setLoading(false);
     }
@@ -96,7 +278,7 @@ const Import = () => {
           </label>
           <select
             value={importType}
-            onChange={(e) => setImportType(e.target.value)}
+            onChange={(e) => handleImportTypeChange(e.target.value)}
             style={{
               width: '200px',
               padding: '8px 12px',
@@ -104,11 +286,33 @@ const Import = () => {
               borderRadius: '4px'
             }}
           >
-            <option value="participants">Participants</option>
-            <option value="programs">Programs</option>
+            {Object.entries(IMPORT_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
           </select>
+          <p style={{ fontSize: '12px', color: '#666', margin: '5px 0 0 0' }}>
+            Expected columns: {IMPORT_FIELDS[importType].filter(field => !field.group).map(field => field.header).join(', ')}
+          </p>
+          {IMPORT_FIELDS[importType].some(field => field.group === 'contacts') && (
+            <p style={{ fontSize: '12px', color: '#666', margin: '5px 0 0 0' }}>
+              Optional contact columns: {IMPORT_FIELDS[importType].filter(field => field.group === 'contacts').map(field => field.header).join(', ')}
+            </p>
+          )}
         </div>
 
+        {importType === 'programs' && (
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={linkParticipants}
+                onChange={(e) => setLinkParticipants(e.target.checked)}
+              />
+              <span>Enroll existing participants listed in the "Participant IDs" column (matched by ID number)</span>
+            </label>
+          </div>
+        )}
+
         <div style={{ marginBottom: '20px' }}>
           <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
             <input
@@ -127,7 +331,7 @@ const Import = () => {
           <input
             id="fileInput"
             type="file"
-            accept=".xls,.xlsx,.csv"
+            accept=".xlsx,.csv"
             onChange={handleFileSelect}
             style={{
               width: '100%',
@@ -137,10 +341,160 @@ const Import = () => {
             }}
           />
           <p style={{ fontSize: '12px', color: '#666', margin: '5px 0 0 0' }}>
-            Supported formats: Excel (.xls, .xlsx) and CSV files
+            Supported formats: Excel (.xlsx) and CSV files
           </p>
         </div>
 
+        {sourceRows && (
+          <div style={{ marginBottom: '20px' }}>
+            <h4 style={{ margin: '0 0 10px 0' }}>Column Mapping</h4>
+            <p style={{ fontSize: '12px', color: '#666', margin: '0 0 10px 0' }}>
+              Match each column in your file to a {IMPORT_TYPES[importType].label.toLowerCase()} field.
+              Suggested matches are filled in automatically; ignored columns are not imported.
+            </p>
+
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '10px', flexWrap: 'wrap' }}>
+              <select
+                value={selectedTemplate}
+                onChange={(e) => handleApplyTemplate(e.target.value)}
+                style={{ padding: '6px 10px', border: '1px solid #ddd', borderRadius: '4px' }}
+              >
+                <option value="">Suggested mapping</option>
+                {Object.keys(templates)
+                  .filter(name => templates[name].importType === importType)
+                  .sort()
+                  .map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+              </select>
+              {selectedTemplate && (
+                <button
+                  type="button"
+                  onClick={handleDeleteTemplate}
+                  style={{
+                    background: 'transparent',
+                    color: '#dc3545',
+                    border: '1px solid #dc3545',
+                    padding: '6px 12px',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Delete Template
+                </button>
+              )}
+            </div>
+
+            <div style={{ border: '1px solid #e1e5e9', borderRadius: '4px', overflow: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead style={{ background: '#f8f9fa' }}>
+                  <tr>
+                    {['Column in File', 'Sample Value', 'Import As'].map(heading => (
+                      <th key={heading} style={{
+                        padding: '8px 12px',
+                        textAlign: 'left',
+                        borderBottom: '1px solid #e1e5e9',
+                        fontSize: '12px',
+                        fontWeight: '600'
+                      }}>
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sourceHeaders.map((header, index) => (
+                    <tr key={`${header}-${index}`}>
+                      <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '13px' }}>
+                        {header || <em style={{ color: '#999' }}>(blank header)</em>}
+                      </td>
+                      <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '12px', color: '#666' }}>
+                        {sourceRows[1]?.[index] || '—'}
+                      </td>
+                      <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0' }}>
+                        <select
+                          value={columnMapping[header] || ''}
+                          onChange={(e) => setColumnMapping(prev => ({ ...prev, [header]: e.target.value }))}
+                          style={{
+                            width: '100%',
+                            padding: '6px 10px',
+                            border: '1px solid #ddd',
+                            borderRadius: '4px',
+                            color: columnMapping[header] ? '#333' : '#999'
+                          }}
+                        >
+                          <option value="">— Ignore column —</option>
+                          {IMPORT_FIELDS[importType].map(field => (
+                            <option key={field.header} value={field.header}>
+                              {field.header}{field.required ? ' *' : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {mappingProblems.length > 0 && (
+              <ul style={{ color: '#721c24', fontSize: '13px', margin: '10px 0 0 0', paddingLeft: '20px' }}>
+                {mappingProblems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            )}
+
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px' }}>
+              <input
+                type="text"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+                placeholder="Template name (e.g. Lincoln High)"
+                style={{ flex: 1, padding: '6px 10px', border: '1px solid #ddd', borderRadius: '4px' }}
+              />
+              <button
+                type="button"
+                onClick={handleSaveTemplate}
+                style={{
+                  background: '#667eea',
+                  color: 'white',
+                  border: 'none',
+                  padding: '7px 14px',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Save Template
+              </button>
+            </div>
+          </div>
+        )}
+
+        {sourceRows && (
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <input
+                type="checkbox"
+                checked={skipFailedRows}
+                onChange={(e) => setSkipFailedRows(e.target.checked)}
+              />
+              <span>Skip rows that fail validation (download them from the results to fix and re-import)</span>
+            </label>
+          </div>
+        )}
+
+        {success && (
+          <div style={{
+            background: '#d4edda',
+            color: '#155724',
+            padding: '10px 15px',
+            borderRadius: '4px',
+            marginBottom: '20px',
+            border: '1px solid #c3e6cb'
+          }}>
+            {success}
+          </div>
+        )}
+
         {error && (
           <div style={{
             background: '#f8d7da',
@@ -155,7 +509,7 @@ const Import = () => {
         )}
 
         <button
-          onClick={handleImport}
+          onClick={() => handleImport()}
           disabled={!selectedFile || loading}
           style={{
             background: dryRun ? '#ffc107' : '#28a745',
@@ -180,8 +534,17 @@ const Import = () => {
           padding: '20px'
         }}>
           <h3 style={{ margin: '0 0 15px 0' }}>
-            {dryRun ? 'Preview Results' : 'Import Results'}
+            {IMPORT_TYPES[result.importType].label} {result.dryRun ? 'Preview Results' : 'Import Results'}
           </h3>
+
+          {result.validation?.length > 0 && (
+            <ImportValidationReport
+              key={`${result.importType}-${result.dryRun}-${result.validation.length}`}
+              results={result.validation}
+              columns={IMPORT_TYPES[result.importType].reportColumns}
+              onDownloadFailed={handleDownloadFailedRows}
+            />
+          )}
           
           {result.success ? (
             <div>
@@ -193,7 +556,7 @@ const Import = () => {
                 marginBottom: '15px',
                 border: '1px solid #c3e6cb'
               }}>
-                ✅ {dryRun ? 'Preview completed successfully!' : 'Import completed successfully!'}
+                ✅ {result.dryRun ? 'Preview completed successfully!' : 'Import completed successfully!'}
               </div>
               
               {result.summary && (
@@ -202,7 +565,7 @@ const Import = () => {
                   <ul style={{ margin: '5px 0', paddingLeft: '20px' }}>
                     {Object.entries(result.summary).map(([key, value]) => (
                       <li key={key}>
-                        <strong>{key}:</strong> {value}
+                        <strong>{formatSummaryKey(key)}:</strong> {String(value)}
                       </li>
                     ))}
                   </ul>
@@ -265,12 +628,70 @@ const Import = () => {
                 </div>
               )}
 
-              {dryRun && result.data && result.data.length > 0 && (
+              {result.enrollments && result.enrollments.length > 0 && (
+                <div style={{ marginTop: '20px' }}>
+                  <h4>Participant Enrollments:</h4>
+                  <div style={{
+                    maxHeight: '300px',
+                    overflow: 'auto',
+                    border: '1px solid #e1e5e9',
+                    borderRadius: '4px'
+                  }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead style={{ background: '#f8f9fa' }}>
+                        <tr>
+                          {['Program', 'ID Number', 'Participant', 'Status'].map(heading => (
+                            <th key={heading} style={{
+                              padding: '8px 12px',
+                              textAlign: 'left',
+                              borderBottom: '1px solid #e1e5e9',
+                              fontSize: '12px',
+                              fontWeight: '600'
+                            }}>
+                              {heading}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.enrollments.map((enrollment, index) => {
+                          const status = ENROLLMENT_STATUS[enrollment.status];
+                          return (
+                            <tr key={index}>
+                              <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '12px' }}>
+                                {enrollment.programName}
+                              </td>
+                              <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '12px' }}>
+                                {enrollment.identificationNumber}
+                              </td>
+                              <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '12px' }}>
+                                {enrollment.participantName || '—'}
+                              </td>
+                              <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '12px' }}>
+                                <span style={{
+                                  padding: '2px 8px',
+                                  borderRadius: '4px',
+                                  color: status?.color || '#333',
+                                  background: status?.background || '#f8f9fa'
+                                }}>
+                                  {status ? (result.dryRun ? status.label : status.doneLabel) : enrollment.status}
+                                </span>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {result.dryRun && result.data && result.data.length > 0 && (
                 <div style={{ marginTop: '20px' }}>
                   <button
                     onClick={() => {
                       setDryRun(false);
-                      handleImport();
+                      handleImport(false);
                     }}
                     style={{
                       background: '#28a745',
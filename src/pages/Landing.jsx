@@ -75,32 +75,6 @@ const Landing = () => {
           >
             Sign In
           </Link>
-          
-          <Link
-            to="/register"
-            style={{
-              background: 'transparent',
-              color: 'white',
-              padding: '15px 40px',
-              borderRadius: '8px',
-              textDecoration: 'none',
-              fontSize: '18px',
-              fontWeight: '600',
-              border: '2px solid white',
-              transition: 'background 0.2s, transform 0.2s',
-              display: 'inline-block'
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.background = 'rgba(255, 255, 255, 0.2)';
-              e.target.style.transform = 'translateY(-2px)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.background = 'transparent';
-              e.target.style.transform = 'translateY(0)';
-            }}
-          >
-            Sign Up
-          </Link>
         </div>
 
         <div style={{
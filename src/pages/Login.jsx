@@ -3,6 +3,7 @@ import { useNavigate, useSearchParams } from 'react-router-dom';
 import { loginUser } from '../services/api';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { getSafeRedirect } from '../utils/session';
 
 export default function Login() {
   const { login } = useAuth();
@@ -12,13 +13,20 @@ export default function Login() {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
   
   useEffect(() => {
     // Check if redirected due to token expiration or invalidation
     if (searchParams.get('expired') === 'true') {
-      setError('Your session has expired. Please log in again.');
+      setError(searchParams.get('redirect')
+        ? 'Your session has expired. Please log in again to continue where you left off.'
+        : 'Your session has expired. Please log in again.');
     } else if (searchParams.get('invalid') === 'true') {
       setError('Your session is invalid. Please log in again.');
+    } else if (searchParams.get('registered') === 'true') {
+      setNotice('Your account has been created. Sign in to get started.');
+    } else if (searchParams.get('reset') === 'true') {
+      setNotice('Your password has been reset. Sign in with your new password.');
     }
   }, [searchParams]);
 
@@ -30,8 +38,8 @@ export default function Login() {
       console.log('Attempting login with:', { email, password: '***' });
       const response = await loginUser(email, password);
       console.log('Login response:', response);
-      login({ token: response.data.token, user: response.data.staff });
-      navigate('/dashboard');
+      login({ token: response.data.token, user: response.data.staff, refreshToken: response.data.refreshToken });
+      navigate(getSafeRedirect(searchParams.get('redirect')));
     } catch (err) {
       console.error('Login error:', err);
       console.error('Error code:', err.code);
@@ -142,7 +150,25 @@ export default function Login() {
               }}
               placeholder="Enter your password"
             />
+            <div style={{ marginTop: '8px', textAlign: 'right' }}>
+              <a href="/forgot-password" style={{ color: '#667eea', textDecoration: 'none', fontSize: '13px' }}>
+                Forgot password?
+              </a>
+            </div>
           </div>
+          {notice && !error && (
+            <div style={{
+              background: '#d4edda',
+              color: '#155724',
+              padding: '12px',
+              borderRadius: '6px',
+              marginBottom: '20px',
+              fontSize: '14px',
+              border: '1px solid #c3e6cb'
+            }}>
+              {notice}
+            </div>
+          )}
           {error && (
             <div style={{
               background: '#f8d7da',
@@ -176,10 +202,7 @@ export default function Login() {
             {loading ? 'Signing in...' : 'Sign In'}
           </button>
           <div style={{ marginTop: '20px', textAlign: 'center', fontSize: '14px' }}>
-            <span style={{ color: '#666' }}>Don't have an account? </span>
-            <a href="/register" style={{ color: '#667eea', textDecoration: 'none', fontWeight: '500' }}>
-              Sign up here
-            </a>
+            <span style={{ color: '#666' }}>Need an account? Ask a HeartSmiles admin for an invitation.</span>
           </div>
           <div style={{ marginTop: '15px', textAlign: 'center' }}>
             <a href="/landing" style={{ color: '#667eea', textDecoration: 'none', fontSize: '13px' }}>
@@ -0,0 +1,212 @@
+import React, { useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import usePaginatedList from '../hooks/usePaginatedList';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import PaginationControls from '../components/PaginationControls';
+import NoteVisibilityBadge from '../components/NoteVisibilityBadge';
+import { fetchNotesFeed } from '../services/api';
+import { NOTE_TYPES, NOTE_TYPE_COLORS, formatNoteDate, filterNotes, redactNotes, startOfWeek } from '../utils/notes';
+
+const PAGE_SIZE = 25;
+
+const inputStyle = {
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px'
+};
+
+// Notes logged across all participants, e.g. every "concern" note from this week
+const NotesFeed = () => {
+  const { user } = useAuth();
+  // Filters live in the URL so a filtered feed can be bookmarked and shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = {
+    type: searchParams.get('type') || '',
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || '',
+    q: searchParams.get('q') || ''
+  };
+  const debouncedSearch = useDebouncedValue(filters.q);
+  const filtersActive = Boolean(filters.type || filters.from || filters.to || filters.q);
+
+  const feed = usePaginatedList(fetchNotesFeed, {
+    itemsKey: 'notes',
+    pageSize: PAGE_SIZE,
+    mode: 'replace',
+    params: {
+      type: filters.type || undefined,
+      from: filters.from || undefined,
+      to: filters.to || undefined,
+      search: debouncedSearch.trim() || undefined
+    }
+  });
+  // Re-apply the filters in case the backend ignores any of them
+  const notes = useMemo(
+    () => filterNotes(redactNotes(feed.items, user), { ...filters, q: debouncedSearch }),
+    // eslint-disable-next-line
+    [feed.items, user, filters.type, filters.from, filters.to, debouncedSearch]
+  );
+
+  const updateFilters = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value); else next.delete(key);
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <h1>Notes</h1>
+      <p style={{ color: '#666', marginBottom: '20px' }}>
+        Recent notes across all participants, newest first.
+      </p>
+
+      <div style={{
+        background: 'white',
+        border: '1px solid #e1e5e9',
+        borderRadius: '8px',
+        padding: '15px 20px',
+        marginBottom: '20px',
+        display: 'flex',
+        gap: '10px',
+        flexWrap: 'wrap',
+        alignItems: 'center'
+      }}>
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => updateFilters({ q: e.target.value })}
+          placeholder="Search notes..."
+          aria-label="Search notes"
+          style={{ ...inputStyle, flex: 1, minWidth: '200px' }}
+        />
+        <select
+          value={filters.type}
+          onChange={(e) => updateFilters({ type: e.target.value })}
+          aria-label="Note type"
+          style={inputStyle}
+        >
+          <option value="">All types</option>
+          {NOTE_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <label style={{ fontSize: '13px', color: '#666' }}>
+          From{' '}
+          <input type="date" value={filters.from} onChange={(e) => updateFilters({ from: e.target.value })} style={inputStyle} />
+        </label>
+        <label style={{ fontSize: '13px', color: '#666' }}>
+          To{' '}
+          <input type="date" value={filters.to} onChange={(e) => updateFilters({ to: e.target.value })} style={inputStyle} />
+        </label>
+        <button
+          onClick={() => updateFilters({ from: startOfWeek(), to: '' })}
+          style={{
+            background: 'transparent',
+            color: '#667eea',
+            border: '1px solid #667eea',
+            padding: '7px 12px',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '13px'
+          }}
+        >
+          This Week
+        </button>
+        {filtersActive && (
+          <button
+            onClick={() => setSearchParams(new URLSearchParams(), { replace: true })}
+            style={{
+              background: 'transparent',
+              color: '#666',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '13px',
+              textDecoration: 'underline'
+            }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {feed.error && (
+        <div style={{
+          background: '#f8d7da',
+          color: '#721c24',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #f5c6cb'
+        }}>
+          ❌ {feed.error}
+        </div>
+      )}
+
+      {feed.loading ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>Loading notes...</div>
+      ) : notes.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+          {filtersActive ? 'No notes match these filters.' : 'No notes have been logged yet.'}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {notes.map((note, index) => (
+            <div
+              key={note.id || index}
+              style={{
+                background: 'white',
+                border: '1px solid #e1e5e9',
+                borderLeft: `4px solid ${NOTE_TYPE_COLORS[note.type] || '#667eea'}`,
+                borderRadius: '6px',
+                padding: '15px 20px'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px', marginBottom: '8px' }}>
+                <div>
+                  {note.participantId ? (
+                    <Link
+                      to={`/participants/${note.participantId}`}
+                      style={{ fontWeight: '600', color: '#333', textDecoration: 'none' }}
+                    >
+                      {note.participantName || 'Participant'}
+                    </Link>
+                  ) : (
+                    <span style={{ fontWeight: '600', color: '#333' }}>{note.participantName || 'Participant'}</span>
+                  )}
+                  <span style={{ color: '#666', fontSize: '13px' }}>
+                    {' '}• {note.author || 'Staff Member'} • {note.type || 'general'}
+                  </span>
+                  <NoteVisibilityBadge note={note} />
+                </div>
+                <div style={{ fontSize: '12px', color: '#666', whiteSpace: 'nowrap' }}>
+                  {formatNoteDate(note.createdAt)}
+                  {note.lastEditedAt && ' (edited)'}
+                </div>
+              </div>
+              {note.redacted ? (
+                <div style={{ color: '#999', fontStyle: 'italic' }}>Restricted note — you don't have access to its content.</div>
+              ) : (
+                <div style={{ color: '#333', lineHeight: '1.6', whiteSpace: 'pre-wrap' }}>{note.content}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ marginTop: '20px' }}>
+        <PaginationControls
+          page={feed.page}
+          totalPages={feed.totalPages}
+          onPageChange={feed.goToPage}
+          disabled={feed.loading}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default NotesFeed;
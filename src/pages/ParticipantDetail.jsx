@@ -1,35 +1,75 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-import { fetchParticipantById, deleteParticipantNote, deleteParticipantPhoto, removeParticipantFromProgram } from '../services/api';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import usePermission from '../hooks/usePermission';
+import Can from '../components/Can';
+import NoteList from '../components/NoteList';
+import ParticipantGoals from '../components/ParticipantGoals';
+import ConsentRecords from '../components/ConsentRecords';
+import ParticipantDocuments from '../components/ParticipantDocuments';
+import ActivityTimeline from '../components/ActivityTimeline';
+import { fetchParticipantById, fetchParticipantAttendance, deleteParticipantPhoto, removeParticipantFromProgram, restoreParticipant } from '../services/api';
+import { toDate, toDateString } from '../utils/participantFilters';
+import { ATTENDANCE_STATUSES, summarizeAttendance, groupAttendanceByProgram, formatRate } from '../utils/attendance';
+import { PERMISSIONS } from '../utils/permissions';
+import { getContacts, getContactTypeLabel } from '../utils/contacts';
 
 const ParticipantDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const canViewDocuments = usePermission(PERMISSIONS.DOCUMENTS_VIEW);
+  // The open tab lives in the URL so ?tab=timeline or ?tab=documents can be linked to directly
+  const [searchParams, setSearchParams] = useSearchParams();
+  const requestedTab = searchParams.get('tab');
+  const tab = requestedTab === 'timeline' || (requestedTab === 'documents' && canViewDocuments) ? requestedTab : 'overview';
   const [participant, setParticipant] = useState(null);
   const [loading, setLoading] = useState(true);
+  // loadError replaces the page; error is for failed actions and shows in the banner
+  const [loadError, setLoadError] = useState('');
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [attendance, setAttendance] = useState([]);
 
   useEffect(() => {
     loadParticipant();
+    loadAttendance();
   }, [id]);
 
+  const loadAttendance = async () => {
+    try {
+      const response = await fetchParticipantAttendance(id);
+      setAttendance(response.data?.attendance || response.data || []);
+    } catch (err) {
+      // attendance is supplementary; don't block the page
+    }
+  };
+
   const loadParticipant = async () => {
     try {
       setLoading(true);
+      setLoadError('');
       setError('');
       const response = await fetchParticipantById(id);
       setParticipant(response.data.participant);
     } catch (err) {
       console.error('Error loading participant:', err);
-      setError(err?.response?.data?.error || 'Failed to load participant');
+      setLoadError(err?.response?.data?.error || 'Failed to load participant');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRestore = async () => {
+    try {
+      setError('');
+      await restoreParticipant(id);
+      setSuccess(`${participant.name} has been restored.`);
+      await loadParticipant();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to restore participant');
+    }
+  };
+
   if (loading) {
     return (
       <div style={{ padding: '20px', textAlign: 'center' }}>
@@ -38,7 +78,7 @@ const ParticipantDetail = () => {
     );
   }
 
-  if (error || !participant) {
+  if (loadError || !participant) {
     return (
       <div style={{ padding: '20px' }}>
         <div style={{
@@ -49,7 +89,7 @@ const ParticipantDetail = () => {
           marginBottom: '20px',
           border: '1px solid #f5c6cb'
         }}>
-          {error || 'Participant not found'}
+          {loadError || 'Participant not found'}
         </div>
         <button
           onClick={() => navigate('/participants')}
@@ -70,8 +110,18 @@ const ParticipantDetail = () => {
 
   const headshotUrl = participant.headshotPictureUrl?.url || participant.headshotPictureUrl || '';
   const uploadedPhotos = participant.uploadedPhotos || [];
+  const goals = participant.goals || [];
+  const contacts = getContacts(participant);
+  const documents = participant.documents || [];
   const notes = participant.notes || [];
+  const mergeHistory = participant.mergeHistory || [];
   const programDetails = participant.programDetails || [];
+  const attendanceSummary = summarizeAttendance(attendance.map(record => record.status));
+  const attendanceByProgram = groupAttendanceByProgram(attendance);
+  const recentAttendance = attendance
+    .slice()
+    .sort((a, b) => toDateString(b.date).localeCompare(toDateString(a.date)))
+    .slice(0, 10);
 
   return (
     <div style={{ padding: '20px' }}>
@@ -117,383 +167,598 @@ const ParticipantDetail = () => {
             ← Back to Participants
           </button>
         </div>
-        {user?.role === 'heartSmiles' && (
+        <div style={{ display: 'flex', gap: '10px' }}>
           <button
-            onClick={() => navigate(`/participants/${id}/edit`)}
+            onClick={() => navigate(`/participants/${id}/print`)}
             style={{
-              background: '#ffc107',
+              background: 'transparent',
               color: '#333',
-              border: 'none',
+              border: '1px solid #ccc',
               padding: '10px 20px',
               borderRadius: '5px',
               cursor: 'pointer',
               fontWeight: '500'
             }}
           >
-            Edit Participant
+            🖨️ Print / Save as PDF
           </button>
-        )}
+          <Can permission={PERMISSIONS.PARTICIPANTS_MERGE}>
+            <button
+              onClick={() => navigate(`/participants/${id}/merge`)}
+              style={{
+                background: 'transparent',
+                color: '#667eea',
+                border: '1px solid #667eea',
+                padding: '10px 20px',
+                borderRadius: '5px',
+                cursor: 'pointer',
+                fontWeight: '500'
+              }}
+            >
+              Merge Duplicate
+            </button>
+          </Can>
+          <Can permission={PERMISSIONS.PARTICIPANTS_EDIT}>
+            <button
+              onClick={() => navigate(`/participants/${id}/edit`)}
+              style={{
+                background: '#ffc107',
+                color: '#333',
+                border: 'none',
+                padding: '10px 20px',
+                borderRadius: '5px',
+                cursor: 'pointer',
+                fontWeight: '500'
+              }}
+            >
+              Edit Participant
+            </button>
+          </Can>
+        </div>
       </div>
 
-      <div style={{
-        display: 'grid',
-        gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-        gap: '20px',
-        marginBottom: '30px'
-      }}>
-        {/* Basic Information */}
+      {participant.isActive === false && (
         <div style={{
-          background: 'white',
-          border: '1px solid #e1e5e9',
-          borderRadius: '8px',
-          padding: '20px'
+          background: '#fff3cd',
+          color: '#856404',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #ffeeba',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '15px'
         }}>
-          <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
-            Basic Information
-          </h3>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-            <div>
-              <strong style={{ color: '#666', fontSize: '13px' }}>Name:</strong>
-              <div style={{ marginTop: '3px', color: '#333' }}>{participant.name}</div>
-            </div>
-            {participant.dateOfBirth && (
-              <div>
-                <strong style={{ color: '#666', fontSize: '13px' }}>Date of Birth:</strong>
-                <div style={{ marginTop: '3px', color: '#333' }}>
-                  {new Date(participant.dateOfBirth).toLocaleDateString()}
-                </div>
-              </div>
-            )}
-            {participant.identificationNumber && (
-              <div>
-                <strong style={{ color: '#666', fontSize: '13px' }}>ID Number:</strong>
-                <div style={{ marginTop: '3px', color: '#333' }}>{participant.identificationNumber}</div>
-              </div>
-            )}
-            {participant.school && (
-              <div>
-                <strong style={{ color: '#666', fontSize: '13px' }}>School:</strong>
-                <div style={{ marginTop: '3px', color: '#333' }}>{participant.school}</div>
-              </div>
-            )}
-            {participant.address && (
-              <div>
-                <strong style={{ color: '#666', fontSize: '13px' }}>Address:</strong>
-                <div style={{ marginTop: '3px', color: '#333' }}>{participant.address}</div>
-              </div>
-            )}
-            {participant.referralDate && (
-              <div>
-                <strong style={{ color: '#666', fontSize: '13px' }}>Referral Date:</strong>
-                <div style={{ marginTop: '3px', color: '#333' }}>
-                  {new Date(participant.referralDate).toLocaleDateString()}
-                </div>
-              </div>
-            )}
-          </div>
-        </div>
-
-        {/* Profile Photo */}
-        {headshotUrl && (
-          <div style={{
-            background: 'white',
-            border: '1px solid #e1e5e9',
-            borderRadius: '8px',
-            padding: '20px',
-            textAlign: 'center'
-          }}>
-            <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
-              Profile Photo
-            </h3>
-            <img
-              src={headshotUrl}
-              alt={`${participant.name} profile`}
+          <span>
+            This participant is archived
+            {toDate(participant.archivedAt) && ` since ${toDate(participant.archivedAt).toLocaleDateString()}`}
+            {participant.archivedReason && ` — ${participant.archivedReason}`}
+          </span>
+          <Can permission={PERMISSIONS.PARTICIPANTS_ARCHIVE}>
+            <button
+              onClick={handleRestore}
               style={{
-                maxWidth: '100%',
-                maxHeight: '300px',
-                borderRadius: '8px',
-                objectFit: 'contain'
+                background: '#28a745',
+                color: 'white',
+                border: 'none',
+                padding: '6px 14px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '13px'
               }}
-            />
-          </div>
-        )}
+            >
+              Restore
+            </button>
+          </Can>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '5px', borderBottom: '2px solid #e1e5e9', marginBottom: '20px' }}>
+        {[
+          { value: 'overview', label: 'Overview' },
+          { value: 'timeline', label: 'Timeline' },
+          ...(canViewDocuments ? [{ value: 'documents', label: `Documents (${documents.length})` }] : [])
+        ].map(option => (
+          <button
+            key={option.value}
+            onClick={() => setSearchParams(option.value === 'overview' ? {} : { tab: option.value }, { replace: true })}
+            style={{
+              background: 'none',
+              border: 'none',
+              borderBottom: tab === option.value ? '3px solid #667eea' : '3px solid transparent',
+              marginBottom: '-2px',
+              padding: '10px 16px',
+              cursor: 'pointer',
+              fontSize: '15px',
+              fontWeight: tab === option.value ? '600' : 'normal',
+              color: tab === option.value ? '#667eea' : '#666'
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
       </div>
 
-      {/* Programs */}
-      {(programDetails.length > 0 || (participant.programs && participant.programs.length > 0)) && (
+      {tab === 'timeline' && (
         <div style={{
           background: 'white',
           border: '1px solid #e1e5e9',
           borderRadius: '8px',
-          padding: '20px',
-          marginBottom: '30px'
+          padding: '20px'
         }}>
           <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
-            Programs ({programDetails.length || participant.programs?.length || 0})
+            Activity Timeline
           </h3>
-          {programDetails.length > 0 ? (
-            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
-              {programDetails.map((program, index) => (
-                <div
-                  key={program.id || index}
-                  style={{
-                    background: '#f8f9fa',
-                    padding: '10px 15px',
-                    borderRadius: '6px',
-                    border: '1px solid #e1e5e9',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '12px',
-                    position: 'relative',
-                    flex: '1 1 250px'
-                  }}
-                >
-                  <div style={{ flex: 1 }}>
-                    <div style={{ fontWeight: '500', color: '#333' }}>{program.name}</div>
-                    {program.description && (
-                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
-                        {program.description.length > 100 
-                          ? `${program.description.substring(0, 100)}...`
-                          : program.description}
-                      </div>
-                    )}
-                  </div>
-                  {user?.role === 'heartSmiles' && (
-                    <button
-                      onClick={async () => {
-                        if (window.confirm(`Are you sure you want to remove this participant from "${program.name}"?`)) {
-                          try {
-                            await removeParticipantFromProgram(id, program.id);
-                            setSuccess('Participant removed from program successfully!');
-                            await loadParticipant();
-                            setTimeout(() => setSuccess(''), 3000);
-                          } catch (err) {
-                            setError(err?.response?.data?.error || 'Failed to remove participant from program');
-                          }
-                        }
-                      }}
-                      style={{
-                        background: '#dc3545',
-                        color: 'white',
-                        border: 'none',
-                        padding: '4px 10px',
-                        borderRadius: '4px',
-                        cursor: 'pointer',
-                        fontSize: '12px',
-                        whiteSpace: 'nowrap'
-                      }}
-                    >
-                      Remove
-                    </button>
-                  )}
-                </div>
-              ))}
-            </div>
-          ) : (
-            <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
-              No programs assigned yet.
-            </div>
-          )}
+          <ActivityTimeline participant={participant} attendance={attendance} />
         </div>
       )}
 
-      {/* Uploaded Photos */}
-      {uploadedPhotos.length > 0 && (
+      {tab === 'documents' && (
         <div style={{
           background: 'white',
           border: '1px solid #e1e5e9',
           borderRadius: '8px',
-          padding: '20px',
-          marginBottom: '30px'
+          padding: '20px'
         }}>
           <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
-            Uploaded Photos ({uploadedPhotos.length})
+            Documents ({documents.length})
           </h3>
+          <ParticipantDocuments
+            participantId={id}
+            documents={documents}
+            onChanged={loadParticipant}
+            onSuccess={(message) => {
+              setSuccess(message);
+              setTimeout(() => setSuccess(''), 3000);
+            }}
+            onError={setError}
+          />
+        </div>
+      )}
+
+      {tab === 'overview' && (
+        <>
           <div style={{
             display: 'grid',
-            gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
-            gap: '15px'
+            gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+            gap: '20px',
+            marginBottom: '30px'
           }}>
-            {uploadedPhotos.map((photo, index) => (
-              <div key={photo.id || index} style={{ position: 'relative' }}>
+            {/* Basic Information */}
+            <div style={{
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              padding: '20px'
+            }}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                Basic Information
+              </h3>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                <div>
+                  <strong style={{ color: '#666', fontSize: '13px' }}>Name:</strong>
+                  <div style={{ marginTop: '3px', color: '#333' }}>{participant.name}</div>
+                </div>
+                {participant.dateOfBirth && (
+                  <div>
+                    <strong style={{ color: '#666', fontSize: '13px' }}>Date of Birth:</strong>
+                    <div style={{ marginTop: '3px', color: '#333' }}>
+                      {new Date(participant.dateOfBirth).toLocaleDateString()}
+                    </div>
+                  </div>
+                )}
+                {participant.identificationNumber && (
+                  <div>
+                    <strong style={{ color: '#666', fontSize: '13px' }}>ID Number:</strong>
+                    <div style={{ marginTop: '3px', color: '#333' }}>{participant.identificationNumber}</div>
+                  </div>
+                )}
+                {participant.school && (
+                  <div>
+                    <strong style={{ color: '#666', fontSize: '13px' }}>School:</strong>
+                    <div style={{ marginTop: '3px', color: '#333' }}>{participant.school}</div>
+                  </div>
+                )}
+                {participant.address && (
+                  <div>
+                    <strong style={{ color: '#666', fontSize: '13px' }}>Address:</strong>
+                    <div style={{ marginTop: '3px', color: '#333' }}>{participant.address}</div>
+                  </div>
+                )}
+                {participant.referralDate && (
+                  <div>
+                    <strong style={{ color: '#666', fontSize: '13px' }}>Referral Date:</strong>
+                    <div style={{ marginTop: '3px', color: '#333' }}>
+                      {new Date(participant.referralDate).toLocaleDateString()}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Guardian & Emergency Contacts */}
+            <div style={{
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              padding: '20px'
+            }}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                Contacts ({contacts.length})
+              </h3>
+              {contacts.length > 0 ? (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                  {contacts.map((contact, index) => (
+                    <div
+                      key={contact.id || index}
+                      style={{ background: '#f8f9fa', padding: '10px 15px', borderRadius: '6px', border: '1px solid #e1e5e9' }}
+                    >
+                      <div style={{ fontWeight: '500', color: '#333' }}>
+                        {contact.name}
+                        <span style={{ fontWeight: 'normal', color: '#666', fontSize: '13px' }}>
+                          {' '}• {getContactTypeLabel(contact.type)}
+                          {contact.relationship && ` (${contact.relationship})`}
+                        </span>
+                      </div>
+                      <div style={{ fontSize: '13px', marginTop: '4px', display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+                        {contact.phone && <a href={`tel:${contact.phone}`} style={{ color: '#667eea' }}>📞 {contact.phone}</a>}
+                        {contact.email && <a href={`mailto:${contact.email}`} style={{ color: '#667eea' }}>✉️ {contact.email}</a>}
+                        {contact.preferredLanguage && <span style={{ color: '#666' }}>🗣️ {contact.preferredLanguage}</span>}
+                      </div>
+                      <div style={{ fontSize: '12px', marginTop: '4px', color: contact.pickupAuthorized ? '#28a745' : '#dc3545' }}>
+                        {contact.pickupAuthorized ? '✅ Authorized for pickup' : '🚫 Not authorized for pickup'}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div style={{ color: '#666', fontStyle: 'italic' }}>
+                  No guardian or emergency contacts on file.
+                </div>
+              )}
+            </div>
+
+            {/* Profile Photo */}
+            {headshotUrl && (
+              <div style={{
+                background: 'white',
+                border: '1px solid #e1e5e9',
+                borderRadius: '8px',
+                padding: '20px',
+                textAlign: 'center'
+              }}>
+                <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                  Profile Photo
+                </h3>
                 <img
-                  src={photo.url}
-                  alt={`Photo ${index + 1}`}
+                  src={headshotUrl}
+                  alt={`${participant.name} profile`}
                   style={{
-                    width: '100%',
-                    height: '200px',
-                    objectFit: 'cover',
-                    borderRadius: '6px',
-                    border: '1px solid #e1e5e9'
+                    maxWidth: '100%',
+                    maxHeight: '300px',
+                    borderRadius: '8px',
+                    objectFit: 'contain'
                   }}
                 />
-                {user?.role === 'heartSmiles' && (
-                  <button
-                    onClick={async () => {
-                      if (window.confirm('Are you sure you want to delete this photo?')) {
-                        try {
-                          await deleteParticipantPhoto(id, photo.id);
-                          setSuccess('Photo deleted successfully!');
-                          await loadParticipant();
-                          setTimeout(() => setSuccess(''), 3000);
-                        } catch (err) {
-                          setError(err?.response?.data?.error || 'Failed to delete photo');
-                        }
-                      }
-                    }}
-                    style={{
-                      position: 'absolute',
-                      top: '8px',
-                      right: '8px',
-                      background: 'rgba(220, 53, 69, 0.9)',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '50%',
-                      width: '28px',
-                      height: '28px',
-                      cursor: 'pointer',
-                      fontSize: '16px',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      fontWeight: 'bold'
-                    }}
-                    title="Delete photo"
-                  >
-                    ×
-                  </button>
-                )}
-                {(photo.caption || photo.activity) && (
-                  <div style={{
-                    marginTop: '8px',
-                    fontSize: '12px',
-                    color: '#666'
-                  }}>
-                    {photo.caption && <div><strong>Caption:</strong> {photo.caption}</div>}
-                    {photo.activity && <div><strong>Activity:</strong> {photo.activity}</div>}
-                    {photo.uploadedAt && (
-                      <div style={{ marginTop: '3px', fontSize: '11px', color: '#999' }}>
-                        {photo.uploadedAt.seconds 
-                          ? new Date(photo.uploadedAt.seconds * 1000).toLocaleDateString()
-                          : new Date(photo.uploadedAt).toLocaleDateString()}
-                      </div>
-                    )}
-                  </div>
-                )}
               </div>
-            ))}
+            )}
           </div>
-        </div>
-      )}
 
-      {/* Notes */}
-      <div style={{
-        background: 'white',
-        border: '1px solid #e1e5e9',
-        borderRadius: '8px',
-        padding: '20px'
-      }}>
-        <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
-          Notes ({notes.length})
-        </h3>
-        {notes.length > 0 ? (
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
-            {notes.map((note, index) => (
-              <div
-                key={note.id || index}
-                style={{
-                  background: '#f8f9fa',
-                  padding: '15px',
-                  borderRadius: '6px',
-                  border: '1px solid #e1e5e9',
-                  position: 'relative'
-                }}
-              >
-                {user?.role === 'heartSmiles' && (
-                  <button
-                    onClick={async () => {
-                      if (window.confirm('Are you sure you want to delete this note?')) {
-                        try {
-                          await deleteParticipantNote(id, note.id);
-                          setSuccess('Note deleted successfully!');
-                          await loadParticipant();
-                          setTimeout(() => setSuccess(''), 3000);
-                        } catch (err) {
-                          setError(err?.response?.data?.error || 'Failed to delete note');
-                        }
-                      }
-                    }}
-                    style={{
-                      position: 'absolute',
-                      top: '10px',
-                      right: '10px',
-                      background: '#dc3545',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '4px',
-                      padding: '4px 10px',
-                      cursor: 'pointer',
-                      fontSize: '12px'
-                    }}
-                  >
-                    Delete
-                  </button>
-                )}
-                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                  <div style={{ fontWeight: '500', color: '#333' }}>
-                    {note.author || 'Staff Member'}
-                  </div>
-                  {note.createdAt && (
-                    <div style={{ fontSize: '12px', color: '#666' }}>
-                      {(() => {
-                        try {
-                          // Handle Firestore Timestamp format
-                          if (note.createdAt && typeof note.createdAt === 'object') {
-                            if (note.createdAt.seconds) {
-                              return new Date(note.createdAt.seconds * 1000).toLocaleDateString();
-                            } else if (note.createdAt.toDate) {
-                              return note.createdAt.toDate().toLocaleDateString();
-                            } else if (note.createdAt._seconds) {
-                              return new Date(note.createdAt._seconds * 1000).toLocaleDateString();
+          {/* Programs */}
+          {(programDetails.length > 0 || (participant.programs && participant.programs.length > 0)) && (
+            <div style={{
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              padding: '20px',
+              marginBottom: '30px'
+            }}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                Programs ({programDetails.length || participant.programs?.length || 0})
+              </h3>
+              {programDetails.length > 0 ? (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+                  {programDetails.map((program, index) => (
+                    <div
+                      key={program.id || index}
+                      style={{
+                        background: '#f8f9fa',
+                        padding: '10px 15px',
+                        borderRadius: '6px',
+                        border: '1px solid #e1e5e9',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '12px',
+                        position: 'relative',
+                        flex: '1 1 250px'
+                      }}
+                    >
+                      <div style={{ flex: 1 }}>
+                        <div style={{ fontWeight: '500', color: '#333' }}>{program.name}</div>
+                        {program.description && (
+                          <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                            {program.description.length > 100 
+                              ? `${program.description.substring(0, 100)}...`
+                              : program.description}
+                          </div>
+                        )}
+                      </div>
+                      <Can permission={PERMISSIONS.PARTICIPANTS_EDIT}>
+                        <button
+                          onClick={async () => {
+                            if (window.confirm(`Are you sure you want to remove this participant from "${program.name}"?`)) {
+                              try {
+                                await removeParticipantFromProgram(id, program.id);
+                                setSuccess('Participant removed from program successfully!');
+                                await loadParticipant();
+                                setTimeout(() => setSuccess(''), 3000);
+                              } catch (err) {
+                                setError(err?.response?.data?.error || 'Failed to remove participant from program');
+                              }
                             }
-                          }
-                          // Handle Date object or ISO string
-                          const date = new Date(note.createdAt);
-                          if (!isNaN(date.getTime())) {
-                            return date.toLocaleDateString();
-                          }
-                          return 'Invalid Date';
-                        } catch (e) {
-                          console.error('Error formatting note date:', e, note.createdAt);
-                          return 'Invalid Date';
-                        }
-                      })()}
+                          }}
+                          style={{
+                            background: '#dc3545',
+                            color: 'white',
+                            border: 'none',
+                            padding: '4px 10px',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '12px',
+                            whiteSpace: 'nowrap'
+                          }}
+                        >
+                          Remove
+                        </button>
+                      </Can>
                     </div>
-                  )}
+                  ))}
+                </div>
+              ) : (
+                <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+                  No programs assigned yet.
                 </div>
-                {note.type && (
-                  <div style={{
-                    display: 'inline-block',
-                    background: '#667eea',
-                    color: 'white',
-                    padding: '2px 8px',
-                    borderRadius: '4px',
-                    fontSize: '11px',
-                    marginBottom: '8px'
-                  }}>
-                    {note.type}
+              )}
+            </div>
+          )}
+
+          {/* Attendance */}
+          {attendance.length > 0 && (
+            <div style={{
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              padding: '20px',
+              marginBottom: '30px'
+            }}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                Attendance ({formatRate(attendanceSummary.rate)})
+              </h3>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                {attendanceByProgram.map(group => {
+                  const summary = summarizeAttendance(group.statuses);
+                  return (
+                    <div
+                      key={group.programName}
+                      style={{
+                        background: '#f8f9fa',
+                        padding: '10px 15px',
+                        borderRadius: '6px',
+                        border: '1px solid #e1e5e9',
+                        flex: '1 1 200px'
+                      }}
+                    >
+                      <div style={{ fontWeight: '500', color: '#333' }}>{group.programName}</div>
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '3px' }}>
+                        {formatRate(summary.rate)} • {summary.present} present, {summary.absent} absent, {summary.excused} excused
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              <strong style={{ fontSize: '13px', color: '#666' }}>Recent Sessions:</strong>
+              <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                {recentAttendance.map((record, index) => (
+                  <div key={record.sessionId || index} style={{ display: 'flex', gap: '10px', fontSize: '13px' }}>
+                    <span style={{ color: '#666', minWidth: '90px' }}>{toDate(record.date)?.toLocaleDateString() || '—'}</span>
+                    <span style={{ color: '#333', flex: 1 }}>{record.programName}{record.title && ` — ${record.title}`}</span>
+                    <span style={{ color: ATTENDANCE_STATUSES[record.status]?.color || '#666', fontWeight: '500' }}>
+                      {ATTENDANCE_STATUSES[record.status]?.label || record.status}
+                    </span>
                   </div>
-                )}
-                <div style={{ color: '#333', lineHeight: '1.6' }}>{note.content}</div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Uploaded Photos */}
+          {uploadedPhotos.length > 0 && (
+            <div style={{
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              padding: '20px',
+              marginBottom: '30px'
+            }}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                Uploaded Photos ({uploadedPhotos.length})
+              </h3>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                gap: '15px'
+              }}>
+                {uploadedPhotos.map((photo, index) => (
+                  <div key={photo.id || index} style={{ position: 'relative' }}>
+                    <img
+                      src={photo.url}
+                      alt={`Photo ${index + 1}`}
+                      style={{
+                        width: '100%',
+                        height: '200px',
+                        objectFit: 'cover',
+                        borderRadius: '6px',
+                        border: '1px solid #e1e5e9'
+                      }}
+                    />
+                    <Can permission={PERMISSIONS.PHOTOS_MANAGE}>
+                      <button
+                        onClick={async () => {
+                          if (window.confirm('Are you sure you want to delete this photo?')) {
+                            try {
+                              await deleteParticipantPhoto(id, photo.id);
+                              setSuccess('Photo deleted successfully!');
+                              await loadParticipant();
+                              setTimeout(() => setSuccess(''), 3000);
+                            } catch (err) {
+                              setError(err?.response?.data?.error || 'Failed to delete photo');
+                            }
+                          }
+                        }}
+                        style={{
+                          position: 'absolute',
+                          top: '8px',
+                          right: '8px',
+                          background: 'rgba(220, 53, 69, 0.9)',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '50%',
+                          width: '28px',
+                          height: '28px',
+                          cursor: 'pointer',
+                          fontSize: '16px',
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'center',
+                          fontWeight: 'bold'
+                        }}
+                        title="Delete photo"
+                      >
+                        ×
+                      </button>
+                    </Can>
+                    {(photo.caption || photo.activity) && (
+                      <div style={{
+                        marginTop: '8px',
+                        fontSize: '12px',
+                        color: '#666'
+                      }}>
+                        {photo.caption && <div><strong>Caption:</strong> {photo.caption}</div>}
+                        {photo.activity && <div><strong>Activity:</strong> {photo.activity}</div>}
+                        {photo.uploadedAt && (
+                          <div style={{ marginTop: '3px', fontSize: '11px', color: '#999' }}>
+                            {photo.uploadedAt.seconds 
+                              ? new Date(photo.uploadedAt.seconds * 1000).toLocaleDateString()
+                              : new Date(photo.uploadedAt).toLocaleDateString()}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
               </div>
-            ))}
+            </div>
+          )}
+
+          {/* Merge History */}
+          {mergeHistory.length > 0 && (
+            <div style={{
+              background: 'white',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              padding: '20px',
+              marginBottom: '30px'
+            }}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+                Merge History ({mergeHistory.length})
+              </h3>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {mergeHistory.map((merge, index) => (
+                  <div key={merge.sourceId || index} style={{ fontSize: '13px', color: '#333' }}>
+                    <span style={{ color: '#666', marginRight: '10px' }}>
+                      {toDate(merge.mergedAt)?.toLocaleDateString() || '—'}
+                    </span>
+                    Merged in {merge.sourceName || 'a duplicate record'}
+                    {merge.sourceIdentificationNumber && ` (ID ${merge.sourceIdentificationNumber})`}
+                    {merge.mergedBy && ` by ${merge.mergedBy}`}
+                    {merge.reason && <span style={{ color: '#666' }}> — {merge.reason}</span>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Consent */}
+          <div style={{
+            background: 'white',
+            border: '1px solid #e1e5e9',
+            borderRadius: '8px',
+            padding: '20px',
+            marginBottom: '30px'
+          }}>
+            <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+              Consent & Media Release
+            </h3>
+            <ConsentRecords
+              participant={participant}
+              onChanged={loadParticipant}
+              onSuccess={(message) => {
+                setSuccess(message);
+                setTimeout(() => setSuccess(''), 3000);
+              }}
+              onError={setError}
+            />
           </div>
-        ) : (
-          <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
-            No notes yet
+
+          {/* Goals */}
+          <div style={{
+            background: 'white',
+            border: '1px solid #e1e5e9',
+            borderRadius: '8px',
+            padding: '20px',
+            marginBottom: '30px'
+          }}>
+            <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+              Goals ({goals.length})
+            </h3>
+            <ParticipantGoals
+              participantId={id}
+              goals={goals}
+              notes={notes}
+              onChanged={loadParticipant}
+              onSuccess={(message) => {
+                setSuccess(message);
+                setTimeout(() => setSuccess(''), 3000);
+              }}
+              onError={setError}
+            />
           </div>
-        )}
-      </div>
+
+          {/* Notes */}
+          <div style={{
+            background: 'white',
+            border: '1px solid #e1e5e9',
+            borderRadius: '8px',
+            padding: '20px'
+          }}>
+            <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+              Notes ({notes.length})
+            </h3>
+            <NoteList
+              participantId={id}
+              notes={notes}
+              goals={goals}
+              onChanged={loadParticipant}
+              onSuccess={(message) => {
+                setSuccess(message);
+                setTimeout(() => setSuccess(''), 3000);
+              }}
+              onError={setError}
+            />
+          </div>
+        </>
+      )}
     </div>
   );
 };
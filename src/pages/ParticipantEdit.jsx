@@ -1,17 +1,105 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-import { fetchParticipantById, addParticipantNote, deleteParticipantNote, uploadImage, addParticipantPhoto, deleteParticipantPhoto, fetchPrograms, addParticipantToProgram, removeParticipantFromProgram } from '../services/api';
+import useUnsavedChangesWarning from '../hooks/useUnsavedChangesWarning';
+import useFormDraft from '../hooks/useFormDraft';
+import NoteList from '../components/NoteList';
+import ContactsEditor from '../components/ContactsEditor';
+import ConsentRecords from '../components/ConsentRecords';
+import { toDate, toDateString, toLocalDateString } from '../utils/participantFilters';
+import { NOTE_TYPES, NOTE_VISIBILITY } from '../utils/notes';
+import { sortGoals } from '../utils/goals';
+import { contactsEqual } from '../utils/contacts';
+import { describeMissingConsent, getConsentStatus } from '../utils/consent';
+import { fetchParticipantById, updateParticipant, addParticipantNote, uploadImage, addParticipantPhoto, deleteParticipantPhoto, fetchPrograms, addParticipantToProgram, removeParticipantFromProgram } from '../services/api';
+
+// Core demographic fields editable on this page, in display order
+const DEMOGRAPHIC_FIELDS = [
+  { name: 'name', label: 'Name', type: 'text', required: true },
+  { name: 'dateOfBirth', label: 'Date of Birth', type: 'date', required: true },
+  { name: 'identificationNumber', label: 'ID Number', type: 'text', required: true },
+  { name: 'school', label: 'School', type: 'text' },
+  { name: 'address', label: 'Address', type: 'text' },
+  { name: 'referralDate', label: 'Referral Date', type: 'date' }
+];
+
+const getDemographics = (participant) => DEMOGRAPHIC_FIELDS.reduce((values, field) => ({
+  ...values,
+  [field.name]: field.type === 'date'
+    ? toDateString(participant?.[field.name])
+    : (participant?.[field.name] || '')
+}), {});
+
+const getChangedFields = (values, initialValues) =>
+  DEMOGRAPHIC_FIELDS.filter(field => (values[field.name] || '').trim() !== (initialValues[field.name] || '').trim());
+
+const validateDemographics = (values) => {
+  const errors = {};
+  const today = toLocalDateString(new Date());
+
+  DEMOGRAPHIC_FIELDS.forEach(field => {
+    if (field.required && !values[field.name]?.trim()) {
+      errors[field.name] = `${field.label} is required`;
+    }
+  });
+
+  if (!errors.name && values.name.trim().length > 100) {
+    errors.name = 'Name must be 100 characters or fewer';
+  }
+  if (!errors.dateOfBirth) {
+    if (values.dateOfBirth > today) {
+      errors.dateOfBirth = 'Date of birth cannot be in the future';
+    } else if (values.dateOfBirth < '1900-01-01') {
+      errors.dateOfBirth = 'Please enter a valid date of birth';
+    }
+  }
+  if (!errors.identificationNumber && !/^[A-Za-z0-9-]+$/.test(values.identificationNumber.trim())) {
+    errors.identificationNumber = 'ID number may only contain letters, numbers and dashes';
+  }
+  if (values.referralDate) {
+    if (values.referralDate > today) {
+      errors.referralDate = 'Referral date cannot be in the future';
+    } else if (values.dateOfBirth && values.referralDate < values.dateOfBirth) {
+      errors.referralDate = 'Referral date cannot be before the date of birth';
+    }
+  }
+
+  return errors;
+};
+
+const formatFieldValue = (field, value) => {
+  if (!value) return '—';
+  if (field.type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString();
+  return value;
+};
 
 const ParticipantEdit = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
   const [participant, setParticipant] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  
+
+  // Demographics form state
+  const [demographics, setDemographics] = useState(null);
+  const [initialDemographics, setInitialDemographics] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [showDiff, setShowDiff] = useState(false);
+  const [savingDetails, setSavingDetails] = useState(false);
+  const isDirtyRef = useRef(false);
+  // Edited guardian/emergency contacts, saved separately from the details above
+  const [contacts, setContacts] = useState(null);
+
+  const changedFields = demographics && initialDemographics
+    ? getChangedFields(demographics, initialDemographics)
+    : [];
+  const isDirty = changedFields.length > 0;
+  isDirtyRef.current = isDirty;
+  const contactsDirty = Boolean(participant && contacts) && !contactsEqual(contacts, participant.contacts);
+  const contactsDirtyRef = useRef(false);
+  contactsDirtyRef.current = contactsDirty;
+  const confirmLeave = useUnsavedChangesWarning(isDirty || contactsDirty);
+
   // Image upload state
   const [uploadingImage, setUploadingImage] = useState(false);
   const [imageType, setImageType] = useState('headshot'); // 'headshot' or 'program'
@@ -22,8 +110,30 @@ const ParticipantEdit = () => {
   // Note state
   const [noteContent, setNoteContent] = useState('');
   const [noteType, setNoteType] = useState('general');
+  const [noteVisibility, setNoteVisibility] = useState('everyone');
   const [noteDate, setNoteDate] = useState('');
+  // Milestone notes can be linked to one of the participant's goals
+  const [noteGoalId, setNoteGoalId] = useState('');
   const [addingNote, setAddingNote] = useState(false);
+
+  // Keep unsaved details and note text across a forced re-login
+  const detailsDraft = useFormDraft(
+    `participant:${id}:details`,
+    isDirty ? demographics : null,
+    (draft) => setDemographics(prev => ({ ...prev, ...draft })),
+    { enabled: Boolean(initialDemographics) }
+  );
+  const noteDraft = useFormDraft(
+    `participant:${id}:note`,
+    noteContent.trim() ? { content: noteContent, type: noteType, visibility: noteVisibility, date: noteDate, goalId: noteGoalId } : null,
+    (draft) => {
+      setNoteContent(draft.content || '');
+      setNoteType(draft.type || 'general');
+      setNoteVisibility(draft.visibility || 'everyone');
+      setNoteDate(draft.date || '');
+      setNoteGoalId(draft.goalId || '');
+    }
+  );
   
   // Program state
   const [allPrograms, setAllPrograms] = useState([]);
@@ -31,13 +141,9 @@ const ParticipantEdit = () => {
   const [addProgramId, setAddProgramId] = useState('');
 
   useEffect(() => {
-    if (user?.role !== 'heartSmiles') {
-      navigate('/participants');
-      return;
-    }
     loadParticipant();
     loadAllPrograms();
-  }, [id, user]);
+  }, [id]);
   
   const loadAllPrograms = async () => {
     try {
@@ -56,7 +162,13 @@ const ParticipantEdit = () => {
       setLoading(true);
       setError('');
       const response = await fetchParticipantById(id);
-      setParticipant(response.data.participant);
+      const loaded = response.data.participant;
+      const loadedDemographics = getDemographics(loaded);
+      setParticipant(loaded);
+      setInitialDemographics(loadedDemographics);
+      // Keep in-progress edits when reloading after a photo/note/program change
+      setDemographics(prev => (prev && isDirtyRef.current ? prev : loadedDemographics));
+      setContacts(prev => (prev && contactsDirtyRef.current ? prev : loaded.contacts || []));
     } catch (err) {
       console.error('Error loading participant:', err);
       setError(err?.response?.data?.error || 'Failed to load participant');
@@ -65,6 +177,65 @@ const ParticipantEdit = () => {
     }
   };
 
+  const handleDemographicChange = (e) => {
+    const { name, value } = e.target;
+    setDemographics(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+    setShowDiff(false);
+  };
+
+  const handleReviewChanges = (e) => {
+    e.preventDefault();
+    setError('');
+    const errors = validateDemographics(demographics);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    if (!isDirty) {
+      setSuccess('No changes to save.');
+      setTimeout(() => setSuccess(''), 3000);
+      return;
+    }
+    setShowDiff(true);
+  };
+
+  const handleSaveDemographics = async () => {
+    try {
+      setSavingDetails(true);
+      setError('');
+      setSuccess('');
+      const payload = changedFields.reduce((changes, field) => ({
+        ...changes,
+        [field.name]: demographics[field.name].trim()
+      }), {});
+      await updateParticipant(id, payload);
+      isDirtyRef.current = false;
+      detailsDraft.clearDraft();
+      setShowDiff(false);
+      setSuccess('Participant details updated successfully!');
+      await loadParticipant();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      console.error('Error updating participant:', err);
+      const data = err?.response?.data;
+      // Map express-validator style errors back onto their fields
+      if (Array.isArray(data?.errors)) {
+        const serverErrors = {};
+        data.errors.forEach(e => {
+          const fieldName = e.path || e.param;
+          if (fieldName) serverErrors[fieldName] = e.msg || e.message;
+        });
+        setFieldErrors(serverErrors);
+      }
+      setError(data?.error || data?.message || 'Failed to update participant details');
+      setShowDiff(false);
+    } finally {
+      setSavingDetails(false);
+    }
+  };
+
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -74,6 +245,19 @@ const ParticipantEdit = () => {
       return;
     }
 
+    // Program photos may be shared, so they need a current photo release. Profile photos
+    // are only used to identify the participant, so staff are warned instead.
+    const consentProblem = describeMissingConsent(participant, 'photoRelease');
+    if (consentProblem && imageType === 'program') {
+      setError(`${consentProblem} Record a signed photo release before uploading program photos.`);
+      e.target.value = '';
+      return;
+    }
+    if (consentProblem && !window.confirm(`${consentProblem} Upload this profile photo anyway?`)) {
+      e.target.value = '';
+      return;
+    }
+
     try {
       setUploadingImage(true);
       setError('');
@@ -139,13 +323,18 @@ const ParticipantEdit = () => {
       await addParticipantNote(id, {
         content: noteContent,
         type: noteType,
-        createdAt: noteDate || undefined
+        visibility: noteVisibility,
+        createdAt: noteDate || undefined,
+        goalId: noteType === 'milestone' && noteGoalId ? noteGoalId : undefined
       });
 
       setSuccess('Note added successfully!');
+      noteDraft.clearDraft();
       setNoteContent('');
       setNoteType('general');
+      setNoteVisibility('everyone');
       setNoteDate('');
+      setNoteGoalId('');
       
       // Reload participant data
       await loadParticipant();
@@ -198,12 +387,17 @@ const ParticipantEdit = () => {
 
   if (!participant) return null;
 
+  const goals = sortGoals(participant.goals);
+  const photoConsent = getConsentStatus(participant, 'photoRelease');
+  const photoConsentProblem = describeMissingConsent(participant, 'photoRelease');
+  const photoUploadBlocked = Boolean(photoConsentProblem) && imageType === 'program';
+
   return (
     <div style={{ padding: '20px' }}>
       <div style={{ marginBottom: '20px' }}>
         <h1 style={{ margin: '0 0 5px 0' }}>Edit Participant: {participant.name}</h1>
         <button
-          onClick={() => navigate(`/participants/${id}`)}
+          onClick={() => confirmLeave() && navigate(`/participants/${id}`)}
           style={{
             background: 'transparent',
             color: '#667eea',
@@ -249,6 +443,225 @@ const ParticipantEdit = () => {
         gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))',
         gap: '20px'
       }}>
+        {/* Participant Details Section */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px',
+          gridColumn: '1 / -1'
+        }}>
+          <h3 style={{ margin: '0 0 20px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+            Participant Details
+            {isDirty && (
+              <span style={{ marginLeft: '10px', fontSize: '12px', fontWeight: 'normal', color: '#856404' }}>
+                • Unsaved changes{detailsDraft.restored && ' (restored from your last session)'}
+              </span>
+            )}
+          </h3>
+
+          <form onSubmit={handleReviewChanges} noValidate>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+              gap: '15px',
+              marginBottom: '20px'
+            }}>
+              {DEMOGRAPHIC_FIELDS.map(field => (
+                <div key={field.name}>
+                  <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500' }}>
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <input
+                    type={field.type}
+                    name={field.name}
+                    value={demographics?.[field.name] || ''}
+                    onChange={handleDemographicChange}
+                    required={field.required}
+                    style={{
+                      width: '100%',
+                      padding: '8px 12px',
+                      border: `1px solid ${fieldErrors[field.name] ? '#dc3545' : '#ddd'}`,
+                      borderRadius: '4px',
+                      fontSize: '14px',
+                      boxSizing: 'border-box'
+                    }}
+                  />
+                  {fieldErrors[field.name] && (
+                    <div style={{ fontSize: '12px', color: '#dc3545', marginTop: '4px' }}>
+                      {fieldErrors[field.name]}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {showDiff && (
+              <div style={{
+                background: '#fff3cd',
+                border: '1px solid #ffeeba',
+                borderRadius: '6px',
+                padding: '15px',
+                marginBottom: '20px'
+              }}>
+                <strong style={{ display: 'block', marginBottom: '10px', color: '#856404' }}>
+                  Review changes before saving
+                </strong>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', background: 'white' }}>
+                  <thead style={{ background: '#f8f9fa' }}>
+                    <tr>
+                      <th style={{ padding: '8px 12px', textAlign: 'left', borderBottom: '1px solid #e1e5e9' }}>Field</th>
+                      <th style={{ padding: '8px 12px', textAlign: 'left', borderBottom: '1px solid #e1e5e9' }}>Current</th>
+                      <th style={{ padding: '8px 12px', textAlign: 'left', borderBottom: '1px solid #e1e5e9' }}>New</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changedFields.map(field => (
+                      <tr key={field.name}>
+                        <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontWeight: '500' }}>
+                          {field.label}
+                        </td>
+                        <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', color: '#721c24', textDecoration: 'line-through' }}>
+                          {formatFieldValue(field, initialDemographics[field.name])}
+                        </td>
+                        <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', color: '#155724' }}>
+                          {formatFieldValue(field, demographics[field.name].trim())}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+                  <button
+                    type="button"
+                    onClick={handleSaveDemographics}
+                    disabled={savingDetails}
+                    style={{
+                      background: savingDetails ? '#6c757d' : '#28a745',
+                      color: 'white',
+                      border: 'none',
+                      padding: '10px 20px',
+                      borderRadius: '5px',
+                      cursor: savingDetails ? 'not-allowed' : 'pointer',
+                      fontWeight: '500'
+                    }}
+                  >
+                    {savingDetails ? 'Saving...' : 'Confirm & Save'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowDiff(false)}
+                    disabled={savingDetails}
+                    style={{
+                      background: '#6c757d',
+                      color: 'white',
+                      border: 'none',
+                      padding: '10px 20px',
+                      borderRadius: '5px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Keep Editing
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {!showDiff && (
+              <div style={{ display: 'flex', gap: '10px' }}>
+                <button
+                  type="submit"
+                  disabled={!isDirty}
+                  style={{
+                    background: isDirty ? '#007bff' : '#6c757d',
+                    color: 'white',
+                    border: 'none',
+                    padding: '10px 20px',
+                    borderRadius: '5px',
+                    cursor: isDirty ? 'pointer' : 'not-allowed',
+                    opacity: isDirty ? 1 : 0.6,
+                    fontWeight: '500'
+                  }}
+                >
+                  Review Changes
+                </button>
+                {isDirty && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setDemographics(initialDemographics);
+                      setFieldErrors({});
+                      detailsDraft.clearDraft();
+                    }}
+                    style={{
+                      background: 'transparent',
+                      color: '#6c757d',
+                      border: '1px solid #6c757d',
+                      padding: '10px 20px',
+                      borderRadius: '5px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Discard Changes
+                  </button>
+                )}
+              </div>
+            )}
+          </form>
+        </div>
+
+        {/* Guardian & Emergency Contacts Section */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px',
+          gridColumn: '1 / -1'
+        }}>
+          <h3 style={{ margin: '0 0 20px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+            Guardian & Emergency Contacts
+            {contactsDirty && (
+              <span style={{ marginLeft: '10px', fontSize: '12px', fontWeight: 'normal', color: '#856404' }}>
+                • Unsaved changes
+              </span>
+            )}
+          </h3>
+          <ContactsEditor
+            participantId={id}
+            contacts={contacts}
+            savedContacts={participant.contacts}
+            onContactsChange={setContacts}
+            onChanged={loadParticipant}
+            onSuccess={(message) => {
+              setSuccess(message);
+              setTimeout(() => setSuccess(''), 3000);
+            }}
+            onError={setError}
+          />
+        </div>
+
+        {/* Consent Section */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px',
+          gridColumn: '1 / -1'
+        }}>
+          <h3 style={{ margin: '0 0 20px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+            Consent & Media Release
+          </h3>
+          <ConsentRecords
+            participant={participant}
+            onChanged={loadParticipant}
+            onSuccess={(message) => {
+              setSuccess(message);
+              setTimeout(() => setSuccess(''), 3000);
+            }}
+            onError={setError}
+          />
+        </div>
+
         {/* Upload Images Section */}
         <div style={{
           background: 'white',
@@ -260,6 +673,33 @@ const ParticipantEdit = () => {
             Upload Images
           </h3>
 
+          {photoConsentProblem ? (
+            <div style={{
+              background: imageType === 'program' ? '#f8d7da' : '#fff3cd',
+              color: imageType === 'program' ? '#721c24' : '#856404',
+              padding: '10px 15px',
+              borderRadius: '4px',
+              marginBottom: '20px',
+              fontSize: '13px'
+            }}>
+              ⚠️ {photoConsentProblem}{' '}
+              {imageType === 'program'
+                ? 'Program photos can\'t be uploaded until a signed photo release is recorded above.'
+                : 'Profile photos can still be uploaded for identification.'}
+            </div>
+          ) : photoConsent.status === 'expiring' && (
+            <div style={{
+              background: '#fff3cd',
+              color: '#856404',
+              padding: '10px 15px',
+              borderRadius: '4px',
+              marginBottom: '20px',
+              fontSize: '13px'
+            }}>
+              ⚠️ The photo release expires on {toDate(photoConsent.record.expiryDate).toLocaleDateString()}. Collect a renewed form soon.
+            </div>
+          )}
+
           <div style={{ marginBottom: '20px' }}>
             <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
               Image Type
@@ -288,7 +728,7 @@ const ParticipantEdit = () => {
               type="file"
               accept="image/*"
               onChange={handleImageUpload}
-              disabled={uploadingImage}
+              disabled={uploadingImage || photoUploadBlocked}
               style={{
                 width: '100%',
                 padding: '8px 12px',
@@ -467,6 +907,12 @@ const ParticipantEdit = () => {
             Add Note
           </h3>
 
+          {noteDraft.restored && noteContent.trim() && (
+            <p style={{ margin: '0 0 15px 0', fontSize: '13px', color: '#856404' }}>
+              Restored the note you were writing before your session ended.
+            </p>
+          )}
+
           <form onSubmit={handleAddNote}>
             <div style={{ marginBottom: '15px' }}>
               <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
@@ -483,11 +929,59 @@ const ParticipantEdit = () => {
                   fontSize: '14px'
                 }}
               >
-                <option value="general">General</option>
-                <option value="session">Session</option>
-                <option value="milestone">Milestone</option>
-                <option value="concern">Concern</option>
+                {NOTE_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {noteType === 'milestone' && goals.length > 0 && (
+              <div style={{ marginBottom: '15px' }}>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                  Linked Goal (optional)
+                </label>
+                <select
+                  value={noteGoalId}
+                  onChange={(e) => setNoteGoalId(e.target.value)}
+                  style={{
+                    width: '100%',
+                    padding: '8px 12px',
+                    border: '1px solid #ddd',
+                    borderRadius: '4px',
+                    fontSize: '14px'
+                  }}
+                >
+                  <option value="">No linked goal</option>
+                  {goals.map(goal => (
+                    <option key={goal.id} value={goal.id}>{goal.title}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div style={{ marginBottom: '15px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+                Who Can See This Note
+              </label>
+              <select
+                value={noteVisibility}
+                onChange={(e) => setNoteVisibility(e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '14px'
+                }}
+              >
+                {NOTE_VISIBILITY.map(level => (
+                  <option key={level.value} value={level.value}>{level.label}</option>
+                ))}
               </select>
+              <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#666' }}>
+                {NOTE_VISIBILITY.find(level => level.value === noteVisibility)?.description}
+                {noteType === 'concern' && noteVisibility === 'everyone' && ' — consider restricting concern notes about family situations.'}
+              </p>
             </div>
 
             <div style={{ marginBottom: '15px' }}>
@@ -552,85 +1046,24 @@ const ParticipantEdit = () => {
             </button>
           </form>
 
-          {/* Recent Notes Preview with Delete */}
+          {/* Existing notes: search, edit with history, delete */}
           {participant.notes && participant.notes.length > 0 && (
             <div style={{ marginTop: '30px', paddingTop: '20px', borderTop: '1px solid #e1e5e9' }}>
-              <strong style={{ fontSize: '13px', color: '#666' }}>Recent Notes ({participant.notes.length}):</strong>
-              <div style={{ marginTop: '10px', maxHeight: '300px', overflowY: 'auto' }}>
-                {participant.notes.slice().reverse().map((note, index) => (
-                  <div
-                    key={note.id || index}
-                    style={{
-                      background: '#f8f9fa',
-                      padding: '10px',
-                      borderRadius: '4px',
-                      marginBottom: '8px',
-                      fontSize: '12px',
-                      position: 'relative'
-                    }}
-                  >
-                    <button
-                      onClick={async () => {
-                        if (window.confirm('Are you sure you want to delete this note?')) {
-                          try {
-                            await deleteParticipantNote(id, note.id);
-                            setSuccess('Note deleted successfully!');
-                            await loadParticipant();
-                            setTimeout(() => setSuccess(''), 3000);
-                          } catch (err) {
-                            setError(err?.response?.data?.error || 'Failed to delete note');
-                          }
-                        }
-                      }}
-                      style={{
-                        position: 'absolute',
-                        top: '5px',
-                        right: '5px',
-                        background: '#dc3545',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '4px',
-                        padding: '2px 8px',
-                        cursor: 'pointer',
-                        fontSize: '11px'
-                      }}
-                    >
-                      Delete
-                    </button>
-                    <div style={{ fontWeight: '500', color: '#333', marginBottom: '3px' }}>
-                      {note.author || 'Staff'} • {note.type || 'general'}
-                    </div>
-                    <div style={{ color: '#666', marginBottom: '3px' }}>{note.content}</div>
-                    {note.createdAt && (
-                      <div style={{ fontSize: '11px', color: '#999' }}>
-                        {(() => {
-                          try {
-                            // Handle Firestore Timestamp format
-                            if (note.createdAt && typeof note.createdAt === 'object') {
-                              if (note.createdAt.seconds) {
-                                return new Date(note.createdAt.seconds * 1000).toLocaleDateString();
-                              } else if (note.createdAt.toDate) {
-                                return note.createdAt.toDate().toLocaleDateString();
-                              } else if (note.createdAt._seconds) {
-                                return new Date(note.createdAt._seconds * 1000).toLocaleDateString();
-                              }
-                            }
-                            // Handle Date object or ISO string
-                            const date = new Date(note.createdAt);
-                            if (!isNaN(date.getTime())) {
-                              return date.toLocaleDateString();
-                            }
-                            return 'Invalid Date';
-                          } catch (e) {
-                            console.error('Error formatting note date:', e, note.createdAt);
-                            return 'Invalid Date';
-                          }
-                        })()}
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
+              <strong style={{ display: 'block', fontSize: '13px', color: '#666', marginBottom: '10px' }}>
+                Notes ({participant.notes.length}):
+              </strong>
+              <NoteList
+                participantId={id}
+                notes={participant.notes}
+                goals={goals}
+                maxHeight="500px"
+                onChanged={loadParticipant}
+                onSuccess={(message) => {
+                  setSuccess(message);
+                  setTimeout(() => setSuccess(''), 3000);
+                }}
+                onError={setError}
+              />
             </div>
           )}
         </div>
@@ -0,0 +1,528 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import DuplicateMatchList from '../components/DuplicateMatchList';
+import { fetchParticipantById, fetchParticipants, mergeParticipants } from '../services/api';
+import { toDate, toDateString } from '../utils/participantFilters';
+import { findDuplicates, duplicateSearchTerm } from '../utils/duplicates';
+
+const MERGE_FIELDS = [
+  { name: 'name', label: 'Name' },
+  { name: 'dateOfBirth', label: 'Date of Birth', type: 'date' },
+  { name: 'identificationNumber', label: 'ID Number' },
+  { name: 'school', label: 'School' },
+  { name: 'address', label: 'Address' },
+  { name: 'referralDate', label: 'Referral Date', type: 'date' }
+];
+
+// Everything attached to a participant that the merge moves onto the kept record
+const MERGED_COLLECTIONS = [
+  { name: 'notes', singular: 'note', plural: 'notes' },
+  { name: 'uploadedPhotos', singular: 'photo', plural: 'photos' },
+  { name: 'contacts', singular: 'contact', plural: 'contacts' },
+  { name: 'consents', singular: 'consent record', plural: 'consent records' },
+  { name: 'documents', singular: 'document', plural: 'documents' },
+  { name: 'goals', singular: 'goal', plural: 'goals' }
+];
+
+const formatCount = (count, collection) =>
+  `${count} ${count === 1 ? collection.singular : collection.plural}`;
+
+// "3 notes, 1 photo, 0 contacts, ..." for one record, or for both records combined
+const describeCollections = (...records) => MERGED_COLLECTIONS
+  .map(collection => formatCount(
+    records.reduce((total, record) => total + (record[collection.name] || []).length, 0),
+    collection
+  ))
+  .join(', ');
+
+// Show looser matches here than at creation time; staff are already looking for a duplicate
+const SUGGESTION_THRESHOLD = 0.5;
+
+const getFieldValue = (participant, field) => (field.type === 'date'
+  ? toDateString(participant?.[field.name])
+  : participant?.[field.name] || '');
+
+const formatFieldValue = (participant, field) => {
+  const value = getFieldValue(participant, field);
+  if (!value) return '—';
+  return field.type === 'date' ? toDate(value).toLocaleDateString() : value;
+};
+
+// Default each field to the kept record's value, falling back to the other record when blank
+const defaultFieldSources = (keep, other) => MERGE_FIELDS.reduce((sources, field) => ({
+  ...sources,
+  [field.name]: getFieldValue(keep, field) || !getFieldValue(other, field) ? 'keep' : 'other'
+}), {});
+
+const getProgramLabels = (participant) => (participant.programDetails?.length > 0
+  ? participant.programDetails.map(program => program.name)
+  : participant.programs || []);
+
+const isSameRecord = (a, b) => String(a) === String(b);
+
+const ParticipantMerge = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const otherId = searchParams.get('with') || '';
+  const [participant, setParticipant] = useState(null);
+  const [other, setOther] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [search, setSearch] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  // 'current' keeps the record this page was opened from; 'other' keeps the selected duplicate
+  const [keepRecord, setKeepRecord] = useState('current');
+  const [fieldSources, setFieldSources] = useState({});
+  const [reason, setReason] = useState('');
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    loadParticipant();
+    // eslint-disable-next-line
+  }, [id]);
+
+  useEffect(() => {
+    loadOther();
+    // eslint-disable-next-line
+  }, [otherId]);
+
+  const loadParticipant = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await fetchParticipantById(id);
+      const current = response.data.participant;
+      setParticipant(current);
+      loadSuggestions(current);
+    } catch (err) {
+      console.error('Error loading participant:', err);
+      setError(err?.response?.data?.error || 'Failed to load participant');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSuggestions = async (current) => {
+    try {
+      const response = await fetchParticipants({
+        search: duplicateSearchTerm(current.name),
+        isActive: true,
+        page: 1,
+        limit: 50
+      });
+      setSuggestions(findDuplicates(current, response.data?.participants || response.data || [], SUGGESTION_THRESHOLD));
+    } catch (err) {
+      // Suggestions are optional; staff can still search manually
+    }
+  };
+
+  const loadOther = async () => {
+    setOther(null);
+    setKeepRecord('current');
+    if (!otherId) return;
+    // A record can't be merged into itself, even from a hand-edited ?with= link
+    if (isSameRecord(otherId, id)) {
+      setError('Choose a different record to merge with.');
+      setSearchParams({});
+      return;
+    }
+    try {
+      const response = await fetchParticipantById(otherId);
+      setOther(response.data.participant);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load the participant to merge');
+    }
+  };
+
+  const keep = keepRecord === 'current' ? participant : other;
+  const remove = keepRecord === 'current' ? other : participant;
+
+  useEffect(() => {
+    if (participant && other) {
+      setFieldSources(keepRecord === 'current'
+        ? defaultFieldSources(participant, other)
+        : defaultFieldSources(other, participant));
+    }
+  }, [participant, other, keepRecord]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) return;
+    try {
+      const response = await fetchParticipants({ search: search.trim(), isActive: true, page: 1, limit: 20 });
+      const results = response.data?.participants || response.data || [];
+      setSearchResults(results.filter(p => !isSameRecord(p.id, id)));
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Search failed');
+    }
+  };
+
+  const selectOther = (participantId) => {
+    if (isSameRecord(participantId, id)) return;
+    setError('');
+    setSearchParams({ with: participantId });
+  };
+
+  const handleMerge = async () => {
+    if (!window.confirm(
+      `Merge ${remove.name} into ${keep.name}? Notes, photos, program enrollments, contacts, consent records, ` +
+      'documents and goals will be combined ' +
+      `and the record for ${remove.name} will be removed. This cannot be undone.`
+    )) {
+      return;
+    }
+
+    // Only send the details taken from the record being removed
+    const fields = MERGE_FIELDS
+      .filter(field => fieldSources[field.name] === 'other')
+      .reduce((values, field) => ({ ...values, [field.name]: getFieldValue(remove, field) }), {});
+
+    try {
+      setMerging(true);
+      setError('');
+      await mergeParticipants(keep.id, { sourceId: remove.id, fields, reason: reason.trim() });
+      navigate(`/participants/${keep.id}`);
+    } catch (err) {
+      console.error('Error merging participants:', err);
+      setError(err?.response?.data?.error || 'Failed to merge participants');
+      setMerging(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center' }}>
+        <h2>Loading Participant...</h2>
+      </div>
+    );
+  }
+
+  if (!participant) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <div style={{
+          background: '#f8d7da',
+          color: '#721c24',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #f5c6cb'
+        }}>
+          {error || 'Participant not found'}
+        </div>
+        <button
+          onClick={() => navigate('/participants')}
+          style={{
+            background: '#6c757d',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+        >
+          ← Back to Participants
+        </button>
+      </div>
+    );
+  }
+
+  const combinedPrograms = keep && remove
+    ? [...new Set([...getProgramLabels(keep), ...getProgramLabels(remove)])]
+    : [];
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <div style={{ marginBottom: '20px' }}>
+        <h1 style={{ margin: '0 0 5px 0' }}>Merge Duplicate Participant</h1>
+        <button
+          onClick={() => navigate(`/participants/${id}`)}
+          style={{
+            background: 'transparent',
+            color: '#667eea',
+            border: 'none',
+            padding: '5px 0',
+            cursor: 'pointer',
+            fontSize: '14px',
+            textDecoration: 'underline'
+          }}
+        >
+          ← Back to {participant.name}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#f8d7da',
+          color: '#721c24',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #f5c6cb'
+        }}>
+          ❌ {error}
+        </div>
+      )}
+
+      {/* Choose the duplicate */}
+      {!other && (
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px',
+          marginBottom: '30px'
+        }}>
+          <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+            Which record is a duplicate of {participant.name}?
+          </h3>
+
+          {suggestions.length > 0 ? (
+            <div style={{ marginBottom: '20px' }}>
+              <h4 style={{ margin: '0 0 10px 0' }}>Possible duplicates</h4>
+              <DuplicateMatchList
+                matches={suggestions}
+                renderAction={(match) => (
+                  <button
+                    onClick={() => selectOther(match.id)}
+                    style={{
+                      background: '#667eea',
+                      color: 'white',
+                      border: 'none',
+                      padding: '5px 15px',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px'
+                    }}
+                  >
+                    Compare
+                  </button>
+                )}
+              />
+            </div>
+          ) : (
+            <p style={{ color: '#666', marginTop: 0 }}>No likely duplicates found. Search for the record below.</p>
+          )}
+
+          <form onSubmit={handleSearch} style={{ display: 'flex', gap: '10px' }}>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name, ID number, or school..."
+              style={{ flex: 1, padding: '8px 12px', border: '1px solid #ddd', borderRadius: '4px' }}
+            />
+            <button
+              type="submit"
+              style={{
+                background: '#17a2b8',
+                color: 'white',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Search
+            </button>
+          </form>
+          {searchResults && (
+            <div style={{ marginTop: '10px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {searchResults.length === 0 ? (
+                <p style={{ color: '#666', margin: 0 }}>No participants found.</p>
+              ) : searchResults.map(result => (
+                <div
+                  key={result.id}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    padding: '8px 12px',
+                    border: '1px solid #e1e5e9',
+                    borderRadius: '6px'
+                  }}
+                >
+                  <span>
+                    {result.name}
+                    {result.identificationNumber && (
+                      <span style={{ color: '#666', fontSize: '12px' }}> · ID: {result.identificationNumber}</span>
+                    )}
+                  </span>
+                  <button
+                    onClick={() => selectOther(result.id)}
+                    style={{
+                      background: '#667eea',
+                      color: 'white',
+                      border: 'none',
+                      padding: '5px 15px',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px'
+                    }}
+                  >
+                    Compare
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Side-by-side comparison */}
+      {other && (
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px',
+          marginBottom: '30px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', borderBottom: '2px solid #667eea', paddingBottom: '10px', marginBottom: '15px' }}>
+            <h3 style={{ margin: 0, color: '#333' }}>Compare Records</h3>
+            <button
+              onClick={() => setSearchParams({})}
+              style={{
+                background: 'transparent',
+                color: '#667eea',
+                border: '1px solid #667eea',
+                padding: '5px 12px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Choose a different record
+            </button>
+          </div>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '20px' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa' }}>
+                <th style={{ padding: '8px 12px', textAlign: 'left', fontSize: '13px' }}>Field</th>
+                {[['current', participant], ['other', other]].map(([key, record]) => (
+                  <th key={key} style={{ padding: '8px 12px', textAlign: 'left', fontSize: '13px' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                      <input
+                        type="radio"
+                        name="keepRecord"
+                        checked={keepRecord === key}
+                        onChange={() => setKeepRecord(key)}
+                      />
+                      Keep this record
+                    </label>
+                    <div style={{ fontWeight: 'normal', color: '#666', fontSize: '12px', marginTop: '3px' }}>
+                      {record.name}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(field => {
+                const sourceFor = (key) => (key === keepRecord ? 'keep' : 'other');
+                return (
+                  <tr key={field.name}>
+                    <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontWeight: '500', fontSize: '13px' }}>
+                      {field.label}
+                    </td>
+                    {[['current', participant], ['other', other]].map(([key, record]) => (
+                      <td key={key} style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '13px' }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                          <input
+                            type="radio"
+                            name={`field-${field.name}`}
+                            checked={fieldSources[field.name] === sourceFor(key)}
+                            onChange={() => setFieldSources(prev => ({ ...prev, [field.name]: sourceFor(key) }))}
+                          />
+                          {formatFieldValue(record, field)}
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+              <tr>
+                <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontWeight: '500', fontSize: '13px' }}>
+                  Attached Records
+                </td>
+                {[participant, other].map(record => (
+                  <td key={record.id} style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '13px', color: '#666' }}>
+                    {describeCollections(record)}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontWeight: '500', fontSize: '13px' }}>
+                  Programs
+                </td>
+                {[participant, other].map(record => (
+                  <td key={record.id} style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontSize: '13px', color: '#666' }}>
+                    {getProgramLabels(record).join(', ') || '—'}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+
+          <div style={{
+            background: '#f8f9fa',
+            border: '1px solid #e1e5e9',
+            borderRadius: '6px',
+            padding: '15px',
+            marginBottom: '20px',
+            fontSize: '14px',
+            color: '#333'
+          }}>
+            <strong>After merging,</strong> {keep.name}'s record will have{' '}
+            {describeCollections(keep, remove)} and{' '}
+            {combinedPrograms.length} program enrollment{combinedPrograms.length !== 1 ? 's' : ''}.
+            The record for {remove.name}
+            {remove.identificationNumber ? ` (ID ${remove.identificationNumber})` : ''} will be removed,
+            and the merge will be recorded in the participant's merge history.
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500' }}>
+              Reason (optional)
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              placeholder="e.g. Created twice from the Lincoln High referral and the spring import"
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                border: '1px solid #ddd',
+                borderRadius: '4px',
+                boxSizing: 'border-box',
+                fontFamily: 'inherit'
+              }}
+            />
+          </div>
+
+          <button
+            onClick={handleMerge}
+            disabled={merging}
+            style={{
+              background: '#dc3545',
+              color: 'white',
+              border: 'none',
+              padding: '10px 20px',
+              borderRadius: '5px',
+              cursor: merging ? 'not-allowed' : 'pointer',
+              opacity: merging ? 0.6 : 1
+            }}
+          >
+            {merging ? 'Merging...' : `Merge into ${keep.name}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParticipantMerge;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { fetchParticipantById, fetchParticipantAttendance } from '../services/api';
+import { toDate, getAge } from '../utils/participantFilters';
+import { summarizeAttendance, groupAttendanceByProgram, formatRate } from '../utils/attendance';
+import { canViewNote, getNoteVisibility, formatNoteDate, sortNotesNewestFirst } from '../utils/notes';
+import { getContacts, getContactTypeLabel } from '../utils/contacts';
+import { summarizeGoals } from '../utils/goals';
+import { hasValidConsent } from '../utils/consent';
+
+const RECENT_NOTES = 5;
+
+// Hide the toolbar and keep the summary on the page when printing
+const PRINT_CSS = `
+  @page { size: letter; margin: 12mm; }
+  @media print {
+    .no-print { display: none !important; }
+    body { background: white; }
+  }
+`;
+
+const sectionTitle = {
+  fontSize: '13px',
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px',
+  color: '#667eea',
+  borderBottom: '1px solid #ccc',
+  paddingBottom: '3px',
+  margin: '14px 0 6px 0'
+};
+
+const Field = ({ label, value }) => (value ? (
+  <div style={{ fontSize: '12px', marginBottom: '3px' }}>
+    <strong style={{ color: '#555' }}>{label}:</strong> {value}
+  </div>
+) : null);
+
+// One-page, print-optimized case summary for school meetings and funders. Sensitive
+// fields (date of birth, address, ID number, contacts and notes not visible to all
+// staff) are left out unless ?sensitive=1.
+const ParticipantPrint = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const includeSensitive = searchParams.get('sensitive') === '1';
+  const [participant, setParticipant] = useState(null);
+  const [attendance, setAttendance] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await fetchParticipantById(id);
+        setParticipant(response.data.participant);
+      } catch (err) {
+        setError(err?.response?.data?.error || 'Failed to load participant');
+      } finally {
+        setLoading(false);
+      }
+      try {
+        const response = await fetchParticipantAttendance(id);
+        setAttendance(response.data?.attendance || response.data || []);
+      } catch (err) {
+        // attendance is supplementary; print without it
+      }
+    };
+    load();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center' }}>
+        <h2>Loading Participant...</h2>
+      </div>
+    );
+  }
+
+  if (error || !participant) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <div style={{
+          background: '#f8d7da',
+          color: '#721c24',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #f5c6cb'
+        }}>
+          {error || 'Participant not found'}
+        </div>
+        <button
+          onClick={() => navigate('/participants')}
+          style={{
+            background: '#6c757d',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+        >
+          ← Back to Participants
+        </button>
+      </div>
+    );
+  }
+
+  // The photo is printed only with a valid photo release and sensitive fields turned on
+  const headshotUrl = includeSensitive && hasValidConsent(participant, 'photoRelease')
+    ? participant.headshotPictureUrl?.url || participant.headshotPictureUrl || ''
+    : '';
+  const age = getAge(participant.dateOfBirth);
+  const programNames = (participant.programDetails || []).map(program => program.name)
+    .concat((participant.programDetails || []).length ? [] : participant.programs || []);
+  const attendanceSummary = summarizeAttendance(attendance.map(record => record.status));
+  const attendanceByProgram = groupAttendanceByProgram(attendance);
+  const milestoneNotes = sortNotesNewestFirst(participant.notes)
+    .filter(note => note.type === 'milestone' && canViewNote(note, user))
+    .filter(note => includeSensitive || getNoteVisibility(note) === 'everyone')
+    .slice(0, RECENT_NOTES);
+  const goalSummary = summarizeGoals(participant.goals);
+  const contacts = getContacts(participant);
+
+  return (
+    <div style={{ background: '#f0f2f5', minHeight: '100vh' }}>
+      <style>{PRINT_CSS}</style>
+
+      <div
+        className="no-print"
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '15px',
+          flexWrap: 'wrap',
+          padding: '15px 20px',
+          background: 'white',
+          borderBottom: '1px solid #e1e5e9'
+        }}
+      >
+        <button
+          onClick={() => navigate(`/participants/${id}`)}
+          style={{
+            background: 'transparent',
+            color: '#667eea',
+            border: 'none',
+            cursor: 'pointer',
+            fontSize: '14px',
+            textDecoration: 'underline'
+          }}
+        >
+          ← Back to {participant.name}
+        </button>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px' }}>
+          <input
+            type="checkbox"
+            checked={includeSensitive}
+            onChange={(e) => setSearchParams(e.target.checked ? { sensitive: '1' } : {}, { replace: true })}
+          />
+          Include sensitive fields (date of birth, address, ID number, contacts, restricted notes)
+        </label>
+        <button
+          onClick={() => window.print()}
+          style={{
+            background: '#667eea',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '5px',
+            cursor: 'pointer',
+            fontWeight: '500'
+          }}
+        >
+          🖨️ Print / Save as PDF
+        </button>
+      </div>
+
+      <div style={{
+        background: 'white',
+        maxWidth: '800px',
+        margin: '20px auto',
+        padding: '30px 35px',
+        color: '#222',
+        fontSize: '13px',
+        lineHeight: '1.4',
+        boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', borderBottom: '3px solid #667eea', paddingBottom: '10px' }}>
+          <div>
+            <div style={{ fontSize: '11px', color: '#667eea', fontWeight: '600', letterSpacing: '1px' }}>HEARTSMILES • PARTICIPANT SUMMARY</div>
+            <h1 style={{ margin: '4px 0 0 0', fontSize: '24px' }}>{participant.name}</h1>
+            {participant.isActive === false && (
+              <div style={{ fontSize: '12px', color: '#856404' }}>Archived</div>
+            )}
+          </div>
+          <div style={{ fontSize: '11px', color: '#666', textAlign: 'right' }}>
+            Prepared {new Date().toLocaleDateString()}
+            {user?.name && <div>by {user.name}</div>}
+            {!includeSensitive && <div>Sensitive fields omitted</div>}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '20px', marginTop: '12px' }}>
+          {headshotUrl && (
+            <img
+              src={headshotUrl}
+              alt={participant.name}
+              style={{ width: '120px', height: '150px', objectFit: 'cover', borderRadius: '4px', border: '1px solid #ddd' }}
+            />
+          )}
+          <div style={{ flex: 1 }}>
+            <div style={sectionTitle}>Profile</div>
+            <Field label="Age" value={age !== null ? String(age) : ''} />
+            {includeSensitive && (
+              <Field label="Date of Birth" value={toDate(participant.dateOfBirth)?.toLocaleDateString()} />
+            )}
+            <Field label="School" value={participant.school} />
+            {includeSensitive && <Field label="ID Number" value={participant.identificationNumber} />}
+            {includeSensitive && <Field label="Address" value={participant.address} />}
+            <Field label="Referral Date" value={toDate(participant.referralDate)?.toLocaleDateString()} />
+            <Field label="Programs" value={programNames.join(', ') || 'Not enrolled'} />
+          </div>
+        </div>
+
+        <div style={sectionTitle}>Attendance</div>
+        {attendance.length > 0 ? (
+          <div>
+            <div style={{ marginBottom: '4px' }}>
+              <strong>{formatRate(attendanceSummary.rate)}</strong> overall
+              {' '}({attendanceSummary.present} present, {attendanceSummary.absent} absent, {attendanceSummary.excused} excused)
+            </div>
+            {attendanceByProgram.map(group => (
+              <div key={group.programName} style={{ fontSize: '12px', color: '#444' }}>
+                {group.programName}: {formatRate(summarizeAttendance(group.statuses).rate)} of {group.statuses.length} session{group.statuses.length !== 1 ? 's' : ''}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div style={{ color: '#666' }}>No attendance recorded.</div>
+        )}
+
+        {goalSummary.total > 0 && (
+          <>
+            <div style={sectionTitle}>Goals</div>
+            <div>
+              {goalSummary.achieved} of {goalSummary.total} goals achieved
+              {goalSummary.overdue > 0 && `, ${goalSummary.overdue} overdue`}
+            </div>
+          </>
+        )}
+
+        <div style={sectionTitle}>Recent Milestones</div>
+        {milestoneNotes.length > 0 ? (
+          milestoneNotes.map((note, index) => (
+            <div key={note.id || index} style={{ marginBottom: '6px' }}>
+              <div style={{ fontSize: '11px', color: '#666' }}>
+                {formatNoteDate(note.createdAt)}{note.author && ` • ${note.author}`}
+              </div>
+              <div style={{ whiteSpace: 'pre-wrap' }}>{note.content}</div>
+            </div>
+          ))
+        ) : (
+          <div style={{ color: '#666' }}>No milestone notes yet.</div>
+        )}
+
+        {includeSensitive && contacts.length > 0 && (
+          <>
+            <div style={sectionTitle}>Contacts</div>
+            {contacts.map((contact, index) => (
+              <div key={contact.id || index} style={{ fontSize: '12px', marginBottom: '3px' }}>
+                <strong>{contact.name}</strong> — {getContactTypeLabel(contact.type)}
+                {contact.relationship && ` (${contact.relationship})`}
+                {contact.phone && ` • ${contact.phone}`}
+                {contact.email && ` • ${contact.email}`}
+                {contact.pickupAuthorized && ' • Authorized for pickup'}
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParticipantPrint;
@@ -1,17 +1,53 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-import { fetchParticipants, createParticipant, deleteParticipant } from '../services/api';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import usePaginatedList from '../hooks/usePaginatedList';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useFormDraft from '../hooks/useFormDraft';
+import usePermission from '../hooks/usePermission';
+import VirtualList from '../components/VirtualList';
+import DuplicateMatchList from '../components/DuplicateMatchList';
+import ParticipantBulkActions from '../components/ParticipantBulkActions';
+import {
+  fetchParticipants,
+  fetchPrograms,
+  createParticipant,
+  archiveParticipant,
+  restoreParticipant,
+  permanentlyDeleteParticipant
+} from '../services/api';
+import {
+  PARTICIPANT_FILTER_KEYS,
+  PARTICIPANT_SORT_FIELDS,
+  readParticipantFilters,
+  hasActiveFilters,
+  getAge,
+  toDate
+} from '../utils/participantFilters';
+import { findDuplicates, duplicateSearchTerm } from '../utils/duplicates';
+import { PERMISSIONS } from '../utils/permissions';
+import { fetchAllMatching } from '../utils/bulkActions';
 // Create functional components; API functions for getting data and creating new participants
 
+const PAGE_SIZE = 50;
+const ROW_HEIGHT = 72;
+
 const Participants = () => {
-  const { user } = useAuth();
   const navigate = useNavigate();
-  const [participants, setParticipants] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const canCreate = usePermission(PERMISSIONS.PARTICIPANTS_CREATE);
+  const canEdit = usePermission(PERMISSIONS.PARTICIPANTS_EDIT);
+  const canArchive = usePermission(PERMISSIONS.PARTICIPANTS_ARCHIVE);
+  const canDelete = usePermission(PERMISSIONS.PARTICIPANTS_DELETE);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [programs, setPrograms] = useState([]);
+  const [knownSchools, setKnownSchools] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  // Checked participants by id, kept across filter changes so a selection can be built up
+  const [selected, setSelected] = useState({});
+  const [selectingAll, setSelectingAll] = useState(false);
+  // Possible duplicates of the participant being created; null until checked
+  const [duplicateMatches, setDuplicateMatches] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     dateOfBirth: '',
@@ -22,36 +58,139 @@ const Participants = () => {
   });
   // Details for creating a new participant 
 
+  // Keep a half-filled "Add Participant" form across a forced re-login
+  const participantDraft = useFormDraft(
+    'participants:new',
+    showForm && Object.values(formData).some(value => (Array.isArray(value) ? value.length : value)) ? formData : null,
+    (draft) => {
+      setFormData(prev => ({ ...prev, ...draft }));
+      setShowForm(true);
+    }
+  );
+
   useEffect(() => {
-    loadParticipants();
+    loadPrograms();
   }, []);
 
-  const loadParticipants = async () => {
+  // Filter and sort state lives in the URL so filtered views can be bookmarked and shared
+  const filters = readParticipantFilters(searchParams);
+  const filtersActive = hasActiveFilters(filters);
+  const showArchived = searchParams.get('view') === 'archived';
+  const debouncedSearch = useDebouncedValue(filters.q);
+
+  // Filters and sort are applied by the server. Re-filtering or re-sorting loaded pages
+  // here would only reorder what has loaded so far, and a page with no local matches
+  // would stop infinite scroll from fetching the pages after it.
+  const listParams = {
+    isActive: !showArchived,
+    search: debouncedSearch || undefined,
+    programId: filters.program || undefined,
+    school: filters.school || undefined,
+    minAge: filters.minAge || undefined,
+    maxAge: filters.maxAge || undefined,
+    referredFrom: filters.referredFrom || undefined,
+    referredTo: filters.referredTo || undefined,
+    sortBy: filters.sort,
+    sortOrder: filters.dir
+  };
+  const {
+    items: loadedParticipants,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    error: loadError,
+    loadMore,
+    reload: loadParticipants
+  } = usePaginatedList(fetchParticipants, {
+    itemsKey: 'participants',
+    pageSize: PAGE_SIZE,
+    params: listParams
+  });
+  const participants = useMemo(
+    () => loadedParticipants.filter(p => (showArchived ? p.isActive === false : p.isActive !== false)),
+    [loadedParticipants, showArchived]
+  );
+
+  // Remember every school seen so the dropdown doesn't shrink once a school filter is applied
+  useEffect(() => {
+    setKnownSchools(prev => {
+      const next = new Set(prev);
+      participants.forEach(p => p.school?.trim() && next.add(p.school.trim()));
+      return next.size === prev.length ? prev : [...next].sort((a, b) => a.localeCompare(b));
+    });
+  }, [participants]);
+
+  const updateSearchParams = (updates) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) next.set(key, value); else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  };
+
+  const handleFilterChange = (e) => {
+    updateSearchParams({ [e.target.name]: e.target.value });
+  };
+
+  const clearFilters = () => {
+    updateSearchParams(PARTICIPANT_FILTER_KEYS.reduce((updates, key) => ({ ...updates, [key]: '' }), {}));
+  };
+
+  const handleSort = (field) => {
+    const dir = filters.sort === field && filters.dir === 'asc' ? 'desc' : 'asc';
+    updateSearchParams({ sort: field, dir });
+  };
+
+  const programNames = programs.reduce((names, program) => ({ ...names, [program.id]: program.name }), {});
+
+  const loadPrograms = async () => {
     try {
-      setLoading(true);
-      // Only fetch active participants
-      const response = await fetchParticipants();
-      // Backend returns { participants: [...], pagination: {...} }
-      const allParticipants = response.data?.participants || response.data || [];
-      // Filter out inactive participants
-      const activeParticipants = allParticipants.filter(p => p.isActive !== false);
-      setParticipants(activeParticipants);
+      const response = await fetchPrograms();
+      const allPrograms = response.data?.programs || response.data || [];
+      setPrograms(allPrograms.filter(p => p.isActive !== false));
     } catch (error) {
-      console.error('Error loading participants:', error);
-    } finally {
-      setLoading(false);
+      // Program filter is optional; don't block the list
+    }
+  };
+
+  // Look up existing participants with a similar name and score them on name, DOB and school
+  const checkForDuplicates = async (candidate) => {
+    try {
+      const response = await fetchParticipants({
+        search: duplicateSearchTerm(candidate.name),
+        isActive: true,
+        page: 1,
+        limit: 50
+      });
+      return findDuplicates(candidate, response.data?.participants || response.data || []);
+    } catch (err) {
+      // Don't block creation if the check itself fails
+      console.error('Error checking for duplicates:', err);
+      return [];
     }
   };
-  // Load each participant 
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
+    // First submit checks for duplicates; submitting again with matches shown creates anyway
+    if (duplicateMatches === null) {
+      const matches = await checkForDuplicates(formData);
+      if (matches.length > 0) {
+        setDuplicateMatches(matches);
+        return;
+      }
+    }
     try {
       await createParticipant(formData);
       setSuccess('Participant created successfully!');
+      participantDraft.clearDraft();
       setShowForm(false);
+      setDuplicateMatches(null);
       setFormData({
         name: '',
         dateOfBirth: '',
@@ -92,22 +231,119 @@ const Participants = () => {
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
+    if (['name', 'dateOfBirth', 'school'].includes(name)) setDuplicateMatches(null);
     setFormData(prev => ({
       ...prev,
       [name]: value
     }));
   };
 
-  const handleDeleteParticipant = async (participantId, participantName) => {
-    if (!window.confirm(`Are you sure you want to delete ${participantName}? This action cannot be undone.`)) {
+  const toggleArchivedView = () => {
+    setSelected({});
+    updateSearchParams({ view: showArchived ? '' : 'archived' });
+  };
+
+  const selectedParticipants = Object.values(selected);
+  const allVisibleSelected = participants.length > 0 && participants.every(p => selected[p.id]);
+
+  const toggleSelected = (participant) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[participant.id]) delete next[participant.id]; else next[participant.id] = participant;
+      return next;
+    });
+  };
+
+  const toggleAllVisible = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      participants.forEach(p => {
+        if (allVisibleSelected) delete next[p.id]; else next[p.id] = p;
+      });
+      return next;
+    });
+  };
+
+  const replaceSelection = (list) => {
+    setSelected(list.reduce((next, p) => ({ ...next, [p.id]: p }), {}));
+  };
+
+  // Only part of the filtered list is loaded at a time, so fetch every page before selecting
+  const selectAllMatching = async () => {
+    try {
+      setSelectingAll(true);
+      setError('');
+      const matching = await fetchAllMatching(fetchParticipants, listParams);
+      const inView = matching.filter(p => (showArchived ? p.isActive === false : p.isActive !== false));
+      setSelected(prev => inView.reduce((next, p) => ({ ...next, [p.id]: p }), prev));
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to select all matching participants');
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  // After a bulk action, keep the selected participants current. Archived ones stay selected
+  // until cleared so the per-row results remain on screen.
+  const handleBulkComplete = async (changed) => {
+    setSelected(prev => changed.reduce((next, p) => (next[p.id] ? { ...next, [p.id]: p } : next), prev));
+    await loadParticipants();
+  };
+
+  const handleArchiveParticipant = async (participant) => {
+    const reason = window.prompt(
+      `Why are you archiving ${participant.name}? They will be hidden from active lists and can be restored later.`
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('Please give a reason for archiving.');
       return;
     }
 
     try {
       setError('');
       setSuccess('');
-      await deleteParticipant(participantId);
-      setSuccess(`Participant ${participantName} deleted successfully!`);
+      await archiveParticipant(participant.id, reason.trim());
+      setSuccess(`${participant.name} has been archived.`);
+      await loadParticipants();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to archive participant');
+    }
+  };
+
+  const handleRestoreParticipant = async (participant) => {
+    try {
+      setError('');
+      setSuccess('');
+      await restoreParticipant(participant.id);
+      setSuccess(`${participant.name} has been restored.`);
+      await loadParticipants();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to restore participant');
+    }
+  };
+
+  // Admin only: confirm, then require the participant's name to be typed
+  const handlePermanentDelete = async (participant) => {
+    if (!window.confirm(
+      `Permanently delete ${participant.name}? Their notes, photos and enrollments will be removed. This cannot be undone.`
+    )) {
+      return;
+    }
+    const typedName = window.prompt(`Type "${participant.name}" to confirm permanent deletion.`);
+    if (typedName === null) return;
+    if (typedName.trim() !== participant.name.trim()) {
+      setError('The name did not match. The participant was not deleted.');
+      return;
+    }
+
+    try {
+      setError('');
+      setSuccess('');
+      await permanentlyDeleteParticipant(participant.id);
+      setSuccess(`${participant.name} was permanently deleted.`);
       await loadParticipants();
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
@@ -115,7 +351,147 @@ const Participants = () => {
     }
   };
 
-  if (loading) {
+  const renderParticipantRow = (participant) => {
+    const age = getAge(participant.dateOfBirth);
+    const referralDate = toDate(participant.referralDate);
+    const participantPrograms = (participant.programs || []).map(pid => programNames[pid]).filter(Boolean);
+    return (
+      <div style={{
+        ...rowGridStyle,
+        height: '100%',
+        padding: '0 20px',
+        borderBottom: '1px solid #f0f0f0',
+        boxSizing: 'border-box',
+        background: selected[participant.id] ? '#f3f5fe' : 'transparent'
+      }}>
+        <input
+          type="checkbox"
+          checked={!!selected[participant.id]}
+          onChange={() => toggleSelected(participant)}
+          aria-label={`Select ${participant.name}`}
+        />
+        <div style={{ overflow: 'hidden' }}>
+          <div style={{ fontWeight: '600', color: '#333', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {participant.name}
+          </div>
+          {participant.identificationNumber && (
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '3px' }}>
+              ID: {participant.identificationNumber}
+            </div>
+          )}
+          {showArchived && (
+            <div
+              title={participant.archivedReason || ''}
+              style={{ fontSize: '12px', color: '#856404', marginTop: '2px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+            >
+              Archived{toDate(participant.archivedAt) ? ` ${toDate(participant.archivedAt).toLocaleDateString()}` : ''}
+              {participant.archivedReason && ` — ${participant.archivedReason}`}
+            </div>
+          )}
+        </div>
+        <div style={{ fontSize: '14px', color: '#666' }}>{age ?? '—'}</div>
+        <div style={{ fontSize: '14px', color: '#666', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+          {participant.school || '—'}
+        </div>
+        <div style={{ fontSize: '14px', color: '#666' }}>
+          {referralDate ? referralDate.toLocaleDateString() : '—'}
+        </div>
+        <div
+          title={participantPrograms.join(', ')}
+          style={{ fontSize: '12px', color: '#007bff', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+        >
+          {participantPrograms.length > 0
+            ? participantPrograms.join(', ')
+            : participant.programs?.length > 0
+              ? `${participant.programs.length} program${participant.programs.length !== 1 ? 's' : ''}`
+              : '—'}
+        </div>
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+          <button
+            onClick={() => navigate(`/participants/${participant.id}`)}
+            style={{
+              background: '#17a2b8',
+              color: 'white',
+              border: 'none',
+              padding: '5px 15px',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            View
+          </button>
+          {canEdit && !showArchived && (
+            <button
+              onClick={() => navigate(`/participants/${participant.id}/edit`)}
+              style={{
+                background: '#ffc107',
+                color: '#333',
+                border: 'none',
+                padding: '5px 15px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Edit
+            </button>
+          )}
+          {canArchive && !showArchived && (
+            <button
+              onClick={() => handleArchiveParticipant(participant)}
+              style={{
+                background: '#6c757d',
+                color: 'white',
+                border: 'none',
+                padding: '5px 15px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Archive
+            </button>
+          )}
+          {canArchive && showArchived && (
+            <button
+              onClick={() => handleRestoreParticipant(participant)}
+              style={{
+                background: '#28a745',
+                color: 'white',
+                border: 'none',
+                padding: '5px 15px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Restore
+            </button>
+          )}
+          {canDelete && showArchived && (
+            <button
+              onClick={() => handlePermanentDelete(participant)}
+              style={{
+                background: '#dc3545',
+                color: 'white',
+                border: 'none',
+                padding: '5px 15px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              Delete Forever
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Only take over the page on the first load; later reloads keep the filters on screen
+  if (loading && participants.length === 0 && !filtersActive) {
     return (
       <div style={{ padding: '20px', textAlign: 'center' }}>
         <h2>Loading Participants...</h2>
@@ -131,22 +507,37 @@ const Participants = () => {
         alignItems: 'center', 
         marginBottom: '30px' 
       }}>
-        <h1>Participants</h1>
-        {user?.role === 'heartSmiles' && (
+        <h1>{showArchived ? 'Archived Participants' : 'Participants'}</h1>
+        <div style={{ display: 'flex', gap: '10px' }}>
           <button
-            onClick={() => setShowForm(!showForm)}
+            onClick={toggleArchivedView}
             style={{
-              background: '#007bff',
-              color: 'white',
-              border: 'none',
+              background: 'transparent',
+              color: '#6c757d',
+              border: '1px solid #6c757d',
               padding: '10px 20px',
               borderRadius: '5px',
               cursor: 'pointer'
             }}
           >
-            {showForm ? 'Cancel' : 'Add Participant'}
+            {showArchived ? '← Active Participants' : 'Archived Participants'}
           </button>
-        )}
+          {canCreate && !showArchived && (
+            <button
+              onClick={() => setShowForm(!showForm)}
+              style={{
+                background: '#007bff',
+                color: 'white',
+                border: 'none',
+                padding: '10px 20px',
+                borderRadius: '5px',
+                cursor: 'pointer'
+              }}
+            >
+              {showForm ? 'Cancel' : 'Add Participant'}
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Success/Error Messages */}
@@ -176,7 +567,7 @@ const Participants = () => {
       )}
 
       {/* Add Participant Form */}
-      {showForm && user?.role === 'heartSmiles' && (
+      {showForm && !showArchived && canCreate && (
         <div style={{
           background: 'white',
           border: '1px solid #e1e5e9',
@@ -281,23 +672,52 @@ const Participants = () => {
                 />
               </div>
             </div>
+            {duplicateMatches?.length > 0 && (
+              <div style={{
+                background: '#fff3cd',
+                border: '1px solid #ffeeba',
+                borderRadius: '6px',
+                padding: '15px',
+                marginBottom: '20px'
+              }}>
+                <div style={{ fontWeight: '600', color: '#856404', marginBottom: '10px' }}>
+                  ⚠️ This participant may already exist. Check these records before creating a new one.
+                </div>
+                <DuplicateMatchList
+                  matches={duplicateMatches}
+                  renderAction={(match) => (
+                    <a
+                      href={`/participants/${match.id}`}
+                      target="_blank"
+                      rel="noreferrer"
+                      style={{ color: '#17a2b8', fontSize: '13px' }}
+                    >
+                      View
+                    </a>
+                  )}
+                />
+              </div>
+            )}
             <div style={{ display: 'flex', gap: '10px' }}>
               <button
                 type="submit"
                 style={{
-                  background: '#28a745',
-                  color: 'white',
+                  background: duplicateMatches?.length > 0 ? '#ffc107' : '#28a745',
+                  color: duplicateMatches?.length > 0 ? '#333' : 'white',
                   border: 'none',
                   padding: '10px 20px',
                   borderRadius: '5px',
                   cursor: 'pointer'
                 }}
               >
-                Create Participant
+                {duplicateMatches?.length > 0 ? 'Create Anyway' : 'Create Participant'}
               </button>
               <button
                 type="button"
-                onClick={() => setShowForm(false)}
+                onClick={() => {
+                  setShowForm(false);
+                  setDuplicateMatches(null);
+                }}
                 style={{
                   background: '#6c757d',
                   color: 'white',
@@ -314,6 +734,138 @@ const Participants = () => {
         </div>
       )}
 
+      {/* Search & Filters */}
+      <div style={{
+        background: 'white',
+        border: '1px solid #e1e5e9',
+        borderRadius: '8px',
+        padding: '20px',
+        marginBottom: '20px'
+      }}>
+        <input
+          type="search"
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          placeholder="Search by name, ID number, or school..."
+          style={{
+            width: '100%',
+            padding: '10px 12px',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            fontSize: '14px',
+            boxSizing: 'border-box',
+            marginBottom: '15px'
+          }}
+        />
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+          gap: '12px',
+          alignItems: 'end'
+        }}>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' }}>
+              Program
+            </label>
+            <select name="program" value={filters.program} onChange={handleFilterChange} style={filterInputStyle}>
+              <option value="">All programs</option>
+              {programs.map(program => (
+                <option key={program.id} value={program.id}>{program.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' }}>
+              School
+            </label>
+            <select name="school" value={filters.school} onChange={handleFilterChange} style={filterInputStyle}>
+              <option value="">All schools</option>
+              {knownSchools.map(school => (
+                <option key={school} value={school}>{school}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' }}>
+              Age Range
+            </label>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+              <input
+                type="number"
+                name="minAge"
+                min="0"
+                value={filters.minAge}
+                onChange={handleFilterChange}
+                placeholder="Min"
+                style={filterInputStyle}
+              />
+              <span style={{ color: '#666' }}>–</span>
+              <input
+                type="number"
+                name="maxAge"
+                min="0"
+                value={filters.maxAge}
+                onChange={handleFilterChange}
+                placeholder="Max"
+                style={filterInputStyle}
+              />
+            </div>
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' }}>
+              Referred From
+            </label>
+            <input
+              type="date"
+              name="referredFrom"
+              value={filters.referredFrom}
+              onChange={handleFilterChange}
+              style={filterInputStyle}
+            />
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', fontWeight: '500', fontSize: '13px' }}>
+              Referred To
+            </label>
+            <input
+              type="date"
+              name="referredTo"
+              value={filters.referredTo}
+              onChange={handleFilterChange}
+              style={filterInputStyle}
+            />
+          </div>
+          {filtersActive && (
+            <button
+              onClick={clearFilters}
+              style={{
+                background: 'transparent',
+                color: '#6c757d',
+                border: '1px solid #6c757d',
+                padding: '8px 12px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              Clear Filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {selectedParticipants.length > 0 && (
+        <ParticipantBulkActions
+          selected={selectedParticipants}
+          programs={programs}
+          showArchived={showArchived}
+          onComplete={handleBulkComplete}
+          onSelect={replaceSelection}
+          onClearSelection={() => setSelected({})}
+        />
+      )}
+
       {/* Participants List */}
       <div style={{
         background: 'white',
@@ -321,100 +873,124 @@ const Participants = () => {
         borderRadius: '8px',
         overflow: 'hidden'
       }}>
-        {participants.length > 0 ? (
+        {participants.length > 0 || filtersActive ? (
           <div>
             <div style={{
               background: '#f8f9fa',
               padding: '15px 20px',
               borderBottom: '1px solid #e1e5e9',
               fontWeight: '600',
-              color: '#333'
+              color: '#333',
+              display: 'flex',
+              justifyContent: 'space-between'
             }}>
-              {participants.length} Participant{participants.length !== 1 ? 's' : ''}
+              <span>
+                {total} {filtersActive ? 'Matching ' : ''}{showArchived ? 'Archived ' : ''}Participant{total !== 1 ? 's' : ''}
+              </span>
+              {(loading || hasMore) && (
+                <span style={{ fontWeight: 'normal', fontSize: '13px', color: '#666' }}>
+                  {loading ? 'Updating...' : `Showing ${participants.length} — scroll to load more`}
+                </span>
+              )}
             </div>
-            {participants.map((participant, index) => (
-              <div
-                key={participant.id || index}
-                style={{
-                  padding: '20px',
-                  borderBottom: index < participants.length - 1 ? '1px solid #f0f0f0' : 'none',
-                  display: 'flex',
-                  justifyContent: 'space-between',
-                  alignItems: 'center'
-                }}
-              >
-                <div>
-                  <h4 style={{ margin: '0 0 5px 0', color: '#333' }}>
-                    {participant.name}
-                  </h4>
-                  <div style={{ fontSize: '14px', color: '#666', marginBottom: '5px' }}>
-                    {participant.dateOfBirth && `Born: ${new Date(participant.dateOfBirth).toLocaleDateString()}`}
-                  </div>
-                  <div style={{ fontSize: '14px', color: '#666' }}>
-                    {participant.school && `School: ${participant.school}`}
-                    {participant.identificationNumber && ` • ID: ${participant.identificationNumber}`}
+
+            {/* Sortable column headers */}
+            <div style={{
+              ...rowGridStyle,
+              padding: '10px 20px',
+              borderBottom: '1px solid #e1e5e9',
+              fontSize: '12px',
+              fontWeight: '600',
+              color: '#666',
+              textTransform: 'uppercase'
+            }}>
+              <input
+                type="checkbox"
+                checked={allVisibleSelected}
+                onChange={toggleAllVisible}
+                disabled={participants.length === 0}
+                aria-label="Select all shown participants"
+              />
+              {Object.entries(PARTICIPANT_SORT_FIELDS).map(([field, label]) => (
+                <button
+                  key={field}
+                  onClick={() => handleSort(field)}
+                  style={{
+                    background: 'transparent',
+                    border: 'none',
+                    padding: 0,
+                    textAlign: 'left',
+                    cursor: 'pointer',
+                    font: 'inherit',
+                    color: filters.sort === field ? '#007bff' : 'inherit',
+                    textTransform: 'inherit'
+                  }}
+                >
+                  {label} {filters.sort === field ? (filters.dir === 'asc' ? '▲' : '▼') : ''}
+                </button>
+              ))}
+              <div>Programs</div>
+              <div />
+            </div>
+
+            {allVisibleSelected && selectedParticipants.length < total && (
+              <div style={{ padding: '10px 20px', background: '#f3f5fe', borderBottom: '1px solid #e1e5e9', fontSize: '13px', color: '#333' }}>
+                {selectedParticipants.length} participant{selectedParticipants.length !== 1 ? 's' : ''} selected.{' '}
+                <button
+                  onClick={selectAllMatching}
+                  disabled={selectingAll}
+                  style={{
+                    background: 'transparent',
+                    color: '#667eea',
+                    border: 'none',
+                    padding: 0,
+                    cursor: selectingAll ? 'wait' : 'pointer',
+                    fontSize: '13px',
+                    fontWeight: '600',
+                    textDecoration: 'underline'
+                  }}
+                >
+                  {selectingAll ? 'Selecting...' : `Select all ${total}${filtersActive ? ' matching' : ''} participants`}
+                </button>
+              </div>
+            )}
+
+            {loadError && (
+              <div style={{ padding: '12px 20px', color: '#721c24', background: '#f8d7da', fontSize: '14px' }}>
+                ❌ {loadError}
+              </div>
+            )}
+
+            {participants.length > 0 ? (
+              <VirtualList
+                items={participants}
+                rowHeight={ROW_HEIGHT}
+                height={ROW_HEIGHT * 10}
+                onEndReached={loadMore}
+                footer={loadingMore && (
+                  <div style={{ padding: '12px', textAlign: 'center', color: '#666', fontSize: '13px' }}>
+                    Loading more participants...
                   </div>
-                  {participant.programs && participant.programs.length > 0 && (
-                    <div style={{ fontSize: '12px', color: '#007bff', marginTop: '5px' }}>
-                      {participant.programs.length} program{participant.programs.length !== 1 ? 's' : ''}
-                    </div>
-                  )}
-                </div>
-                <div style={{ display: 'flex', gap: '10px' }}>
-                  <button
-                    onClick={() => navigate(`/participants/${participant.id}`)}
-                    style={{
-                      background: '#17a2b8',
-                      color: 'white',
-                      border: 'none',
-                      padding: '5px 15px',
-                      borderRadius: '4px',
-                      cursor: 'pointer',
-                      fontSize: '12px'
-                    }}
-                  >
-                    View
-                  </button>
-                  {user?.role === 'heartSmiles' && (
-                    <>
-                      <button
-                        onClick={() => navigate(`/participants/${participant.id}/edit`)}
-                        style={{
-                          background: '#ffc107',
-                          color: '#333',
-                          border: 'none',
-                          padding: '5px 15px',
-                          borderRadius: '4px',
-                          cursor: 'pointer',
-                          fontSize: '12px'
-                        }}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDeleteParticipant(participant.id, participant.name)}
-                        style={{
-                          background: '#dc3545',
-                          color: 'white',
-                          border: 'none',
-                          padding: '5px 15px',
-                          borderRadius: '4px',
-                          cursor: 'pointer',
-                          fontSize: '12px'
-                        }}
-                      >
-                        Delete
-                      </button>
-                    </>
-                  )}
-                </div>
+                )}
+                renderRow={(participant) => renderParticipantRow(participant)}
+              />
+            ) : !loading && (
+              <div style={{ padding: '40px', textAlign: 'center', color: '#666' }}>
+                <h3>No matching participants</h3>
+                <p>Try a different search or clear the filters.</p>
               </div>
-            ))}
+            )}
           </div>
         ) : (
           <div style={{ padding: '40px', textAlign: 'center', color: '#666' }}>
-            <h3>No participants yet</h3>
-            <p>Start by adding your first participant using the "Add Participant" button above.</p>
+            {showArchived ? (
+              <h3>No archived participants</h3>
+            ) : (
+              <>
+                <h3>No participants yet</h3>
+                <p>Start by adding your first participant using the "Add Participant" button above.</p>
+              </>
+            )}
           </div>
         )}
       </div>
@@ -422,4 +998,21 @@ const Participants = () => {
   );
 };
 
+const filterInputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+// Shared by the column header and each row so they stay aligned
+const rowGridStyle = {
+  display: 'grid',
+  gridTemplateColumns: '20px minmax(160px, 2fr) 60px minmax(120px, 1.5fr) 110px minmax(120px, 1.5fr) 220px',
+  gap: '15px',
+  alignItems: 'center'
+};
+
 export default Participants;
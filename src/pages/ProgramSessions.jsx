@@ -0,0 +1,534 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import usePermission from '../hooks/usePermission';
+import {
+  fetchProgramByName,
+  fetchProgramSessions,
+  createProgramSession,
+  deleteProgramSession,
+  updateSessionAttendance
+} from '../services/api';
+import { toDate, toDateString } from '../utils/participantFilters';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  ATTENDANCE_STATUSES,
+  summarizeAttendance,
+  getParticipantStatuses,
+  getAllStatuses,
+  formatRate
+} from '../utils/attendance';
+
+// Most recent session first
+const sortSessions = (sessions) =>
+  sessions.slice().sort((a, b) => toDateString(b.date).localeCompare(toDateString(a.date)));
+
+const formatSessionDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString() : 'No date';
+};
+
+const ProgramSessions = () => {
+  const { name } = useParams();
+  const navigate = useNavigate();
+  const [program, setProgram] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [selectedSessionId, setSelectedSessionId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [newSession, setNewSession] = useState({ date: toDateString(new Date()), title: '' });
+  const [creating, setCreating] = useState(false);
+  const [savingIds, setSavingIds] = useState([]);
+
+  const canMark = usePermission(PERMISSIONS.ATTENDANCE_MARK);
+
+  useEffect(() => {
+    loadData();
+    // eslint-disable-next-line
+  }, [name]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [programRes, sessionsRes] = await Promise.all([
+        fetchProgramByName(name),
+        fetchProgramSessions(name)
+      ]);
+      setProgram(programRes.data.program);
+      const loadedSessions = sortSessions(sessionsRes.data?.sessions || sessionsRes.data || []);
+      setSessions(loadedSessions);
+      setSelectedSessionId(prev => (
+        prev && loadedSessions.some(s => s.id === prev) ? prev : (loadedSessions[0]?.id || '')
+      ));
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Apply attendance changes locally; a value of undefined clears that participant's status
+  const applyAttendance = (sessionId, updates) => {
+    setSessions(prev => prev.map(session => {
+      if (session.id !== sessionId) return session;
+      const attendance = { ...session.attendance };
+      Object.entries(updates).forEach(([participantId, status]) => {
+        if (status) attendance[participantId] = status; else delete attendance[participantId];
+      });
+      return { ...session, attendance };
+    }));
+  };
+
+  // Save immediately on each tap, rolling back if the request fails
+  const markAttendance = async (sessionId, updates) => {
+    const session = sessions.find(s => s.id === sessionId);
+    const previous = Object.keys(updates).reduce((prev, participantId) => ({
+      ...prev,
+      [participantId]: session?.attendance?.[participantId]
+    }), {});
+    const participantIds = Object.keys(updates);
+
+    applyAttendance(sessionId, updates);
+    setSavingIds(prev => prev.concat(participantIds));
+    try {
+      setError('');
+      await updateSessionAttendance(name, sessionId, updates);
+    } catch (err) {
+      applyAttendance(sessionId, previous);
+      setError(err?.response?.data?.error || 'Failed to save attendance');
+    } finally {
+      setSavingIds(prev => prev.filter(id => !participantIds.includes(id)));
+    }
+  };
+
+  const handleCreateSession = async (e) => {
+    e.preventDefault();
+    if (!newSession.date) return;
+    try {
+      setCreating(true);
+      setError('');
+      const response = await createProgramSession(name, {
+        date: newSession.date,
+        title: newSession.title.trim()
+      });
+      const created = response.data?.session;
+      if (created) {
+        setSessions(prev => sortSessions(prev.concat({ attendance: {}, ...created })));
+        setSelectedSessionId(created.id);
+      } else {
+        await loadData();
+      }
+      setNewSession({ date: toDateString(new Date()), title: '' });
+      setSuccess('Session created!');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to create session');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDeleteSession = async (session) => {
+    if (!window.confirm(`Are you sure you want to delete the session on ${formatSessionDate(session.date)}? Its attendance records will be lost.`)) return;
+    try {
+      setError('');
+      await deleteProgramSession(name, session.id);
+      const remaining = sessions.filter(s => s.id !== session.id);
+      setSessions(remaining);
+      if (selectedSessionId === session.id) setSelectedSessionId(remaining[0]?.id || '');
+      setSuccess('Session deleted!');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to delete session');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center' }}>
+        <h2>Loading Sessions...</h2>
+      </div>
+    );
+  }
+
+  if (error && !program) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <div style={{
+          background: '#f8d7da',
+          color: '#721c24',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #f5c6cb'
+        }}>
+          {error}
+        </div>
+        <button
+          onClick={() => navigate('/programs')}
+          style={{
+            background: '#6c757d',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '5px',
+            cursor: 'pointer'
+          }}
+        >
+          ← Back to Programs
+        </button>
+      </div>
+    );
+  }
+
+  if (!program) return null;
+
+  const roster = program.participantDetails || [];
+  const selectedSession = sessions.find(s => s.id === selectedSessionId);
+  const overall = summarizeAttendance(getAllStatuses(sessions));
+  const unmarkedIds = selectedSession
+    ? roster.filter(p => !selectedSession.attendance?.[p.id]).map(p => p.id)
+    : [];
+
+  return (
+    <div style={{ padding: '20px' }}>
+      {success && (
+        <div style={{
+          background: '#d4edda',
+          color: '#155724',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #c3e6cb'
+        }}>
+          ✅ {success}
+        </div>
+      )}
+      {error && (
+        <div style={{
+          background: '#f8d7da',
+          color: '#721c24',
+          padding: '12px 20px',
+          borderRadius: '6px',
+          marginBottom: '20px',
+          border: '1px solid #f5c6cb'
+        }}>
+          ❌ {error}
+        </div>
+      )}
+
+      <div style={{ marginBottom: '20px' }}>
+        <h1 style={{ margin: '0 0 5px 0' }}>{program.name} — Sessions</h1>
+        <button
+          onClick={() => navigate(`/programs/${encodeURIComponent(name)}`)}
+          style={{
+            background: 'transparent',
+            color: '#667eea',
+            border: 'none',
+            padding: '5px 0',
+            cursor: 'pointer',
+            fontSize: '14px',
+            textDecoration: 'underline'
+          }}
+        >
+          ← Back to Program
+        </button>
+        <p style={{ color: '#666', margin: '10px 0 0 0', fontSize: '14px' }}>
+          {sessions.length} session{sessions.length !== 1 ? 's' : ''} • Overall attendance: {formatRate(overall.rate)}
+        </p>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'minmax(280px, 1fr) minmax(400px, 2fr)',
+        gap: '20px',
+        marginBottom: '30px',
+        alignItems: 'start'
+      }}>
+        {/* Sessions */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px'
+        }}>
+          <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+            Sessions
+          </h3>
+
+          {canMark && (
+            <form onSubmit={handleCreateSession} style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: '20px' }}>
+              <input
+                type="date"
+                value={newSession.date}
+                onChange={(e) => setNewSession(prev => ({ ...prev, date: e.target.value }))}
+                required
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+              />
+              <input
+                type="text"
+                value={newSession.title}
+                onChange={(e) => setNewSession(prev => ({ ...prev, title: e.target.value }))}
+                placeholder="Session title (optional)"
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+              />
+              <button
+                type="submit"
+                disabled={creating || !newSession.date}
+                style={{
+                  background: creating ? '#6c757d' : '#28a745',
+                  color: 'white',
+                  border: 'none',
+                  padding: '8px 16px',
+                  borderRadius: '5px',
+                  cursor: creating ? 'not-allowed' : 'pointer',
+                  fontWeight: '500'
+                }}
+              >
+                {creating ? 'Creating...' : 'Create Session'}
+              </button>
+            </form>
+          )}
+
+          {sessions.length > 0 ? (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {sessions.map(session => {
+                const summary = summarizeAttendance(Object.values(session.attendance || {}));
+                const isSelected = session.id === selectedSessionId;
+                return (
+                  <div
+                    key={session.id}
+                    onClick={() => setSelectedSessionId(session.id)}
+                    style={{
+                      background: isSelected ? '#eef1fd' : '#f8f9fa',
+                      border: `1px solid ${isSelected ? '#667eea' : '#e1e5e9'}`,
+                      borderRadius: '6px',
+                      padding: '10px 12px',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      gap: '10px'
+                    }}
+                  >
+                    <div>
+                      <div style={{ fontWeight: '500', color: '#333' }}>{formatSessionDate(session.date)}</div>
+                      {session.title && (
+                        <div style={{ fontSize: '12px', color: '#666', marginTop: '2px' }}>{session.title}</div>
+                      )}
+                      <div style={{ fontSize: '11px', color: '#999', marginTop: '3px' }}>
+                        {summary.present} present • {summary.absent} absent • {summary.excused} excused
+                      </div>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <strong style={{ fontSize: '14px', color: '#333' }}>{formatRate(summary.rate)}</strong>
+                      {canMark && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDeleteSession(session);
+                          }}
+                          title="Delete session"
+                          style={{
+                            background: '#dc3545',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            padding: '2px 8px',
+                            cursor: 'pointer',
+                            fontSize: '11px'
+                          }}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+              No sessions yet.
+            </div>
+          )}
+        </div>
+
+        {/* Roster */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px'
+        }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            borderBottom: '2px solid #667eea',
+            paddingBottom: '10px',
+            marginBottom: '15px'
+          }}>
+            <h3 style={{ margin: 0, color: '#333' }}>
+              {selectedSession ? `Roster — ${formatSessionDate(selectedSession.date)}` : 'Roster'}
+            </h3>
+            {canMark && selectedSession && unmarkedIds.length > 0 && (
+              <button
+                onClick={() => markAttendance(selectedSession.id, unmarkedIds.reduce((updates, pid) => ({ ...updates, [pid]: 'present' }), {}))}
+                style={{
+                  background: 'transparent',
+                  color: '#28a745',
+                  border: '1px solid #28a745',
+                  padding: '4px 10px',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+              >
+                Mark remaining present ({unmarkedIds.length})
+              </button>
+            )}
+          </div>
+
+          {!selectedSession ? (
+            <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+              {canMark ? 'Create a session to start taking attendance.' : 'No sessions have been recorded yet.'}
+            </div>
+          ) : roster.length === 0 ? (
+            <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+              No participants are enrolled in this program.
+            </div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {roster.map(participant => {
+                const status = selectedSession.attendance?.[participant.id];
+                const saving = savingIds.includes(participant.id);
+                return (
+                  <div
+                    key={participant.id}
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      padding: '8px 12px',
+                      background: '#f8f9fa',
+                      border: '1px solid #e1e5e9',
+                      borderRadius: '6px',
+                      opacity: saving ? 0.7 : 1
+                    }}
+                  >
+                    <div>
+                      <div style={{ fontWeight: '500', color: '#333' }}>{participant.name}</div>
+                      {participant.school && (
+                        <div style={{ fontSize: '12px', color: '#666' }}>{participant.school}</div>
+                      )}
+                    </div>
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                      {Object.entries(ATTENDANCE_STATUSES).map(([value, { label, color }]) => {
+                        const active = status === value;
+                        return canMark ? (
+                          <button
+                            key={value}
+                            onClick={() => !active && markAttendance(selectedSession.id, { [participant.id]: value })}
+                            disabled={saving}
+                            style={{
+                              background: active ? color : 'white',
+                              color: active ? (value === 'excused' ? '#333' : 'white') : color,
+                              border: `1px solid ${color}`,
+                              padding: '6px 12px',
+                              borderRadius: '4px',
+                              cursor: saving ? 'wait' : 'pointer',
+                              fontSize: '12px',
+                              fontWeight: '500',
+                              minWidth: '70px'
+                            }}
+                          >
+                            {label}
+                          </button>
+                        ) : active && (
+                          <span key={value} style={{ color, fontWeight: '500', fontSize: '13px' }}>{label}</span>
+                        );
+                      })}
+                      {!canMark && !status && (
+                        <span style={{ color: '#999', fontSize: '13px' }}>Not recorded</span>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Attendance by participant */}
+      <div style={{
+        background: 'white',
+        border: '1px solid #e1e5e9',
+        borderRadius: '8px',
+        padding: '20px'
+      }}>
+        <h3 style={{ margin: '0 0 15px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
+          Attendance by Participant
+        </h3>
+        {roster.length > 0 && sessions.length > 0 ? (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead style={{ background: '#f8f9fa' }}>
+              <tr>
+                {['Participant', 'Present', 'Absent', 'Excused', 'Rate'].map(heading => (
+                  <th key={heading} style={{ padding: '8px 12px', textAlign: 'left', borderBottom: '1px solid #e1e5e9' }}>
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {roster.map(participant => {
+                const summary = summarizeAttendance(getParticipantStatuses(sessions, participant.id));
+                return (
+                  <tr key={participant.id}>
+                    <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0' }}>
+                      <button
+                        onClick={() => navigate(`/participants/${participant.id}`)}
+                        style={{ background: 'none', border: 'none', padding: 0, color: '#667eea', cursor: 'pointer', fontSize: '14px' }}
+                      >
+                        {participant.name}
+                      </button>
+                    </td>
+                    <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0' }}>{summary.present}</td>
+                    <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0' }}>{summary.absent}</td>
+                    <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0' }}>{summary.excused}</td>
+                    <td style={{ padding: '8px 12px', borderBottom: '1px solid #f0f0f0', fontWeight: '600' }}>
+                      {formatRate(summary.rate)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ color: '#666', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
+            Attendance rates will appear once sessions are recorded.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProgramSessions;
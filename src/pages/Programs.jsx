@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { useAuth } from '../context/AuthContext';
+import usePermission from '../hooks/usePermission';
+import Can from '../components/Can';
 import { fetchPrograms, createProgram, deleteProgram, deleteProgramById } from '../services/api';
 import { useNavigate } from 'react-router-dom';
+import { PERMISSIONS } from '../utils/permissions';
 
 const Programs = () => {
-  const { user } = useAuth();
+  const canEdit = usePermission(PERMISSIONS.PROGRAMS_EDIT);
   const navigate = useNavigate();
   const [programs, setPrograms] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -119,7 +121,7 @@ const Programs = () => {
         marginBottom: '30px' 
       }}>
         <h1>Programs</h1>
-        {user?.role === 'heartSmiles' && (
+        <Can permission={PERMISSIONS.PROGRAMS_EDIT}>
           <button
             onClick={() => setShowForm(!showForm)}
             style={{
@@ -133,7 +135,7 @@ const Programs = () => {
           >
             {showForm ? 'Cancel' : 'Add Program'}
           </button>
-        )}
+        </Can>
       </div>
 
       {/* Success/Error Messages */}
@@ -163,7 +165,7 @@ const Programs = () => {
       )}
 
       {/* Add Program Form */}
-      {showForm && user?.role === 'heartSmiles' && (
+      {showForm && canEdit && (
         <div style={{
           background: 'white',
           border: '1px solid #e1e5e9',
@@ -312,7 +314,7 @@ const Programs = () => {
                   >
                     View
                   </button>
-                  {user?.role === 'heartSmiles' && (
+                  <Can permission={PERMISSIONS.PROGRAMS_EDIT}>
                     <>
                       <button
                         onClick={() => navigate(`/programs/${encodeURIComponent(program.name)}/edit`)}
@@ -343,7 +345,7 @@ const Programs = () => {
                         Delete
                       </button>
                     </>
-                  )}
+                  </Can>
                 </div>
               </div>
             ))}
@@ -1,28 +1,57 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
+import usePermission from '../hooks/usePermission';
+import usePaginatedList from '../hooks/usePaginatedList';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import PaginationControls from '../components/PaginationControls';
 import {
   fetchProgramByName,
   fetchParticipants,
   addParticipant,
   removeParticipant,
+  fetchProgramSessions,
+  fetchProgramGoals,
+  deleteProgramPhoto,
 } from '../services/api';
+import PhotoGallery from '../components/PhotoGallery';
+import Can from '../components/Can';
+import { summarizeAttendance, getParticipantStatuses, getAllStatuses, formatRate } from '../utils/attendance';
+import { PERMISSIONS } from '../utils/permissions';
+import { summarizeProgramGoals } from '../utils/goals';
+
+const PICKER_PAGE_SIZE = 25;
 
 const ProgramsDetail = () => {
   const { name } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const canEdit = usePermission(PERMISSIONS.PROGRAMS_EDIT);
+  const canMarkAttendance = usePermission(PERMISSIONS.ATTENDANCE_MARK);
+  const canManagePhotos = usePermission(PERMISSIONS.PHOTOS_MANAGE);
   const [program, setProgram] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [allParticipants, setAllParticipants] = useState([]);
   const [addParticipantId, setAddParticipantId] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [goals, setGoals] = useState([]);
+  const [goalsError, setGoalsError] = useState('');
+
+  // Participants available to add are searched and paged on the server
+  const debouncedSearch = useDebouncedValue(searchTerm);
+  const participantPicker = usePaginatedList(fetchParticipants, {
+    itemsKey: 'participants',
+    pageSize: PICKER_PAGE_SIZE,
+    mode: 'replace',
+    params: { isActive: true, search: debouncedSearch.trim() || undefined },
+    enabled: canEdit
+  });
+  const allParticipants = participantPicker.items;
 
   useEffect(() => {
     loadProgram();
-    loadAllParticipants();
+    loadSessions();
+    loadGoals();
     // eslint-disable-next-line
   }, [name]);
 
@@ -39,15 +68,24 @@ const ProgramsDetail = () => {
     }
   };
 
-  const loadAllParticipants = async () => {
+  const loadSessions = async () => {
+    try {
+      const resp = await fetchProgramSessions(name);
+      setSessions(resp.data?.sessions || resp.data || []);
+    } catch (err) {
+      // attendance is supplementary; don't block the page
+    }
+  };
+
+  const loadGoals = async () => {
     try {
-      const resp = await fetchParticipants();
-      const allParticipants = resp.data?.participants || resp.data || [];
-      // Filter out inactive participants
-      const activeParticipants = allParticipants.filter(p => p.isActive !== false);
-      setAllParticipants(activeParticipants);
+      setGoalsError('');
+      const resp = await fetchProgramGoals(name);
+      setGoals(resp.data?.goals || resp.data || []);
     } catch (err) {
-      // don't block for this
+      // goals are supplementary; don't block the page, but don't report "no goals" either
+      setGoals([]);
+      setGoalsError('Goals could not be loaded. Refresh the page to try again.');
     }
   };
 
@@ -67,6 +105,19 @@ const ProgramsDetail = () => {
     }
   };
 
+  const handleDeletePhoto = async (photo) => {
+    if (!window.confirm('Are you sure you want to delete this photo?')) return;
+    try {
+      setError('');
+      await deleteProgramPhoto(name, photo.id);
+      setSuccess('Photo deleted successfully!');
+      await loadProgram();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to delete photo');
+    }
+  };
+
   const handleRemoveParticipant = async (participantId) => {
     if (!window.confirm('Are you sure you want to remove this participant from the program?')) return;
     try {
@@ -120,9 +171,14 @@ const ProgramsDetail = () => {
 
   if (!program) return null;
 
+  const attendanceSummary = summarizeAttendance(getAllStatuses(sessions));
+
   // Use participantDetails from backend if available, otherwise use participants array
   const participantDetails = program.participantDetails || [];
+  const goalSummary = summarizeProgramGoals(goals, participantDetails.map(participant => participant.id));
   const participantIds = program.participants || [];
+  const participantNames = participantDetails.reduce((names, p) => ({ ...names, [p.id]: p.name }), {});
+  const uploadedPhotos = program.uploadedPhotos || [];
 
   // Filter participants based on search term
   const searchLower = searchTerm.toLowerCase().trim();
@@ -187,7 +243,7 @@ const ProgramsDetail = () => {
             ← Back to Programs
           </button>
         </div>
-        {user?.role === 'heartSmiles' && (
+        <Can permission={PERMISSIONS.PROGRAMS_EDIT}>
           <button
             onClick={() => navigate(`/programs/${encodeURIComponent(name)}/edit`)}
             style={{
@@ -202,7 +258,7 @@ const ProgramsDetail = () => {
           >
             Edit Program
           </button>
-        )}
+        </Can>
       </div>
 
       <div style={{
@@ -265,6 +321,97 @@ const ProgramsDetail = () => {
             )}
           </div>
         </div>
+
+        {/* Attendance */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px'
+        }}>
+          <h3 style={{
+            margin: '0 0 15px 0',
+            color: '#333',
+            borderBottom: '2px solid #667eea',
+            paddingBottom: '10px'
+          }}>
+            Attendance
+          </h3>
+          <div style={{ display: 'flex', gap: '30px', marginBottom: '15px' }}>
+            <div>
+              <div style={{ fontSize: '28px', fontWeight: '600', color: '#333' }}>{formatRate(attendanceSummary.rate)}</div>
+              <div style={{ fontSize: '13px', color: '#666' }}>Overall attendance rate</div>
+            </div>
+            <div>
+              <div style={{ fontSize: '28px', fontWeight: '600', color: '#333' }}>{sessions.length}</div>
+              <div style={{ fontSize: '13px', color: '#666' }}>Session{sessions.length !== 1 ? 's' : ''} recorded</div>
+            </div>
+          </div>
+          <button
+            onClick={() => navigate(`/programs/${encodeURIComponent(name)}/sessions`)}
+            style={{
+              background: '#17a2b8',
+              color: 'white',
+              border: 'none',
+              padding: '8px 16px',
+              borderRadius: '5px',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+          >
+            {canMarkAttendance ? 'Take Attendance →' : 'View Sessions →'}
+          </button>
+        </div>
+
+        {/* Goals */}
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px'
+        }}>
+          <h3 style={{
+            margin: '0 0 15px 0',
+            color: '#333',
+            borderBottom: '2px solid #667eea',
+            paddingBottom: '10px'
+          }}>
+            Goals
+          </h3>
+          {goalsError ? (
+            <div style={{ color: '#721c24', fontSize: '14px' }}>❌ {goalsError}</div>
+          ) : goalSummary.goalsTotal > 0 ? (
+            <>
+              <div style={{ display: 'flex', gap: '30px', marginBottom: '10px' }}>
+                <div>
+                  <div style={{ fontSize: '28px', fontWeight: '600', color: '#333' }}>
+                    {goalSummary.participantsMetGoals} of {goalSummary.participantsWithGoals}
+                  </div>
+                  <div style={{ fontSize: '13px', color: '#666' }}>Participants met all their goals</div>
+                </div>
+                <div>
+                  <div style={{ fontSize: '28px', fontWeight: '600', color: '#333' }}>
+                    {goalSummary.goalsAchieved}/{goalSummary.goalsTotal}
+                  </div>
+                  <div style={{ fontSize: '13px', color: '#666' }}>Goals achieved</div>
+                </div>
+              </div>
+              <div style={{ fontSize: '13px', color: '#666' }}>
+                {goalSummary.participantsMetAny} participant{goalSummary.participantsMetAny !== 1 ? 's' : ''} achieved at least one goal
+                {goalSummary.goalsOverdue > 0 && (
+                  <span style={{ color: '#dc3545' }}> • {goalSummary.goalsOverdue} overdue</span>
+                )}
+                {goalSummary.participantsWithGoals < participantDetails.length && (
+                  <> • {participantDetails.length - goalSummary.participantsWithGoals} without goals</>
+                )}
+              </div>
+            </>
+          ) : (
+            <div style={{ color: '#666', fontStyle: 'italic' }}>
+              No goals have been set for this program's participants yet.
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Participants */}
@@ -309,8 +456,18 @@ const ProgramsDetail = () => {
                       {participant.school}
                     </div>
                   )}
+                  {sessions.length > 0 && (
+                    <div style={{ fontSize: '12px', color: '#17a2b8', marginTop: '3px' }}>
+                      Attendance: {formatRate(summarizeAttendance(getParticipantStatuses(sessions, participant.id)).rate)}
+                    </div>
+                  )}
+                  {goalSummary.byParticipant[participant.id]?.total > 0 && (
+                    <div style={{ fontSize: '12px', color: '#28a745', marginTop: '3px' }}>
+                      Goals: {goalSummary.byParticipant[participant.id].achieved}/{goalSummary.byParticipant[participant.id].total} achieved
+                    </div>
+                  )}
                 </div>
-                {user?.role === 'heartSmiles' && (
+                <Can permission={PERMISSIONS.PROGRAMS_EDIT}>
                   <button
                     onClick={() => handleRemoveParticipant(participant.id)}
                     style={{
@@ -326,7 +483,7 @@ const ProgramsDetail = () => {
                   >
                     Remove
                   </button>
-                )}
+                </Can>
               </div>
             ))}
           </div>
@@ -336,7 +493,7 @@ const ProgramsDetail = () => {
           </div>
         )}
 
-        {user?.role === 'heartSmiles' && (
+        <Can permission={PERMISSIONS.PROGRAMS_EDIT}>
           <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid #e1e5e9' }}>
             <h4 style={{ margin: '0 0 15px 0', color: '#333', fontSize: '16px' }}>
               Add Participant
@@ -402,6 +559,12 @@ const ProgramsDetail = () => {
                   {searchTerm ? 'No participants found matching your search.' : 'All participants are already in this program.'}
                 </div>
               )}
+              <PaginationControls
+                page={participantPicker.page}
+                totalPages={participantPicker.totalPages}
+                onPageChange={participantPicker.goToPage}
+                disabled={participantPicker.loading}
+              />
               <button
                 type="submit"
                 disabled={!addParticipantId}
@@ -421,8 +584,33 @@ const ProgramsDetail = () => {
               </button>
             </form>
           </div>
-        )}
+        </Can>
       </div>
+
+      {/* Program Photos */}
+      {uploadedPhotos.length > 0 && (
+        <div style={{
+          background: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          padding: '20px',
+          marginBottom: '30px'
+        }}>
+          <h3 style={{
+            margin: '0 0 15px 0',
+            color: '#333',
+            borderBottom: '2px solid #667eea',
+            paddingBottom: '10px'
+          }}>
+            Program Photos ({uploadedPhotos.length})
+          </h3>
+          <PhotoGallery
+            photos={uploadedPhotos}
+            participantNames={participantNames}
+            onDelete={canManagePhotos ? handleDeletePhoto : undefined}
+          />
+        </div>
+      )}
     </div>
   );
 };
@@ -1,12 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-import { fetchProgramByName, updateProgram, fetchParticipants, addParticipant, removeParticipant, uploadImage } from '../services/api';
+import usePaginatedList from '../hooks/usePaginatedList';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import PaginationControls from '../components/PaginationControls';
+import { fetchProgramByName, updateProgram, fetchParticipants, fetchParticipantById, addParticipant, removeParticipant, uploadImage, addProgramPhoto, deleteProgramPhoto } from '../services/api';
+import PhotoGallery from '../components/PhotoGallery';
+import { CONSENT_STATUSES, getConsentStatus, hasValidConsent } from '../utils/consent';
+
+const PICKER_PAGE_SIZE = 25;
 
 const ProgramsEdit = () => {
   const { name } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
 
   const [formData, setFormData] = useState({
     name: '',
@@ -20,20 +25,29 @@ const ProgramsEdit = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [uploading, setUploading] = useState(false);
-  const [allParticipants, setAllParticipants] = useState([]);
+  const [programPhotos, setProgramPhotos] = useState([]);
+  const [photoCaption, setPhotoCaption] = useState('');
+  const [photoActivity, setPhotoActivity] = useState('');
+  const [photoDate, setPhotoDate] = useState('');
+  const [taggedParticipantIds, setTaggedParticipantIds] = useState([]);
   const [programParticipants, setProgramParticipants] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [addParticipantId, setAddParticipantId] = useState('');
 
+  // Participants available to add are searched and paged on the server
+  const debouncedSearch = useDebouncedValue(searchTerm);
+  const participantPicker = usePaginatedList(fetchParticipants, {
+    itemsKey: 'participants',
+    pageSize: PICKER_PAGE_SIZE,
+    mode: 'replace',
+    params: { isActive: true, search: debouncedSearch.trim() || undefined },
+  });
+  const allParticipants = participantPicker.items;
+
   useEffect(() => {
-    if (user?.role !== 'heartSmiles') {
-      navigate('/programs');
-      return;
-    }
     loadProgram();
-    loadAllParticipants();
     // eslint-disable-next-line
-  }, [name, user]);
+  }, [name]);
 
   const loadProgram = async () => {
     try {
@@ -48,17 +62,17 @@ const ProgramsEdit = () => {
         startDate: p.startDate ? (p.startDate.seconds ? new Date(p.startDate.seconds * 1000).toISOString().split('T')[0] : p.startDate.slice(0, 10)) : '',
         endDate: p.endDate ? (p.endDate.seconds ? new Date(p.endDate.seconds * 1000).toISOString().split('T')[0] : p.endDate.slice(0, 10)) : '',
       });
+      setProgramPhotos(p.uploadedPhotos || []);
       
       // Set program participants
       if (p.participantDetails && p.participantDetails.length > 0) {
         setProgramParticipants(p.participantDetails);
       } else if (p.participants && p.participants.length > 0) {
-        // If participantDetails not available, fetch them
-        const participantPromises = p.participants.map(pid => 
-          fetchParticipants().then(res => {
-            const participants = res.data?.participants || res.data || [];
-            return participants.find(p => p.id === pid);
-          }).catch(() => null)
+        // If participantDetails not available, fetch each participant individually
+        const participantPromises = p.participants.map(pid =>
+          fetchParticipantById(pid)
+            .then(res => res.data?.participant || null)
+            .catch(() => null)
         );
         const details = await Promise.all(participantPromises);
         setProgramParticipants(details.filter(p => p !== null));
@@ -70,18 +84,6 @@ const ProgramsEdit = () => {
     }
   };
 
-  const loadAllParticipants = async () => {
-    try {
-      const resp = await fetchParticipants();
-      const allParticipants = resp.data?.participants || resp.data || [];
-      // Filter out inactive participants
-      const activeParticipants = allParticipants.filter(p => p.isActive !== false);
-      setAllParticipants(activeParticipants);
-    } catch (err) {
-      // not fatal
-    }
-  };
-
   const handleInputChange = (e) => {
     const { name: fieldName, value } = e.target;
     setFormData((prev) => ({
@@ -106,6 +108,12 @@ const ProgramsEdit = () => {
     }
   };
 
+  // Refresh only the gallery so unsaved edits in the details form are kept
+  const loadPhotos = async () => {
+    const response = await fetchProgramByName(name);
+    setProgramPhotos(response.data.program?.uploadedPhotos || []);
+  };
+
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -125,8 +133,19 @@ const ProgramsEdit = () => {
       formData.append('folder', 'heart-smiles/programs');
 
       const uploadResponse = await uploadImage(formData);
-      // For now, we'll just show success. Photo storage for programs can be added later.
+      await addProgramPhoto(name, {
+        imageData: uploadResponse.data.image,
+        caption: photoCaption,
+        activity: photoActivity,
+        uploadedAt: photoDate || undefined,
+        taggedParticipantIds
+      });
       setSuccess('Photo uploaded successfully!');
+      setPhotoCaption('');
+      setPhotoActivity('');
+      setPhotoDate('');
+      setTaggedParticipantIds([]);
+      await loadPhotos();
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       setError(err?.response?.data?.error || 'Failed to upload image');
@@ -136,6 +155,25 @@ const ProgramsEdit = () => {
     }
   };
 
+  const handleDeletePhoto = async (photo) => {
+    if (!window.confirm('Are you sure you want to delete this photo?')) return;
+    try {
+      setError('');
+      await deleteProgramPhoto(name, photo.id);
+      setProgramPhotos(prev => prev.filter(p => p.id !== photo.id));
+      setSuccess('Photo deleted successfully!');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to delete photo');
+    }
+  };
+
+  const toggleTaggedParticipant = (participantId) => {
+    setTaggedParticipantIds(prev => (
+      prev.includes(participantId) ? prev.filter(id => id !== participantId) : prev.concat(participantId)
+    ));
+  };
+
   const handleAddParticipant = async (e) => {
     e.preventDefault();
     if (!addParticipantId) return;
@@ -203,6 +241,8 @@ const ProgramsEdit = () => {
     );
   }
 
+  const participantNames = programParticipants.reduce((names, p) => ({ ...names, [p.id]: p.name }), {});
+
   return (
     <div style={{ padding: '20px', maxWidth: 900, margin: '0 auto' }}>
       {success && (
@@ -394,6 +434,111 @@ const ProgramsEdit = () => {
           <h3 style={{ margin: '0 0 20px 0', color: '#333', borderBottom: '2px solid #667eea', paddingBottom: '10px' }}>
             Program Photos
           </h3>
+          <p style={{ fontSize: '13px', color: '#666', margin: '0 0 15px 0' }}>
+            Fill in the details below, then choose a photo to upload it.
+          </p>
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+              Caption (optional)
+            </label>
+            <input
+              type="text"
+              value={photoCaption}
+              onChange={(e) => setPhotoCaption(e.target.value)}
+              placeholder="e.g., 'Team building at the park'"
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                border: '1px solid #ddd',
+                borderRadius: '4px',
+                fontSize: '14px',
+                boxSizing: 'border-box'
+              }}
+            />
+          </div>
+          <div style={{ display: 'flex', gap: '16px', marginBottom: '15px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+                Activity (optional)
+              </label>
+              <input
+                type="text"
+                value={photoActivity}
+                onChange={(e) => setPhotoActivity(e.target.value)}
+                placeholder="e.g., 'Field Trip'"
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+                Photo Date (optional)
+              </label>
+              <input
+                type="date"
+                value={photoDate}
+                onChange={(e) => setPhotoDate(e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+              />
+            </div>
+          </div>
+          {programParticipants.length > 0 && (
+            <div style={{ marginBottom: '15px' }}>
+              <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
+                Tag Participants ({taggedParticipantIds.length} selected)
+              </label>
+              <div style={{
+                maxHeight: '140px',
+                overflowY: 'auto',
+                border: '1px solid #ddd',
+                borderRadius: '4px',
+                padding: '8px 12px'
+              }}>
+                {programParticipants.map(participant => {
+                  // Only participants with a current photo release can be tagged
+                  const canTag = hasValidConsent(participant, 'photoRelease');
+                  const { status } = getConsentStatus(participant, 'photoRelease');
+                  return (
+                    <label
+                      key={participant.id}
+                      style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', padding: '3px 0', color: canTag ? '#333' : '#999' }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={taggedParticipantIds.includes(participant.id)}
+                        disabled={!canTag}
+                        onChange={() => toggleTaggedParticipant(participant.id)}
+                      />
+                      {participant.name}
+                      {!canTag && (
+                        <span style={{ fontSize: '12px', color: CONSENT_STATUSES[status].color }}>
+                          (photo release {status})
+                        </span>
+                      )}
+                    </label>
+                  );
+                })}
+              </div>
+              {programParticipants.some(participant => !hasValidConsent(participant, 'photoRelease')) && (
+                <p style={{ fontSize: '12px', color: '#856404', margin: '5px 0 0 0' }}>
+                  ⚠️ Participants without a current photo release can't be tagged. Make sure they can't be identified in the photo.
+                </p>
+              )}
+            </div>
+          )}
           <div style={{ marginBottom: '20px' }}>
             <label style={{ fontWeight: '500', display: 'block', marginBottom: '8px' }}>
               Upload Photo
@@ -428,6 +573,20 @@ const ProgramsEdit = () => {
               </div>
             )}
           </div>
+
+          {programPhotos.length > 0 && (
+            <div style={{ paddingTop: '20px', borderTop: '1px solid #e1e5e9' }}>
+              <strong style={{ display: 'block', fontSize: '13px', color: '#666', marginBottom: '10px' }}>
+                Uploaded Photos ({programPhotos.length}):
+              </strong>
+              <PhotoGallery
+                photos={programPhotos}
+                participantNames={participantNames}
+                onDelete={handleDeletePhoto}
+                thumbnailHeight={120}
+              />
+            </div>
+          )}
         </div>
 
         {/* Participants Section */}
@@ -581,6 +740,12 @@ const ProgramsEdit = () => {
                   );
                 }
               })()}
+              <PaginationControls
+                page={participantPicker.page}
+                totalPages={participantPicker.totalPages}
+                onPageChange={participantPicker.goToPage}
+                disabled={participantPicker.loading}
+              />
               <button
                 type="submit"
                 disabled={!addParticipantId}
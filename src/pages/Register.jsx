@@ -1,36 +1,67 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { registerUser } from '../services/api';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { fetchInvite, registerUser } from '../services/api';
+import { ROLE_LABELS } from '../utils/permissions';
+import { checkPassword } from '../utils/password';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 
+// Accounts can only be created from an admin's invite link (/register?invite=<token>).
+// The invite fixes the role, so it's shown here but can't be changed.
 export default function Register() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite') || '';
+  const [invite, setInvite] = useState(null);
+  const [inviteLoading, setInviteLoading] = useState(Boolean(inviteToken));
+  const [inviteError, setInviteError] = useState('');
   const [name, setName] = useState('');
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [role, setRole] = useState('heartSmiles');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  useEffect(() => {
+    if (!inviteToken) return;
+    setInviteLoading(true);
+    setInviteError('');
+    fetchInvite(inviteToken)
+      .then(response => {
+        const data = response.data?.invite || response.data;
+        setInvite(data);
+        setEmail(data?.email || '');
+      })
+      .catch(err => {
+        setInvite(null);
+        setInviteError(err?.response?.data?.error || 'This invitation is invalid, has expired or has already been used.');
+      })
+      .finally(() => setInviteLoading(false));
+  }, [inviteToken]);
+
   const onSubmit = async (e) => {
     e.preventDefault();
+    if (!checkPassword(password).valid) {
+      setError('Please choose a password that meets all of the requirements.');
+      return;
+    }
     setLoading(true);
     setError('');
     try {
-      const payload = { name, username, email, password, role };
-      console.log('Sending registration payload:', payload);
-      const response = await registerUser(payload);
-      console.log('Registration response:', response);
-      navigate('/login');
+      await registerUser({ name, username, email, password, inviteToken });
+      navigate('/login?registered=true');
     } catch (err) {
       console.error('Registration error:', err);
-      console.error('Error response:', err?.response?.data);
       setError(err?.response?.data?.error || err?.response?.data?.message || 'Registration failed');
     } finally {
       setLoading(false);
     }
   };
 
+  // Without a valid invite there is nothing to fill in
+  const unavailableMessage = !inviteToken
+    ? 'Registration is by invitation only. Ask a HeartSmiles admin to send you an invite link.'
+    : inviteError;
+
   return (
     <div style={{
       minHeight: '100vh',
@@ -52,20 +83,84 @@ export default function Register() {
         <p style={{ margin: '0 0 30px 0', color: '#666', fontSize: '14px' }}>
           Register a new staff account for HeartSmiles Youth Success App
         </p>
-        <form onSubmit={onSubmit}>
-          <div style={{ 
-            display: 'grid', 
-            gridTemplateColumns: 'repeat(2, 1fr)', 
-            gap: '15px',
-            marginBottom: '15px'
-          }}>
-            <div>
+        {inviteLoading ? (
+          <p style={{ textAlign: 'center', color: '#666' }}>Checking your invitation...</p>
+        ) : unavailableMessage ? (
+          <div>
+            <div style={{
+              background: '#fff3cd',
+              color: '#856404',
+              padding: '12px',
+              borderRadius: '6px',
+              marginBottom: '20px',
+              fontSize: '14px',
+              border: '1px solid #ffeaa7'
+            }}>
+              {unavailableMessage}
+            </div>
+            <div style={{ textAlign: 'center', fontSize: '14px' }}>
+              <span style={{ color: '#666' }}>Already have an account? </span>
+              <a href="/login" style={{ color: '#667eea', textDecoration: 'none', fontWeight: '500' }}>
+                Sign in here
+              </a>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={onSubmit}>
+            <div style={{ 
+              display: 'grid', 
+              gridTemplateColumns: 'repeat(2, 1fr)', 
+              gap: '15px',
+              marginBottom: '15px'
+            }}>
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
+                  Name *
+                </label>
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  required
+                  style={{
+                    width: '100%',
+                    padding: '12px',
+                    border: '1px solid #ddd',
+                    borderRadius: '6px',
+                    fontSize: '14px',
+                    boxSizing: 'border-box'
+                  }}
+                  placeholder="Full name"
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
+                  Username *
+                </label>
+                <input
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  required
+                  style={{
+                    width: '100%',
+                    padding: '12px',
+                    border: '1px solid #ddd',
+                    borderRadius: '6px',
+                    fontSize: '14px',
+                    boxSizing: 'border-box'
+                  }}
+                  placeholder="Username"
+                />
+              </div>
+            </div>
+            <div style={{ marginBottom: '15px' }}>
               <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
-                Name *
+                Email *
               </label>
               <input
-                value={name}
-                onChange={(e) => setName(e.target.value)}
+                type="email"
+                value={email}
+                readOnly={Boolean(invite?.email)}
+                onChange={(e) => setEmail(e.target.value)}
                 required
                 style={{
                   width: '100%',
@@ -73,18 +168,20 @@ export default function Register() {
                   border: '1px solid #ddd',
                   borderRadius: '6px',
                   fontSize: '14px',
-                  boxSizing: 'border-box'
+                  boxSizing: 'border-box',
+                  background: invite?.email ? '#f8f9fa' : 'white'
                 }}
-                placeholder="Full name"
+                placeholder="your.email@example.com"
               />
             </div>
-            <div>
+            <div style={{ marginBottom: '15px' }}>
               <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
-                Username *
+                Password *
               </label>
               <input
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
                 required
                 style={{
                   width: '100%',
@@ -94,118 +191,75 @@ export default function Register() {
                   fontSize: '14px',
                   boxSizing: 'border-box'
                 }}
-                placeholder="Username"
+                placeholder="At least 8 chars, 1 uppercase, 1 number"
               />
+              <PasswordStrengthMeter password={password} />
             </div>
-          </div>
-          <div style={{ marginBottom: '15px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
-              Email *
-            </label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-              style={{
+            <div style={{ marginBottom: '20px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
+                Role
+              </label>
+              <div style={{
                 width: '100%',
                 padding: '12px',
                 border: '1px solid #ddd',
                 borderRadius: '6px',
                 fontSize: '14px',
-                boxSizing: 'border-box'
-              }}
-              placeholder="your.email@example.com"
-            />
-          </div>
-          <div style={{ marginBottom: '15px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
-              Password *
-            </label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              style={{
-                width: '100%',
+                boxSizing: 'border-box',
+                background: '#f8f9fa',
+                color: '#333'
+              }}>
+                {ROLE_LABELS[invite?.role] || invite?.role}
+              </div>
+              <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#666' }}>
+                Set by your invitation
+              </p>
+            </div>
+            {error && (
+              <div style={{
+                background: '#f8d7da',
+                color: '#721c24',
                 padding: '12px',
-                border: '1px solid #ddd',
                 borderRadius: '6px',
+                marginBottom: '20px',
                 fontSize: '14px',
-                boxSizing: 'border-box'
-              }}
-              placeholder="At least 8 chars, 1 uppercase, 1 number"
-            />
-            <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#666' }}>
-              Password must contain at least one lowercase letter, one uppercase letter, and one number
-            </p>
-          </div>
-          <div style={{ marginBottom: '20px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
-              Role *
-            </label>
-            <select
-              value={role}
-              onChange={(e) => setRole(e.target.value)}
+                border: '1px solid #f5c6cb'
+              }}>
+                {error}
+              </div>
+            )}
+            <button
+              type="submit"
+              disabled={loading}
               style={{
                 width: '100%',
-                padding: '12px',
-                border: '1px solid #ddd',
+                background: loading ? '#6c757d' : '#667eea',
+                color: 'white',
+                border: 'none',
+                padding: '12px 24px',
                 borderRadius: '6px',
-                fontSize: '14px',
-                boxSizing: 'border-box',
-                background: 'white'
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                opacity: loading ? 0.6 : 1,
+                transition: 'background 0.2s'
               }}
             >
-              <option value="heartSmiles">HeartSmiles Staff</option>
-              <option value="umd">University of Maryland Staff</option>
-            </select>
-          </div>
-          {error && (
-            <div style={{
-              background: '#f8d7da',
-              color: '#721c24',
-              padding: '12px',
-              borderRadius: '6px',
-              marginBottom: '20px',
-              fontSize: '14px',
-              border: '1px solid #f5c6cb'
-            }}>
-              {error}
+              {loading ? 'Creating Account...' : 'Create Account'}
+            </button>
+            <div style={{ marginTop: '20px', textAlign: 'center', fontSize: '14px' }}>
+              <span style={{ color: '#666' }}>Already have an account? </span>
+              <a href="/login" style={{ color: '#667eea', textDecoration: 'none', fontWeight: '500' }}>
+                Sign in here
+              </a>
             </div>
-          )}
-          <button
-            type="submit"
-            disabled={loading}
-            style={{
-              width: '100%',
-              background: loading ? '#6c757d' : '#667eea',
-              color: 'white',
-              border: 'none',
-              padding: '12px 24px',
-              borderRadius: '6px',
-              fontSize: '16px',
-              fontWeight: '600',
-              cursor: loading ? 'not-allowed' : 'pointer',
-              opacity: loading ? 0.6 : 1,
-              transition: 'background 0.2s'
-            }}
-          >
-            {loading ? 'Creating Account...' : 'Create Account'}
-          </button>
-          <div style={{ marginTop: '20px', textAlign: 'center', fontSize: '14px' }}>
-            <span style={{ color: '#666' }}>Already have an account? </span>
-            <a href="/login" style={{ color: '#667eea', textDecoration: 'none', fontWeight: '500' }}>
-              Sign in here
-            </a>
-          </div>
-          <div style={{ marginTop: '15px', textAlign: 'center' }}>
-            <a href="/landing" style={{ color: '#667eea', textDecoration: 'none', fontSize: '13px' }}>
-              ← Back to home
-            </a>
-          </div>
-        </form>
+            <div style={{ marginTop: '15px', textAlign: 'center' }}>
+              <a href="/landing" style={{ color: '#667eea', textDecoration: 'none', fontSize: '13px' }}>
+                ← Back to home
+              </a>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPassword } from '../services/api';
+import { checkPassword } from '../utils/password';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px',
+  border: '1px solid #ddd',
+  borderRadius: '6px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+// Landing page for the emailed reset link (/reset-password?token=…)
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!checkPassword(password).valid) {
+      setError('Please choose a password that meets all of the requirements.');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      await resetPassword(token, password);
+      navigate('/login?reset=true');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'This reset link is invalid or has expired. Request a new one.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      padding: '20px'
+    }}>
+      <div style={{
+        background: 'white',
+        borderRadius: '12px',
+        padding: '40px',
+        maxWidth: '400px',
+        width: '100%',
+        boxShadow: '0 10px 40px rgba(0,0,0,0.2)'
+      }}>
+        <h2 style={{ margin: '0 0 10px 0', color: '#333', fontSize: '28px' }}>Choose a New Password</h2>
+        {!token ? (
+          <div style={{
+            background: '#fff3cd',
+            color: '#856404',
+            padding: '12px',
+            borderRadius: '6px',
+            margin: '20px 0',
+            fontSize: '14px',
+            border: '1px solid #ffeaa7'
+          }}>
+            This reset link is incomplete. Open the link from your email again, or{' '}
+            <a href="/forgot-password" style={{ color: '#667eea' }}>request a new one</a>.
+          </div>
+        ) : (
+          <form onSubmit={onSubmit} style={{ marginTop: '30px' }}>
+            <div style={{ marginBottom: '20px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
+                New Password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+                style={inputStyle}
+              />
+              <PasswordStrengthMeter password={password} />
+            </div>
+            <div style={{ marginBottom: '20px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500', color: '#333' }}>
+                Confirm New Password
+              </label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+                style={inputStyle}
+              />
+            </div>
+            {error && (
+              <div style={{
+                background: '#f8d7da',
+                color: '#721c24',
+                padding: '12px',
+                borderRadius: '6px',
+                marginBottom: '20px',
+                fontSize: '14px',
+                border: '1px solid #f5c6cb'
+              }}>
+                {error}
+              </div>
+            )}
+            <button
+              type="submit"
+              disabled={loading}
+              style={{
+                width: '100%',
+                background: loading ? '#6c757d' : '#667eea',
+                color: 'white',
+                border: 'none',
+                padding: '12px 24px',
+                borderRadius: '6px',
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                opacity: loading ? 0.6 : 1,
+                transition: 'background 0.2s'
+              }}
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+        <div style={{ marginTop: '20px', textAlign: 'center', fontSize: '14px' }}>
+          <a href="/login" style={{ color: '#667eea', textDecoration: 'none', fontWeight: '500' }}>
+            ← Back to sign in
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
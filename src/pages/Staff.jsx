@@ -1,13 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { fetchStaff, deleteStaff } from '../services/api';
+import { fetchStaff, updateStaffRole, deactivateStaff, reactivateStaff, forceStaffPasswordReset } from '../services/api';
+import usePermission from '../hooks/usePermission';
+import StaffAuditLog from '../components/StaffAuditLog';
+import StaffInvites from '../components/StaffInvites';
+import { PERMISSIONS, ROLE_LABELS } from '../utils/permissions';
+import { toDate } from '../utils/participantFilters';
 
 const Staff = () => {
   const { user } = useAuth();
+  const canManage = usePermission(PERMISSIONS.STAFF_MANAGE);
   const [staff, setStaff] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  // Id of the staff member whose account change is in flight
+  const [busyId, setBusyId] = useState(null);
+  const [auditRefreshKey, setAuditRefreshKey] = useState(0);
 
   useEffect(() => {
     loadStaff();
@@ -25,23 +34,71 @@ const Staff = () => {
     }
   };
 
-  const handleDeleteStaff = async (staffId, staffName) => {
-    if (!window.confirm(`Are you sure you want to deactivate ${staffName}? This action cannot be undone.`)) {
-      return;
-    }
+  // Confirm, apply an account change, then refresh the list and the audit log
+  const runAccountChange = async (member, { confirmMessage, action, successMessage, errorMessage }) => {
+    if (!window.confirm(confirmMessage)) return;
 
     try {
+      setBusyId(member.id);
       setError('');
       setSuccess('');
-      await deleteStaff(staffId);
-      setSuccess(`Staff member ${staffName} has been deactivated successfully!`);
+      await action();
+      setSuccess(successMessage);
+      setAuditRefreshKey(key => key + 1);
       await loadStaff();
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError(err?.response?.data?.error || 'Failed to deactivate staff member');
+      setError(err?.response?.data?.error || errorMessage);
+    } finally {
+      setBusyId(null);
     }
   };
 
+  const handleRoleChange = (member, role) => {
+    if (role === member.role) return;
+    runAccountChange(member, {
+      confirmMessage: `Change ${member.name}'s role from ${ROLE_LABELS[member.role] || member.role} to ${ROLE_LABELS[role]}? This changes what they can see and edit.`,
+      action: () => updateStaffRole(member.id, role),
+      successMessage: `${member.name} is now ${ROLE_LABELS[role]}.`,
+      errorMessage: 'Failed to change role'
+    });
+  };
+
+  const handleToggleActive = (member) => {
+    runAccountChange(member, member.isActive ? {
+      confirmMessage: `Deactivate ${member.name}? They will be signed out and won't be able to sign in until reactivated.`,
+      action: () => deactivateStaff(member.id),
+      successMessage: `${member.name} has been deactivated.`,
+      errorMessage: 'Failed to deactivate staff member'
+    } : {
+      confirmMessage: `Reactivate ${member.name}? They will be able to sign in again.`,
+      action: () => reactivateStaff(member.id),
+      successMessage: `${member.name} has been reactivated.`,
+      errorMessage: 'Failed to reactivate staff member'
+    });
+  };
+
+  const handleForcePasswordReset = (member) => {
+    runAccountChange(member, {
+      confirmMessage: `Force a password reset for ${member.name}? Their current password will stop working and a reset link will be emailed to ${member.email}.`,
+      action: () => forceStaffPasswordReset(member.id),
+      successMessage: `A password reset link has been sent to ${member.email}.`,
+      errorMessage: 'Failed to force password reset'
+    });
+  };
+
+  const actionButtonStyle = (background, disabled) => ({
+    background,
+    color: 'white',
+    border: 'none',
+    padding: '6px 12px',
+    borderRadius: '4px',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    opacity: disabled ? 0.6 : 1,
+    fontSize: '12px',
+    fontWeight: '500'
+  });
+
   if (loading) {
     return (
       <div style={{ padding: '20px', textAlign: 'center' }}>
@@ -127,8 +184,13 @@ const Staff = () => {
                     marginTop: '5px',
                     fontWeight: '500'
                   }}>
-                    {member.role === 'heartSmiles' ? 'HeartSmiles Staff' : 'University of Maryland Staff'}
+                    {ROLE_LABELS[member.role] || member.role}
                   </div>
+                  {canManage && (
+                    <div style={{ fontSize: '12px', color: '#999', marginTop: '5px' }}>
+                      Last login: {toDate(member.lastLoginAt)?.toLocaleString() || 'Never'}
+                    </div>
+                  )}
                 </div>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
                   <div style={{
@@ -141,22 +203,39 @@ const Staff = () => {
                   }}>
                     {member.isActive ? 'Active' : 'Inactive'}
                   </div>
-                  {user?.role === 'heartSmiles' && member.id !== user.id && (
-                    <button
-                      onClick={() => handleDeleteStaff(member.id, member.name)}
-                      style={{
-                        background: '#dc3545',
-                        color: 'white',
-                        border: 'none',
-                        padding: '6px 12px',
-                        borderRadius: '4px',
-                        cursor: 'pointer',
-                        fontSize: '12px',
-                        fontWeight: '500'
-                      }}
-                    >
-                      Deactivate
-                    </button>
+                  {canManage && member.id !== user?.id && (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                        disabled={busyId === member.id}
+                        aria-label={`Role for ${member.name}`}
+                        style={{
+                          padding: '6px 8px',
+                          border: '1px solid #ddd',
+                          borderRadius: '4px',
+                          fontSize: '12px'
+                        }}
+                      >
+                        {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleForcePasswordReset(member)}
+                        disabled={busyId === member.id}
+                        style={actionButtonStyle('#6c757d', busyId === member.id)}
+                      >
+                        Reset Password
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(member)}
+                        disabled={busyId === member.id}
+                        style={actionButtonStyle(member.isActive ? '#dc3545' : '#28a745', busyId === member.id)}
+                      >
+                        {member.isActive ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                    </>
                   )}
                 </div>
               </div>
@@ -168,6 +247,9 @@ const Staff = () => {
           </div>
         )}
       </div>
+
+      {canManage && <StaffInvites onChange={() => setAuditRefreshKey(key => key + 1)} />}
+      {canManage && <StaffAuditLog refreshKey={auditRefreshKey} />}
     </div>
   );
 };
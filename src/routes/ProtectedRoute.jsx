@@ -1,9 +1,21 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
 
-export default function ProtectedRoute({ children, roles }) {
-  const { isAuthenticated, user } = useAuth();
-  if (!isAuthenticated) return <Navigate to="/landing" replace />;
-  if (roles && user && !roles.includes(user.role)) return <Navigate to="/dashboard" replace />;
+// `permission` guards the route declaratively, so pages can't be reached by typing the
+// URL; users without it are sent to `redirectTo`
+export default function ProtectedRoute({ children, roles, permission, redirectTo = '/dashboard' }) {
+  const { isAuthenticated, user, sessionEnded } = useAuth();
+  const location = useLocation();
+  if (!isAuthenticated) {
+    // After an expired session, come back to the same page once signed in again
+    if (sessionEnded) {
+      const redirect = encodeURIComponent(location.pathname + location.search);
+      return <Navigate to={`/login?${sessionEnded}=true&redirect=${redirect}`} replace />;
+    }
+    return <Navigate to="/landing" replace />;
+  }
+  if (roles && user && !roles.includes(user.role)) return <Navigate to={redirectTo} replace />;
+  if (permission && !hasPermission(user, permission)) return <Navigate to={redirectTo} replace />;
   return children;
 }
@@ -1,4 +1,12 @@
 import axios from 'axios';
+import {
+  TOKEN_KEY,
+  USER_KEY,
+  REFRESH_TOKEN_KEY,
+  SESSION_ENDED_KEY,
+  REFRESH_LOCK_KEY,
+  REFRESH_LOCK_MS
+} from '../utils/session';
 
 // Determine the base URL based on environment
 // Production (Vercel) backend URL
@@ -47,7 +55,7 @@ const api = axios.create({
 });
 
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('hs_token');
+  const token = localStorage.getItem(TOKEN_KEY);
   if (token) config.headers.Authorization = `Bearer ${token}`;
   console.log('API Request:', config.method?.toUpperCase(), `${config.baseURL}${config.url}`, config.data);
   return config;
@@ -56,6 +64,101 @@ api.interceptors.request.use((config) => {
   return Promise.reject(error);
 });
 
+// Open tabs share one refresh token and the server rotates it on every use, so only the
+// tab holding the refresh lock exchanges it; the others wait and pick up the token it stores.
+const TAB_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+const LOCK_POLL_MS = 200;
+
+const readRefreshLock = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REFRESH_LOCK_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const isLockedByOtherTab = () => {
+  const lock = readRefreshLock();
+  return Boolean(lock && lock.tabId !== TAB_ID && Date.now() - lock.at < REFRESH_LOCK_MS);
+};
+
+// localStorage has no compare-and-set; reading the lock back narrows the window in which
+// two tabs both take it
+const acquireRefreshLock = () => {
+  if (isLockedByOtherTab()) return false;
+  localStorage.setItem(REFRESH_LOCK_KEY, JSON.stringify({ tabId: TAB_ID, at: Date.now() }));
+  return readRefreshLock()?.tabId === TAB_ID;
+};
+
+const releaseRefreshLock = () => {
+  if (readRefreshLock()?.tabId === TAB_ID) localStorage.removeItem(REFRESH_LOCK_KEY);
+};
+
+const waitForRefreshLock = () => new Promise((resolve) => {
+  const timer = setInterval(() => {
+    if (!isLockedByOtherTab()) {
+      clearInterval(timer);
+      resolve();
+    }
+  }, LOCK_POLL_MS);
+});
+
+// `staleToken` is the access token a request was rejected with. If the stored token has
+// changed since, another tab already refreshed and its token is used instead.
+const runRefresh = async (staleToken) => {
+  const currentToken = localStorage.getItem(TOKEN_KEY);
+  if (staleToken && currentToken && currentToken !== staleToken) return currentToken;
+
+  if (!acquireRefreshLock()) {
+    await waitForRefreshLock();
+    return runRefresh(currentToken || staleToken);
+  }
+
+  try {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) throw new Error('No refresh token');
+    const response = await api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+    const { token, refreshToken: nextRefreshToken } = response.data;
+    localStorage.setItem(TOKEN_KEY, token);
+    if (nextRefreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, nextRefreshToken);
+    window.dispatchEvent(new CustomEvent('auth:token-refreshed', {
+      detail: { token, refreshToken: nextRefreshToken }
+    }));
+    return token;
+  } catch (err) {
+    // Another tab may have refreshed after our lock went stale; its token is still good
+    const latestToken = localStorage.getItem(TOKEN_KEY);
+    if (latestToken && latestToken !== currentToken) return latestToken;
+    throw err;
+  } finally {
+    releaseRefreshLock();
+  }
+};
+
+// Exchange the stored refresh token for a new access token. Concurrent callers in this tab
+// share one request so a burst of 401s only refreshes once, and other tabs are coordinated
+// through the refresh lock. AuthContext picks up the new token from the
+// 'auth:token-refreshed' event, or from the storage event when another tab refreshed.
+let refreshPromise = null;
+export const refreshSession = (staleToken) => {
+  if (!refreshPromise) {
+    refreshPromise = runRefresh(staleToken).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Clear the stored session and tell AuthContext why. Routes then send the user to
+// /login with a redirect back, so in-progress form drafts can be restored.
+const endSession = (reason) => {
+  localStorage.setItem(SESSION_ENDED_KEY, reason);
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  window.dispatchEvent(new CustomEvent('auth:token-expired', { detail: { reason } }));
+};
+
 api.interceptors.response.use(
   (response) => {
     console.log('API Response:', response.status, response.data);
@@ -102,18 +205,30 @@ api.interceptors.response.use(
           errorMessage.includes('Token expired') || 
           errorMessage.includes('Invalid token') ||
           errorMessage.includes('Access token required')) {
-        // Clear token and user data
-        localStorage.removeItem('hs_token');
-        localStorage.removeItem('hs_user');
-        
-        // Dispatch custom event to notify AuthContext
-        window.dispatchEvent(new CustomEvent('auth:token-expired'));
-        
-        // Redirect to login page (only if not already on login/landing)
-        if (window.location.pathname !== '/login' && window.location.pathname !== '/landing') {
-          const redirectParam = errorMessage.includes('expired') ? '?expired=true' : '?invalid=true';
-          window.location.href = `/login${redirectParam}`;
+        const reason = errorMessage.includes('expired') ? 'expired' : 'invalid';
+        const { config } = error;
+
+        // A rejected refresh is handled by refreshSession's caller, which first checks
+        // whether another tab refreshed in the meantime
+        if (config?.skipAuthRefresh) return Promise.reject(error);
+
+        // Refresh the access token and retry the request once before giving up
+        if (config && !config.authRetried && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+          const sentToken = String(config.headers?.Authorization || '').replace(/^Bearer /, '');
+          return refreshSession(sentToken).then(
+            (token) => {
+              config.authRetried = true;
+              config.headers.Authorization = `Bearer ${token}`;
+              return api(config);
+            },
+            () => {
+              endSession(reason);
+              return Promise.reject(error);
+            }
+          );
         }
+
+        endSession(reason);
       }
     }
     
@@ -125,21 +240,64 @@ export default api;
 
 // Auth
 export const loginUser = (email, password) => api.post('/auth/login', { email, password });
-export const registerUser = (payload) => {
-  console.log('API: Making registration request to:', api.defaults.baseURL + '/auth/register');
-  console.log('API: Payload:', payload);
-  return api.post('/auth/register', payload);
-};
+// Registration requires an invite: payload is { name, username, email, password, inviteToken }
+// and the account gets the role the invite was created with
+export const registerUser = (payload) => api.post('/auth/register', payload);
+// Public lookup used by /register?invite=… → { invite: { email, role, expiresAt } }
+export const fetchInvite = (token) => api.get(`/auth/invites/${encodeURIComponent(token)}`);
+// Emails a one-time reset link to /reset-password?token=…; succeeds whether or not the email is known
+export const requestPasswordReset = (email) => api.post('/auth/forgot-password', { email });
+export const resetPassword = (token, password) => api.post('/auth/reset-password', { token, password });
+// Signed-in staff: change password and update their own name and email (returns { staff })
+export const changePassword = (currentPassword, newPassword) =>
+  api.post('/auth/change-password', { currentPassword, newPassword });
+export const updateProfile = ({ name, email }) => api.put('/auth/me', { name, email });
 
 // Participants
-export const fetchParticipants = () => api.get('/participants');
+// Paginated: pass { page, limit } plus optional filters (search, programId, school, ...)
+export const fetchParticipants = (params) => api.get('/participants', { params });
 export const fetchParticipantById = (id) => api.get(`/participants/${id}`);
 export const createParticipant = (payload) => api.post('/participants', payload);
 export const updateParticipant = (id, payload) => api.put(`/participants/${id}`, payload);
-export const deleteParticipant = (id) => api.delete(`/participants/${id}`);
+// Archiving sets isActive: false and records { archivedAt, archivedBy, archivedReason };
+// restoring clears them. Permanent deletion is admin-only and has its own endpoint.
+export const archiveParticipant = (id, reason) => api.post(`/participants/${id}/archive`, { reason });
+export const restoreParticipant = (id) => api.post(`/participants/${id}/restore`);
+export const permanentlyDeleteParticipant = (id) => api.delete(`/admin/participants/${id}`);
+// noteData: { content, type, visibility, createdAt }; visibility is 'everyone' | 'heartSmiles' | 'restricted'
+// (author + admins). The server omits restricted content for staff who may not read it.
 export const addParticipantNote = (id, noteData) => api.post(`/participants/${id}/notes`, noteData);
 export const deleteParticipantNote = (id, noteId) => api.delete(`/participants/${id}/notes/${noteId}`);
+// Editing keeps history: the server pushes the previous { content, type, createdAt, author, editedAt }
+// onto the note's `revisions` and sets lastEditedBy / lastEditedAt.
+export const updateParticipantNote = (id, noteId, { content, type, visibility, createdAt }) =>
+  api.put(`/participants/${id}/notes/${noteId}`, { content, type, visibility, createdAt });
+// Notes across all participants, newest first. Params: { type, from, to, search, page, limit };
+// each note includes participantId and participantName.
+export const fetchNotesFeed = (params) => api.get('/notes', { params });
+// Goals live on the participant (participant.goals):
+// { id, title, description, category, targetDate, status, progress, updates: [...] }
+export const createParticipantGoal = (id, { title, description, category, targetDate }) =>
+  api.post(`/participants/${id}/goals`, { title, description, category, targetDate });
+export const updateParticipantGoal = (id, goalId, changes) => api.put(`/participants/${id}/goals/${goalId}`, changes);
+export const deleteParticipantGoal = (id, goalId) => api.delete(`/participants/${id}/goals/${goalId}`);
+// Appends { id, note, progress, status, author, createdAt } to the goal's updates and
+// sets the goal's progress and status to match
+export const addGoalUpdate = (id, goalId, { note, progress, status }) =>
+  api.post(`/participants/${id}/goals/${goalId}/updates`, { note, progress, status });
 export const uploadImage = (formData) => api.post('/upload/single', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+// Upload a PDF or image that isn't a photo (signed forms, scanned documents); responds
+// with { document: { url, name, publicId, mimeType, size } }
+export const uploadDocument = (formData) => api.post('/upload/document', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+// Consent records; re-signing adds a new record rather than replacing the old one
+export const addParticipantConsent = (id, { type, signedDate, expiryDate, signedBy, document }) =>
+  api.post(`/participants/${id}/consents`, { type, signedDate, expiryDate, signedBy, document });
+export const deleteParticipantConsent = (id, consentId) => api.delete(`/participants/${id}/consents/${consentId}`);
+// Attach an uploaded document (see uploadDocument) to a participant; the server records
+// who uploaded it and when
+export const addParticipantDocument = (id, { title, category, document }) =>
+  api.post(`/participants/${id}/documents`, { title, category, document });
+export const deleteParticipantDocument = (id, documentId) => api.delete(`/participants/${id}/documents/${documentId}`);
 export const addParticipantPhoto = async (id, { type, imageData, uploadedAt, caption, activity, programName }) => {
   if (type === 'headshot') {
     return api.put(`/participants/${id}/profile-photo`, { imageData });
@@ -148,6 +306,12 @@ export const addParticipantPhoto = async (id, { type, imageData, uploadedAt, cap
   }
 };
 export const deleteParticipantPhoto = (id, photoId) => api.delete(`/participants/${id}/program-photo/${photoId}`);
+// Merge another participant into this one: notes, photos, program enrollments, contacts, consent
+// records, documents and goals are combined, `fields` overrides the kept record's details and the
+// source record is removed.
+// The server appends { sourceId, sourceName, mergedBy, mergedAt, reason } to the kept record's mergeHistory.
+export const mergeParticipants = (targetId, { sourceId, fields, reason }) =>
+  api.post(`/participants/${targetId}/merge`, { sourceId, fields, reason });
 
 // Programs
 export const fetchPrograms = () => api.get('/programs');
@@ -186,15 +350,68 @@ export const removeParticipantFromProgram = (participantId, programId) =>
 export const addParticipantToProgram = (participantId, programId) =>
   api.post(`/participants/${participantId}/programs/${programId}`);
 
+// Program photos (same shape as a participant's uploadedPhotos, plus tagged participants)
+export const addProgramPhoto = (programName, { imageData, uploadedAt, caption, activity, taggedParticipantIds }) =>
+  api.post(`/programs/name/${encodeURIComponent(programName)}/photos`, { imageData, uploadedAt, caption, activity, taggedParticipantIds });
+export const deleteProgramPhoto = (programName, photoId) =>
+  api.delete(`/programs/name/${encodeURIComponent(programName)}/photos/${photoId}`);
+
+// Program sessions & attendance
+// Session attendance is a map of participantId -> 'present' | 'absent' | 'excused'
+export const fetchProgramSessions = (programName) =>
+  api.get(`/programs/name/${encodeURIComponent(programName)}/sessions`);
+export const createProgramSession = (programName, payload) =>
+  api.post(`/programs/name/${encodeURIComponent(programName)}/sessions`, payload);
+export const deleteProgramSession = (programName, sessionId) =>
+  api.delete(`/programs/name/${encodeURIComponent(programName)}/sessions/${sessionId}`);
+// Merge attendance for one or more participants into a session
+export const updateSessionAttendance = (programName, sessionId, attendance) =>
+  api.put(`/programs/name/${encodeURIComponent(programName)}/sessions/${sessionId}/attendance`, { attendance });
+// Goals of every participant enrolled in a program, each with its participantId
+export const fetchProgramGoals = (programName) =>
+  api.get(`/programs/name/${encodeURIComponent(programName)}/goals`);
+// All attendance records for a participant across programs
+export const fetchParticipantAttendance = (participantId) => api.get(`/participants/${participantId}/attendance`);
+// Changes to a participant record: { events: [{ id, action, actorName, details, createdAt }] }
+// where action is created, updated (details.fields: [{ field, from, to }]), program-added,
+// program-removed (details.programName), archived, restored or merged
+export const fetchParticipantHistory = (participantId) => api.get(`/participants/${participantId}/history`);
+
 // Staff
 export const fetchStaff = () => api.get('/staff');
-export const deleteStaff = (id) => api.delete(`/staff/${id}`);
+// Admin-only account management; the server records each change in the staff audit log
+export const updateStaffRole = (id, role) => api.put(`/staff/${id}/role`, { role });
+export const deactivateStaff = (id) => api.post(`/staff/${id}/deactivate`);
+export const reactivateStaff = (id) => api.post(`/staff/${id}/reactivate`);
+// Invalidates the account's password and emails a reset link
+export const forceStaffPasswordReset = (id) => api.post(`/staff/${id}/force-password-reset`);
+// Entries: { id, action, actorId, actorName, targetId, targetName, details, createdAt }
+export const fetchStaffAuditLog = (params = {}) => api.get('/staff/audit-log', { params });
+// One-time registration invites (admin only). Each invite fixes the new account's role.
+export const fetchStaffInvites = () => api.get('/staff/invites');
+export const createStaffInvite = ({ email, role }) => api.post('/staff/invites', { email, role });
+export const revokeStaffInvite = (id) => api.delete(`/staff/invites/${id}`);
 
 // Import/Export
-export const exportParticipantsCsv = () => api.get('/export/participants', { responseType: 'blob' });
+// noteVisibility lists the note visibility levels to include (see getReadableVisibilities)
+export const exportParticipantsCsv = (params = {}) => api.get('/export/participants', { params, responseType: 'blob' });
+// The same export limited to the given participants. The ids go in the body because a
+// few hundred of them would overflow the URL.
+export const exportSelectedParticipantsCsv = (ids, params = {}) =>
+  api.post('/export/participants', { ids }, { params, responseType: 'blob' });
 export const importParticipantsFile = (file, dryRun = true) => {
   const form = new FormData();
   form.append('file', file);
   form.append('dryRun', String(dryRun));
   return api.post('/import/participants', form, { headers: { 'Content-Type': 'multipart/form-data' } });
-};
\ No newline at end of file
+};
+// Programs file columns: Name, Description, Location, Start Date, End Date, Participant IDs.
+// With linkParticipants, each program is enrolled with the existing participants whose
+// ID numbers are listed in its "Participant IDs" column.
+export const importProgramsFile = (file, dryRun = true, { linkParticipants = true } = {}) => {
+  const form = new FormData();
+  form.append('file', file);
+  form.append('dryRun', String(dryRun));
+  form.append('linkParticipants', String(linkParticipants));
+  return api.post('/import/programs', form, { headers: { 'Content-Type': 'multipart/form-data' } });
+};
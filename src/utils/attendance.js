@@ -0,0 +1,41 @@
+// Attendance statuses and rate calculations shared by the sessions, program and participant pages
+
+export const ATTENDANCE_STATUSES = {
+  present: { label: 'Present', color: '#28a745' },
+  absent: { label: 'Absent', color: '#dc3545' },
+  excused: { label: 'Excused', color: '#ffc107' }
+};
+
+// Count statuses in a list of 'present' | 'absent' | 'excused' values.
+// Excused absences don't count against the attendance rate.
+export const summarizeAttendance = (statuses) => {
+  const summary = { present: 0, absent: 0, excused: 0, recorded: 0, rate: null };
+  statuses.forEach(status => {
+    if (ATTENDANCE_STATUSES[status]) {
+      summary[status] += 1;
+      summary.recorded += 1;
+    }
+  });
+  const counted = summary.present + summary.absent;
+  summary.rate = counted > 0 ? summary.present / counted : null;
+  return summary;
+};
+
+// Attendance statuses recorded for one participant across a program's sessions
+export const getParticipantStatuses = (sessions, participantId) =>
+  sessions.map(session => session.attendance?.[participantId]).filter(Boolean);
+
+// Every recorded status across all of a program's sessions
+export const getAllStatuses = (sessions) =>
+  sessions.flatMap(session => Object.values(session.attendance || {}));
+
+// Group a participant's attendance records by program, keeping each program's statuses
+// in record order: [{ programName, statuses }]
+export const groupAttendanceByProgram = (records) => Object.values(records.reduce((groups, record) => {
+  const key = record.programId || record.programName;
+  groups[key] = groups[key] || { programName: record.programName, statuses: [] };
+  groups[key].statuses.push(record.status);
+  return groups;
+}, {}));
+
+export const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
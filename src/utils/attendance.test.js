@@ -0,0 +1,47 @@
+import { summarizeAttendance, groupAttendanceByProgram, formatRate } from './attendance';
+
+describe('summarizeAttendance', () => {
+  test('counts statuses and leaves excused absences out of the rate', () => {
+    expect(summarizeAttendance(['present', 'absent', 'excused', 'present', 'unknown'])).toEqual({
+      present: 2,
+      absent: 1,
+      excused: 1,
+      recorded: 4,
+      rate: 2 / 3
+    });
+  });
+
+  test('has no rate without present or absent records', () => {
+    expect(summarizeAttendance(['excused']).rate).toBeNull();
+    expect(formatRate(null)).toBe('—');
+    expect(formatRate(2 / 3)).toBe('67%');
+  });
+});
+
+describe('groupAttendanceByProgram', () => {
+  test('groups statuses by program id, in record order', () => {
+    const records = [
+      { programId: 'p1', programName: 'Robotics', status: 'present' },
+      { programId: 'p2', programName: 'Art', status: 'absent' },
+      { programId: 'p1', programName: 'Robotics', status: 'excused' }
+    ];
+    expect(groupAttendanceByProgram(records)).toEqual([
+      { programName: 'Robotics', statuses: ['present', 'excused'] },
+      { programName: 'Art', statuses: ['absent'] }
+    ]);
+  });
+
+  test('falls back to the program name when a record has no program id', () => {
+    const records = [
+      { programName: 'Art', status: 'present' },
+      { programName: 'Art', status: 'absent' }
+    ];
+    expect(groupAttendanceByProgram(records)).toEqual([
+      { programName: 'Art', statuses: ['present', 'absent'] }
+    ]);
+  });
+
+  test('returns no groups for no records', () => {
+    expect(groupAttendanceByProgram([])).toEqual([]);
+  });
+});
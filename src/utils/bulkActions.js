@@ -0,0 +1,57 @@
+// Helpers for bulk actions on the Participants list
+import { getTotalPages } from '../hooks/usePaginatedList';
+
+export const BULK_RESULT_STATUSES = {
+  pending: { label: 'Waiting', icon: '⏳', color: '#6c757d' },
+  done: { label: 'Done', icon: '✅', color: '#28a745' },
+  skipped: { label: 'Skipped', icon: '➖', color: '#856404' },
+  failed: { label: 'Failed', icon: '❌', color: '#dc3545' }
+};
+
+// `task(participant)` performs the change; it may return { skipped: 'reason' } when the
+// participant needs no change. Requests run one at a time so a large selection doesn't
+// flood the server, and `onResult` is called after each row with
+// { id, name, status, message }. Resolves with every row's result.
+export const runBulkAction = async (participants, task, onResult) => {
+  const results = [];
+  for (const participant of participants) {
+    let result;
+    try {
+      const outcome = await task(participant);
+      result = outcome?.skipped
+        ? { id: participant.id, name: participant.name, status: 'skipped', message: outcome.skipped }
+        : { id: participant.id, name: participant.name, status: 'done', message: '' };
+    } catch (err) {
+      result = {
+        id: participant.id,
+        name: participant.name,
+        status: 'failed',
+        message: err?.response?.data?.error || err?.message || 'Request failed'
+      };
+    }
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+};
+
+export const summarizeBulkResults = (results) => results.reduce((summary, result) => ({
+  ...summary,
+  [result.status]: (summary[result.status] || 0) + 1
+}), { pending: 0, done: 0, skipped: 0, failed: 0 });
+
+// Load every participant matching `params`, page by page; stops after the last page the
+// server reports, even if it ignores `page`. Used for "select all" and import duplicate checks
+export const fetchAllMatching = async (fetchPage, params, pageSize = 200) => {
+  const all = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await fetchPage({ ...params, page, limit: pageSize });
+    const items = response.data?.participants || (Array.isArray(response.data) ? response.data : []);
+    all.push(...items);
+    totalPages = Array.isArray(response.data) ? 1 : getTotalPages(response.data?.pagination);
+    page += 1;
+  } while (page <= totalPages);
+  return all;
+};
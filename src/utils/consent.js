@@ -0,0 +1,59 @@
+// Consent records stored on a participant as `participant.consents`:
+// [{ id, type, signedDate, expiryDate, signedBy, document: { url, name }, recordedBy, recordedAt }]
+// Re-signing adds a new record; the one signed most recently is the current consent.
+import { toDate } from './participantFilters';
+
+export const CONSENT_TYPES = [
+  { value: 'photoRelease', label: 'Photo Release', description: 'Photos of the participant may be taken and shared' },
+  { value: 'umdDataSharing', label: 'UMD Data Sharing', description: 'Participant data may be shared with University of Maryland researchers' },
+  { value: 'programParticipation', label: 'Program Participation', description: 'Guardian agrees to the participant joining HeartSmiles programs' }
+];
+
+export const CONSENT_STATUSES = {
+  valid: { label: 'Valid', color: '#28a745' },
+  expiring: { label: 'Expiring Soon', color: '#ffc107' },
+  expired: { label: 'Expired', color: '#dc3545' },
+  missing: { label: 'Missing', color: '#6c757d' }
+};
+
+// Consents expiring within this many days are flagged so staff can collect a new form
+export const EXPIRING_SOON_DAYS = 30;
+
+export const getConsentLabel = (type) =>
+  CONSENT_TYPES.find(option => option.value === type)?.label || type;
+
+// Records of one type, most recently signed first
+export const getConsentRecords = (participant, type) =>
+  (participant?.consents || [])
+    .filter(record => record.type === type)
+    .sort((a, b) => (toDate(b.signedDate)?.getTime() || 0) - (toDate(a.signedDate)?.getTime() || 0));
+
+// { status: 'valid' | 'expiring' | 'expired' | 'missing', record }. Consents without an
+// expiry date stay valid until replaced.
+export const getConsentStatus = (participant, type, now = new Date()) => {
+  const [record] = getConsentRecords(participant, type);
+  if (!record) return { status: 'missing', record: null };
+
+  const expiry = toDate(record.expiryDate);
+  if (!expiry) return { status: 'valid', record };
+  expiry.setHours(23, 59, 59, 999);
+  if (expiry < now) return { status: 'expired', record };
+
+  const soon = new Date(now);
+  soon.setDate(soon.getDate() + EXPIRING_SOON_DAYS);
+  return { status: expiry < soon ? 'expiring' : 'valid', record };
+};
+
+export const hasValidConsent = (participant, type, now) =>
+  ['valid', 'expiring'].includes(getConsentStatus(participant, type, now).status);
+
+// Message explaining why a consent blocks an action, or '' when the consent is in place
+export const describeMissingConsent = (participant, type) => {
+  const { status, record } = getConsentStatus(participant, type);
+  const label = getConsentLabel(type);
+  if (status === 'missing') return `No ${label.toLowerCase()} consent is on file for ${participant?.name || 'this participant'}.`;
+  if (status === 'expired') {
+    return `The ${label.toLowerCase()} consent for ${participant?.name || 'this participant'} expired on ${toDate(record.expiryDate).toLocaleDateString()}.`;
+  }
+  return '';
+};
@@ -0,0 +1,85 @@
+import {
+  getConsentLabel,
+  getConsentRecords,
+  getConsentStatus,
+  hasValidConsent,
+  describeMissingConsent
+} from './consent';
+
+const NOW = new Date(2025, 5, 15, 12);
+
+const participantWith = (...consents) => ({ name: 'Ana Lopez', consents });
+
+describe('getConsentRecords', () => {
+  test('returns one type, most recently signed first', () => {
+    const participant = participantWith(
+      { id: 'old', type: 'photoRelease', signedDate: '2023-09-01' },
+      { id: 'umd', type: 'umdDataSharing', signedDate: '2025-01-01' },
+      { id: 'new', type: 'photoRelease', signedDate: '2024-09-01' }
+    );
+    expect(getConsentRecords(participant, 'photoRelease').map(record => record.id)).toEqual(['new', 'old']);
+    expect(getConsentRecords(null, 'photoRelease')).toEqual([]);
+  });
+});
+
+describe('getConsentStatus', () => {
+  test('is missing without a record of that type', () => {
+    expect(getConsentStatus(participantWith(), 'photoRelease', NOW)).toEqual({ status: 'missing', record: null });
+  });
+
+  test('stays valid without an expiry date', () => {
+    const participant = participantWith({ type: 'photoRelease', signedDate: '2020-01-01' });
+    expect(getConsentStatus(participant, 'photoRelease', NOW).status).toBe('valid');
+  });
+
+  test('is valid on its expiry date and expired the day after', () => {
+    const participant = participantWith({ type: 'photoRelease', signedDate: '2024-06-15', expiryDate: '2025-06-15' });
+    expect(getConsentStatus(participant, 'photoRelease', NOW).status).toBe('expiring');
+    expect(getConsentStatus(participant, 'photoRelease', new Date(2025, 5, 16)).status).toBe('expired');
+  });
+
+  test('is expiring within 30 days and valid after that', () => {
+    const expiringIn = (days) => participantWith({
+      type: 'photoRelease',
+      signedDate: '2024-06-01',
+      expiryDate: new Date(2025, 5, 15 + days)
+    });
+    expect(getConsentStatus(expiringIn(29), 'photoRelease', NOW).status).toBe('expiring');
+    expect(getConsentStatus(expiringIn(31), 'photoRelease', NOW).status).toBe('valid');
+  });
+
+  test('uses the most recently signed record, so re-signing replaces an expired consent', () => {
+    const participant = participantWith(
+      { id: 'old', type: 'umdDataSharing', signedDate: '2023-01-01', expiryDate: '2024-01-01' },
+      { id: 'new', type: 'umdDataSharing', signedDate: '2025-01-01' }
+    );
+    expect(getConsentStatus(participant, 'umdDataSharing', NOW)).toMatchObject({ status: 'valid', record: { id: 'new' } });
+  });
+});
+
+test('hasValidConsent accepts valid and expiring consents only', () => {
+  const expiring = participantWith({ type: 'photoRelease', signedDate: '2024-07-01', expiryDate: '2025-07-01' });
+  const expired = participantWith({ type: 'photoRelease', signedDate: '2023-07-01', expiryDate: '2024-07-01' });
+  expect(hasValidConsent(expiring, 'photoRelease', NOW)).toBe(true);
+  expect(hasValidConsent(expired, 'photoRelease', NOW)).toBe(false);
+  expect(hasValidConsent(participantWith(), 'photoRelease', NOW)).toBe(false);
+});
+
+describe('describeMissingConsent', () => {
+  test('explains a missing or expired consent', () => {
+    expect(describeMissingConsent(participantWith(), 'photoRelease'))
+      .toBe('No photo release consent is on file for Ana Lopez.');
+    const expired = participantWith({ type: 'photoRelease', signedDate: '2019-01-01', expiryDate: '2020-01-31' });
+    expect(describeMissingConsent(expired, 'photoRelease'))
+      .toBe(`The photo release consent for Ana Lopez expired on ${new Date(2020, 0, 31).toLocaleDateString()}.`);
+  });
+
+  test('is empty when the consent is in place', () => {
+    expect(describeMissingConsent(participantWith({ type: 'photoRelease', signedDate: '2025-01-01' }), 'photoRelease')).toBe('');
+  });
+});
+
+test('getConsentLabel falls back to the type', () => {
+  expect(getConsentLabel('umdDataSharing')).toBe('UMD Data Sharing');
+  expect(getConsentLabel('other')).toBe('other');
+});
@@ -0,0 +1,68 @@
+// Guardian and emergency contacts stored on a participant as `participant.contacts`:
+// [{ id, type, name, relationship, phone, email, preferredLanguage, pickupAuthorized }]
+
+export const CONTACT_TYPES = [
+  { value: 'guardian', label: 'Guardian' },
+  { value: 'emergency', label: 'Emergency Contact' }
+];
+
+// Suggestions only; staff can type any relationship
+export const CONTACT_RELATIONSHIPS = [
+  'Mother', 'Father', 'Grandparent', 'Aunt/Uncle', 'Sibling',
+  'Foster Parent', 'Legal Guardian', 'Family Friend', 'Other'
+];
+
+export const CONTACT_LANGUAGES = ['English', 'Spanish', 'French', 'Amharic', 'Chinese', 'Vietnamese', 'Korean', 'Arabic'];
+
+export const EMPTY_CONTACT = {
+  type: 'guardian',
+  name: '',
+  relationship: '',
+  phone: '',
+  email: '',
+  preferredLanguage: '',
+  pickupAuthorized: false
+};
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const getContactTypeLabel = (type) =>
+  CONTACT_TYPES.find(option => option.value === type)?.label || 'Contact';
+
+// Guardians first, keeping the saved order within each type
+export const getContacts = (participant) =>
+  (participant?.contacts || [])
+    .map((contact, index) => ({ contact, index }))
+    .sort((a, b) => (a.contact.type === 'guardian' ? 0 : 1) - (b.contact.type === 'guardian' ? 0 : 1) || a.index - b.index)
+    .map(({ contact }) => contact);
+
+// Errors keyed by field name; a contact needs a name and a phone number or email
+export const validateContact = (contact) => {
+  const errors = {};
+  if (!contact.name?.trim()) errors.name = 'Name is required';
+  if (!contact.phone?.trim() && !contact.email?.trim()) {
+    errors.phone = 'Enter a phone number or email';
+  }
+  if (contact.phone?.trim() && contact.phone.replace(/\D/g, '').length < 10) {
+    errors.phone = 'Phone number must have at least 10 digits';
+  }
+  if (contact.email?.trim() && !EMAIL_PATTERN.test(contact.email.trim())) {
+    errors.email = 'Please enter a valid email address';
+  }
+  return errors;
+};
+
+// Trimmed copy for saving and comparing
+export const cleanContact = (contact) => ({
+  ...(contact.id ? { id: contact.id } : {}),
+  type: contact.type || 'guardian',
+  name: (contact.name || '').trim(),
+  relationship: contact.relationship?.trim() || '',
+  phone: contact.phone?.trim() || '',
+  email: contact.email?.trim() || '',
+  preferredLanguage: contact.preferredLanguage?.trim() || '',
+  pickupAuthorized: Boolean(contact.pickupAuthorized)
+});
+
+export const contactsEqual = (a, b) =>
+  JSON.stringify((a || []).map(cleanContact)) === JSON.stringify((b || []).map(cleanContact));
@@ -0,0 +1,36 @@
+import { parseCsv, toCsv, isCsvFile } from './csv';
+
+describe('parseCsv', () => {
+  test('splits rows and cells', () => {
+    expect(parseCsv('Name,School\nAna,Lincoln\r\nBen,Roosevelt')).toEqual([
+      ['Name', 'School'],
+      ['Ana', 'Lincoln'],
+      ['Ben', 'Roosevelt']
+    ]);
+  });
+
+  test('handles quoted commas, escaped quotes and newlines inside quotes', () => {
+    expect(parseCsv('"Smith, John","He said ""hi""","line one\nline two"')).toEqual([
+      ['Smith, John', 'He said "hi"', 'line one\nline two']
+    ]);
+  });
+
+  test('strips a byte order mark and drops blank lines', () => {
+    expect(parseCsv('\uFEFFName\n\nAna\n,\n')).toEqual([['Name'], ['Ana']]);
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes only cells that need it and round-trips through parseCsv', () => {
+    const rows = [['Name', 'Notes'], ['Smith, John', 'Said "hi"'], ['Ana', null]];
+    const csv = toCsv(rows);
+    expect(csv).toBe('Name,Notes\r\n"Smith, John","Said ""hi"""\r\nAna,');
+    expect(parseCsv(csv)).toEqual([['Name', 'Notes'], ['Smith, John', 'Said "hi"'], ['Ana', '']]);
+  });
+});
+
+test('isCsvFile checks the extension case-insensitively', () => {
+  expect(isCsvFile({ name: 'Roster.CSV' })).toBe(true);
+  expect(isCsvFile({ name: 'roster.xlsx' })).toBe(false);
+  expect(isCsvFile(null)).toBeFalsy();
+});
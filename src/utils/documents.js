@@ -0,0 +1,38 @@
+// Participant document attachments (report cards, IEPs, forms) stored as
+// `participant.documents`: [{ id, title, category, url, name, mimeType, size, uploadedBy, uploadedAt }]
+
+export const DOCUMENT_CATEGORIES = [
+  { value: 'reportCard', label: 'Report Card', color: '#007bff' },
+  { value: 'iep', label: 'IEP', color: '#6f42c1' },
+  { value: 'referral', label: 'Referral Form', color: '#17a2b8' },
+  { value: 'permissionSlip', label: 'Permission Slip', color: '#28a745' },
+  { value: 'other', label: 'Other', color: '#6c757d' }
+];
+
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+export const getDocumentCategory = (value) =>
+  DOCUMENT_CATEGORIES.find(category => category.value === value) || DOCUMENT_CATEGORIES[DOCUMENT_CATEGORIES.length - 1];
+
+export const isPdfDocument = (document) =>
+  document?.mimeType === 'application/pdf' || /\.pdf$/i.test(document?.name || document?.url || '');
+
+export const isImageDocument = (document) =>
+  Boolean(document?.mimeType?.startsWith('image/')) || /\.(png|jpe?g|gif|webp)$/i.test(document?.name || document?.url || '');
+
+// Error message for a file that can't be attached, or '' when it's fine
+export const validateDocumentFile = (file) => {
+  if (!file) return 'Please select a file';
+  if (!(file.type === 'application/pdf' || file.type.startsWith('image/'))) {
+    return 'Please select a PDF or an image file';
+  }
+  if (file.size > MAX_DOCUMENT_SIZE) return 'Files must be 10MB or smaller';
+  return '';
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
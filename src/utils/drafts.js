@@ -0,0 +1,32 @@
+// In-progress form drafts, kept in sessionStorage so they survive a forced re-login
+// in the same tab. Drafts are scoped to the signed-in staff member.
+
+const DRAFT_PREFIX = 'hs_draft:';
+
+const draftKey = (userId, key) => `${DRAFT_PREFIX}${userId}:${key}`;
+
+export const loadDraft = (userId, key) => {
+  try {
+    const raw = sessionStorage.getItem(draftKey(userId, key));
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveDraft = (userId, key, value) => {
+  try {
+    sessionStorage.setItem(draftKey(userId, key), JSON.stringify(value));
+  } catch {
+    // Storage full or unavailable; drafts are best-effort
+  }
+};
+
+export const clearDraft = (userId, key) => sessionStorage.removeItem(draftKey(userId, key));
+
+// Called on an explicit logout so drafts aren't left behind on a shared computer
+export const clearAllDrafts = () => {
+  Object.keys(sessionStorage)
+    .filter(key => key.startsWith(DRAFT_PREFIX))
+    .forEach(key => sessionStorage.removeItem(key));
+};
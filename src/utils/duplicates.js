@@ -0,0 +1,95 @@
+// Fuzzy duplicate detection for participants on name + date of birth + school
+import { toDateString } from './participantFilters';
+
+// Scores at or above this are shown as possible duplicates. An identical name alone
+// scores 0.6, so it is flagged even when the DOB is missing or mistyped.
+export const DUPLICATE_THRESHOLD = 0.6;
+
+// How much each part contributes to the score
+export const DUPLICATE_WEIGHTS = { name: 0.6, dateOfBirth: 0.3, school: 0.1 };
+
+// Lowercase, strip punctuation and sort the name parts so "Smith, John" matches "John Smith"
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0..1 similarity between two names, ignoring case, punctuation and word order
+export const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+// Weighted match score: name 60%, date of birth 30%, school 10%.
+// Returns { score, reasons, breakdown } where breakdown holds each part's contribution.
+export const scoreDuplicate = (candidate, existing) => {
+  const reasons = [];
+  const nameScore = nameSimilarity(candidate.name, existing.name);
+  if (nameScore === 1) reasons.push('Same name');
+  else if (nameScore >= 0.8) reasons.push('Similar name');
+
+  const candidateDob = toDateString(candidate.dateOfBirth);
+  const sameDob = Boolean(candidateDob) && candidateDob === toDateString(existing.dateOfBirth);
+  if (sameDob) reasons.push('Same date of birth');
+
+  const sameSchool = Boolean(normalizeText(candidate.school)) &&
+    normalizeText(candidate.school) === normalizeText(existing.school);
+  if (sameSchool) reasons.push('Same school');
+
+  const breakdown = {
+    name: nameScore * DUPLICATE_WEIGHTS.name,
+    dateOfBirth: sameDob ? DUPLICATE_WEIGHTS.dateOfBirth : 0,
+    school: sameSchool ? DUPLICATE_WEIGHTS.school : 0
+  };
+  return {
+    score: breakdown.name + breakdown.dateOfBirth + breakdown.school,
+    reasons,
+    breakdown
+  };
+};
+
+// "Name 60/60 · DOB 0/30 · School 10/10", so staff can see why a match was flagged
+export const formatScoreBreakdown = (breakdown) => [
+  ['Name', breakdown.name, DUPLICATE_WEIGHTS.name],
+  ['DOB', breakdown.dateOfBirth, DUPLICATE_WEIGHTS.dateOfBirth],
+  ['School', breakdown.school, DUPLICATE_WEIGHTS.school]
+].map(([label, points, weight]) => `${label} ${Math.round(points * 100)}/${Math.round(weight * 100)}`).join(' · ');
+
+// Existing participants that look like the same person as `candidate`, best match first
+export const findDuplicates = (candidate, participants, threshold = DUPLICATE_THRESHOLD) =>
+  participants
+    .filter(existing => !candidate.id || existing.id !== candidate.id)
+    .map(existing => ({ participant: existing, ...scoreDuplicate(candidate, existing) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+
+// Search term used to fetch possible matches from the server: the longest name part,
+// which is usually the surname and survives typos in the other parts
+export const duplicateSearchTerm = (name) => String(name || '')
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .sort((a, b) => b.length - a.length)[0] || '';
@@ -0,0 +1,82 @@
+import {
+  DUPLICATE_THRESHOLD,
+  nameSimilarity,
+  scoreDuplicate,
+  findDuplicates,
+  formatScoreBreakdown,
+  duplicateSearchTerm
+} from './duplicates';
+
+describe('nameSimilarity', () => {
+  test('ignores case, punctuation and word order', () => {
+    expect(nameSimilarity('Smith, John', 'john SMITH')).toBe(1);
+  });
+
+  test('scores typos between 0 and 1 and blank names as 0', () => {
+    const score = nameSimilarity('Jon Smith', 'John Smith');
+    expect(score).toBeGreaterThan(0.8);
+    expect(score).toBeLessThan(1);
+    expect(nameSimilarity('', 'John Smith')).toBe(0);
+  });
+});
+
+describe('scoreDuplicate', () => {
+  test('weights name 60%, date of birth 30% and school 10%', () => {
+    const match = scoreDuplicate(
+      { name: 'John Smith', dateOfBirth: '2010-04-02', school: 'Lincoln High ' },
+      { name: 'Smith, John', dateOfBirth: '2010-04-02', school: 'lincoln  high' }
+    );
+    expect(match.score).toBeCloseTo(1);
+    expect(match.breakdown).toEqual({ name: 0.6, dateOfBirth: 0.3, school: 0.1 });
+    expect(match.reasons).toEqual(['Same name', 'Same date of birth', 'Same school']);
+  });
+
+  test('a missing date of birth or school never counts as a match', () => {
+    const match = scoreDuplicate({ name: 'Ana' }, { name: 'Ben', dateOfBirth: '', school: '' });
+    expect(match.breakdown.dateOfBirth).toBe(0);
+    expect(match.breakdown.school).toBe(0);
+  });
+});
+
+describe('findDuplicates', () => {
+  const existing = [
+    { id: '1', name: 'John Smith', dateOfBirth: '2010-04-02', school: 'Lincoln' },
+    { id: '2', name: 'Jane Doe', dateOfBirth: '2011-01-01', school: 'Lincoln' },
+    { id: '3', name: 'Jon Smith', dateOfBirth: '2010-04-02', school: 'Roosevelt' }
+  ];
+
+  test('flags an identical name on its own, without DOB or school', () => {
+    const [match] = findDuplicates({ name: 'John Smith' }, existing);
+    expect(match.participant.id).toBe('1');
+    expect(match.score).toBeCloseTo(DUPLICATE_THRESHOLD);
+  });
+
+  test('flags an identical name with a mistyped DOB and a different school', () => {
+    const matches = findDuplicates({ name: 'John Smith', dateOfBirth: '2010-04-20', school: 'Roosevelt' }, existing);
+    expect(matches.map(match => match.participant.id)).toContain('1');
+  });
+
+  test('does not flag a different name that only shares a school', () => {
+    expect(findDuplicates({ name: 'Maria Garcia', school: 'Lincoln' }, existing)).toEqual([]);
+  });
+
+  test('sorts the best match first and leaves out the candidate itself', () => {
+    const matches = findDuplicates({ id: '1', name: 'John Smith', dateOfBirth: '2010-04-02' }, existing);
+    expect(matches.map(match => match.participant.id)).toEqual(['3']);
+    const all = findDuplicates({ name: 'John Smith', dateOfBirth: '2010-04-02' }, existing);
+    expect(all.map(match => match.participant.id)).toEqual(['1', '3']);
+  });
+
+  test('accepts a custom threshold', () => {
+    expect(findDuplicates({ name: 'John Smith' }, existing, 0.7)).toEqual([]);
+  });
+});
+
+test('formatScoreBreakdown shows each part out of its weight', () => {
+  expect(formatScoreBreakdown({ name: 0.6, dateOfBirth: 0, school: 0.1 })).toBe('Name 60/60 · DOB 0/30 · School 10/10');
+});
+
+test('duplicateSearchTerm picks the longest name part', () => {
+  expect(duplicateSearchTerm('Al Johnson, Jr')).toBe('Johnson');
+  expect(duplicateSearchTerm('')).toBe('');
+});
@@ -0,0 +1,14 @@
+// Query params shared by the Export page and the Participants list's "Export Selection"
+import { getReadableVisibilities } from './notes';
+import { PERMISSIONS, hasPermission } from './permissions';
+
+// Leaves out notes the user can't read. Participants without a current UMD data-sharing
+// consent are left out when the file is for UMD, and always for staff who lack
+// EXPORT_UNFILTERED, whatever `forUmd` says.
+export const getParticipantExportParams = (user, { forUmd = true, includeContacts = false } = {}) => {
+  const params = { noteVisibility: getReadableVisibilities(user).join(',') };
+  // Guardian and emergency contact columns are opt-in
+  if (includeContacts) params.includeContacts = true;
+  if (forUmd || !hasPermission(user, PERMISSIONS.EXPORT_UNFILTERED)) params.consent = 'umdDataSharing';
+  return params;
+};
@@ -0,0 +1,29 @@
+import { getParticipantExportParams } from './exports';
+
+const heartSmiles = { role: 'heartSmiles' };
+const umd = { role: 'umd' };
+
+describe('getParticipantExportParams', () => {
+  test('filters by UMD data-sharing consent unless told otherwise', () => {
+    expect(getParticipantExportParams(heartSmiles)).toEqual({
+      noteVisibility: 'everyone,heartSmiles',
+      consent: 'umdDataSharing'
+    });
+    expect(getParticipantExportParams(heartSmiles, { forUmd: false })).toEqual({
+      noteVisibility: 'everyone,heartSmiles'
+    });
+  });
+
+  test('always filters for staff without EXPORT_UNFILTERED', () => {
+    expect(getParticipantExportParams(umd, { forUmd: false })).toEqual({
+      noteVisibility: 'everyone',
+      consent: 'umdDataSharing'
+    });
+  });
+
+  test('adds contact columns only when asked', () => {
+    expect(getParticipantExportParams(heartSmiles, { forUmd: false, includeContacts: true })).toMatchObject({
+      includeContacts: true
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Participant goals: categories, statuses, progress and program-level rollups
+import { toDate } from './participantFilters';
+
+export const GOAL_CATEGORIES = {
+  academic: { label: 'Academic', color: '#007bff' },
+  social: { label: 'Social', color: '#6f42c1' },
+  career: { label: 'Career', color: '#fd7e14' }
+};
+
+export const GOAL_STATUSES = {
+  'not-started': { label: 'Not Started', color: '#6c757d' },
+  'in-progress': { label: 'In Progress', color: '#17a2b8' },
+  achieved: { label: 'Achieved', color: '#28a745' },
+  'not-met': { label: 'Not Met', color: '#dc3545' }
+};
+
+const CLOSED_STATUSES = ['achieved', 'not-met'];
+
+export const isGoalClosed = (goal) => CLOSED_STATUSES.includes(goal?.status);
+
+// Past its target date and still open
+export const isGoalOverdue = (goal, now = new Date()) => {
+  const target = toDate(goal?.targetDate);
+  if (!target || isGoalClosed(goal)) return false;
+  target.setHours(23, 59, 59, 999);
+  return target < now;
+};
+
+// 0-100. Achieved goals are always complete; otherwise use the goal's progress or the
+// latest progress update that recorded one.
+export const getGoalProgress = (goal) => {
+  if (goal?.status === 'achieved') return 100;
+  if (typeof goal?.progress === 'number') return Math.max(0, Math.min(100, goal.progress));
+  const latest = getGoalUpdates(goal).find(update => typeof update.progress === 'number');
+  return latest ? latest.progress : 0;
+};
+
+// Progress updates, newest first: [{ id, note, progress, status, author, createdAt }]
+export const getGoalUpdates = (goal) =>
+  (goal?.updates || [])
+    .slice()
+    .sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0));
+
+// Open goals first (soonest target date first), then closed goals
+export const sortGoals = (goals) =>
+  (goals || []).slice().sort((a, b) => {
+    if (isGoalClosed(a) !== isGoalClosed(b)) return isGoalClosed(a) ? 1 : -1;
+    const aTime = toDate(a.targetDate)?.getTime() ?? Infinity;
+    const bTime = toDate(b.targetDate)?.getTime() ?? Infinity;
+    return aTime - bTime;
+  });
+
+export const summarizeGoals = (goals) => {
+  const summary = { total: 0, achieved: 0, open: 0, overdue: 0 };
+  (goals || []).forEach(goal => {
+    summary.total += 1;
+    if (goal.status === 'achieved') summary.achieved += 1;
+    if (!isGoalClosed(goal)) summary.open += 1;
+    if (isGoalOverdue(goal)) summary.overdue += 1;
+  });
+  return summary;
+};
+
+// Roll up goals for a program's participants. A participant has met their goals when
+// they have at least one goal and every one of them is achieved.
+// `goals` is a flat list where each goal carries its participantId.
+export const summarizeProgramGoals = (goals, participantIds) => {
+  const byParticipant = {};
+  participantIds.forEach(id => {
+    byParticipant[id] = summarizeGoals((goals || []).filter(goal => goal.participantId === id));
+  });
+
+  const entries = Object.values(byParticipant);
+  const withGoals = entries.filter(entry => entry.total > 0);
+  return {
+    byParticipant,
+    participantsWithGoals: withGoals.length,
+    participantsMetGoals: withGoals.filter(entry => entry.achieved === entry.total).length,
+    participantsMetAny: withGoals.filter(entry => entry.achieved > 0).length,
+    goalsTotal: entries.reduce((sum, entry) => sum + entry.total, 0),
+    goalsAchieved: entries.reduce((sum, entry) => sum + entry.achieved, 0),
+    goalsOverdue: entries.reduce((sum, entry) => sum + entry.overdue, 0)
+  };
+};
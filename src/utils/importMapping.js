@@ -0,0 +1,166 @@
+import readXlsxFile from 'read-excel-file';
+import { parseCsv, toCsv } from './csv';
+
+// Column headers the import endpoints expect (see test-data.csv), with common
+// alternative headers used by partner spreadsheets for auto-suggesting a mapping.
+export const IMPORT_FIELDS = {
+  participants: [
+    { header: 'Name', required: true, aliases: ['full name', 'student name', 'participant name', 'student', 'participant'] },
+    { header: 'Age', type: 'number', aliases: ['student age', 'years old'] },
+    { header: 'Date of Birth', type: 'date', aliases: ['dob', 'birth date', 'birthdate', 'birthday'] },
+    { header: 'School', aliases: ['school name', 'high school', 'current school'] },
+    { header: 'Address', aliases: ['home address', 'street address', 'street', 'residence'] },
+    { header: 'Referral Date', type: 'date', aliases: ['date referred', 'referred on', 'referral', 'date of referral'] },
+    { header: 'Program', aliases: ['program name', 'programme', 'cohort'] },
+    { header: 'ID Number', required: true, aliases: ['id', 'student id', 'participant id', 'identification number', 'id no'] },
+    { header: 'Notes', aliases: ['note', 'comments', 'comment', 'remarks'] },
+    // Optional guardian and emergency contact columns (one of each per row)
+    { header: 'Guardian Name', group: 'contacts', aliases: ['parent name', 'guardian', 'parent', 'parent/guardian', 'parent guardian name'] },
+    { header: 'Guardian Relationship', group: 'contacts', aliases: ['relationship', 'relationship to student', 'guardian relation'] },
+    { header: 'Guardian Phone', type: 'phone', group: 'contacts', aliases: ['parent phone', 'guardian phone number', 'parent phone number', 'home phone'] },
+    { header: 'Guardian Email', type: 'email', group: 'contacts', aliases: ['parent email', 'guardian email address', 'parent email address'] },
+    { header: 'Guardian Language', group: 'contacts', aliases: ['preferred language', 'home language', 'parent language', 'language'] },
+    { header: 'Guardian Pickup Authorized', type: 'boolean', group: 'contacts', aliases: ['pickup authorized', 'authorized pickup', 'can pick up'] },
+    { header: 'Emergency Contact Name', group: 'contacts', aliases: ['emergency contact', 'emergency name'] },
+    { header: 'Emergency Contact Relationship', group: 'contacts', aliases: ['emergency relationship', 'emergency contact relation'] },
+    { header: 'Emergency Contact Phone', type: 'phone', group: 'contacts', aliases: ['emergency phone', 'emergency phone number', 'emergency contact number'] },
+    { header: 'Emergency Contact Email', type: 'email', group: 'contacts', aliases: ['emergency email'] },
+    { header: 'Emergency Contact Language', group: 'contacts', aliases: ['emergency language', 'emergency preferred language'] },
+    { header: 'Emergency Contact Pickup Authorized', type: 'boolean', group: 'contacts', aliases: ['emergency pickup authorized', 'emergency can pick up'] }
+  ],
+  programs: [
+    { header: 'Name', required: true, aliases: ['program name', 'program', 'title'] },
+    { header: 'Description', aliases: ['details', 'summary', 'about'] },
+    { header: 'Location', aliases: ['site', 'venue', 'place'] },
+    { header: 'Start Date', type: 'date', aliases: ['start', 'begins', 'from'] },
+    { header: 'End Date', type: 'date', aliases: ['end', 'ends', 'to'] },
+    { header: 'Participant IDs', aliases: ['participants', 'student ids', 'id numbers'] }
+  ]
+};
+
+const TEMPLATES_KEY = 'hs_import_templates';
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Suggest a target header for each source header: exact header match first,
+// then a known alias. Each target is suggested at most once.
+export const suggestMapping = (headers, importType) => {
+  const fields = IMPORT_FIELDS[importType] || [];
+  const used = new Set();
+  const mapping = {};
+
+  const pass = (matches) => headers.forEach(header => {
+    if (mapping[header]) return;
+    const field = fields.find(f => !used.has(f.header) && matches(f, normalize(header)));
+    if (field) {
+      mapping[header] = field.header;
+      used.add(field.header);
+    }
+  });
+
+  pass((field, source) => normalize(field.header) === source);
+  pass((field, source) => field.aliases.some(alias => normalize(alias) === source));
+
+  return headers.reduce((acc, header) => ({ ...acc, [header]: mapping[header] || '' }), {});
+};
+
+// Returns a list of problems that should block the import
+export const validateMapping = (mapping, importType) => {
+  const problems = [];
+  const targets = Object.values(mapping).filter(Boolean);
+
+  (IMPORT_FIELDS[importType] || [])
+    .filter(field => field.required && !targets.includes(field.header))
+    .forEach(field => problems.push(`"${field.header}" must be mapped to a column.`));
+
+  targets
+    .filter((target, index) => targets.indexOf(target) !== index)
+    .filter((target, index, dupes) => dupes.indexOf(target) === index)
+    .forEach(target => problems.push(`More than one column is mapped to "${target}".`));
+
+  return problems;
+};
+
+// Rename mapped columns to the expected headers and drop ignored ones
+export const applyMapping = (rows, mapping) => {
+  const [headers = [], ...body] = rows;
+  const keep = headers
+    .map((header, index) => ({ index, target: mapping[header] }))
+    .filter(column => column.target);
+
+  return [
+    keep.map(column => column.target),
+    ...body.map(row => keep.map(column => row[column.index] ?? ''))
+  ];
+};
+
+export const readCsvFile = async (file) => parseCsv(await file.text());
+
+export const isXlsxFile = (file) => file?.name?.toLowerCase().endsWith('.xlsx');
+
+// Excel cells come back typed. Date cells are midnight UTC, so their UTC date is the one
+// shown in the spreadsheet.
+export const spreadsheetCellToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+  return String(value);
+};
+
+// Rows of a CSV file or the first worksheet of an .xlsx file as text, header row first,
+// so both go through the same column mapping and validation
+export const readSpreadsheetFile = async (file) => {
+  if (!isXlsxFile(file)) return readCsvFile(file);
+  const rows = await readXlsxFile(file);
+  return rows
+    .map(row => row.map(spreadsheetCellToText))
+    .filter(row => row.some(value => value.trim() !== ''));
+};
+
+// Build the CSV file that is uploaded in place of the original spreadsheet
+export const buildCsvFile = (fileName, rows) => new File(
+  [toCsv(rows)],
+  fileName.replace(/\.[^.]+$/, '') + '.csv',
+  { type: 'text/csv' }
+);
+
+// Saved mapping templates, keyed by name (usually the partner school or source)
+export const loadMappingTemplates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TEMPLATES_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const storeTemplates = (templates) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+export const saveMappingTemplate = (name, importType, mapping) => storeTemplates({
+  ...loadMappingTemplates(),
+  [name]: { importType, mapping, updatedAt: new Date().toISOString() }
+});
+
+export const deleteMappingTemplate = (name) => {
+  const { [name]: _removed, ...rest } = loadMappingTemplates();
+  return storeTemplates(rest);
+};
+
+// Find a saved template for this import type that covers every header in the file
+export const findMatchingTemplate = (templates, headers, importType) =>
+  Object.keys(templates).find(name => {
+    const template = templates[name];
+    return template.importType === importType
+      && headers.length > 0
+      && headers.every(header => header in template.mapping);
+  }) || '';
+
+// Apply a template to a file's headers, falling back to suggestions for unknown columns
+export const mappingFromTemplate = (template, headers, importType) => {
+  const suggested = suggestMapping(headers, importType);
+  return headers.reduce((acc, header) => ({
+    ...acc,
+    [header]: header in template.mapping ? template.mapping[header] : suggested[header]
+  }), {});
+};
@@ -0,0 +1,107 @@
+import {
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+  saveMappingTemplate,
+  loadMappingTemplates,
+  deleteMappingTemplate,
+  findMatchingTemplate,
+  mappingFromTemplate,
+  spreadsheetCellToText
+} from './importMapping';
+
+describe('suggestMapping', () => {
+  test('maps exact headers and known aliases, ignoring case and punctuation', () => {
+    expect(suggestMapping(['Student Name', 'DOB', 'school', 'Student ID', 'Favorite Color'], 'participants')).toEqual({
+      'Student Name': 'Name',
+      DOB: 'Date of Birth',
+      school: 'School',
+      'Student ID': 'ID Number',
+      'Favorite Color': ''
+    });
+  });
+
+  test('prefers an exact header match over an alias and uses each target once', () => {
+    expect(suggestMapping(['Participant', 'Name'], 'participants')).toEqual({
+      Participant: '',
+      Name: 'Name'
+    });
+  });
+
+  test('uses the fields of the given import type', () => {
+    expect(suggestMapping(['Program Name', 'Venue'], 'programs')).toEqual({
+      'Program Name': 'Name',
+      Venue: 'Location'
+    });
+  });
+});
+
+describe('validateMapping', () => {
+  test('reports unmapped required fields', () => {
+    expect(validateMapping({ 'Full Name': 'Name' }, 'participants')).toEqual([
+      '"ID Number" must be mapped to a column.'
+    ]);
+  });
+
+  test('reports a target mapped from more than one column once', () => {
+    expect(validateMapping({ A: 'Name', B: 'Name', C: 'Name', D: 'ID Number' }, 'participants')).toEqual([
+      'More than one column is mapped to "Name".'
+    ]);
+  });
+
+  test('accepts a complete mapping', () => {
+    expect(validateMapping({ A: 'Name', B: 'ID Number', C: '' }, 'participants')).toEqual([]);
+  });
+});
+
+test('applyMapping renames mapped columns and drops ignored ones', () => {
+  const rows = [['Student', 'Color', 'Student ID'], ['Ana', 'red', '7'], ['Ben']];
+  expect(applyMapping(rows, { Student: 'Name', Color: '', 'Student ID': 'ID Number' })).toEqual([
+    ['Name', 'ID Number'],
+    ['Ana', '7'],
+    ['Ben', '']
+  ]);
+});
+
+test('spreadsheetCellToText turns Excel cells into the text a CSV would hold', () => {
+  expect(spreadsheetCellToText(null)).toBe('');
+  expect(spreadsheetCellToText(42)).toBe('42');
+  expect(spreadsheetCellToText(true)).toBe('true');
+  expect(spreadsheetCellToText('Ana')).toBe('Ana');
+  expect(spreadsheetCellToText(new Date(Date.UTC(2010, 4, 3)))).toBe('2010-05-03');
+  expect(spreadsheetCellToText(new Date('invalid'))).toBe('');
+});
+
+describe('mapping templates', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('are saved, loaded and deleted from localStorage', () => {
+    saveMappingTemplate('Lincoln High', 'participants', { Student: 'Name' });
+    expect(loadMappingTemplates()['Lincoln High']).toMatchObject({ importType: 'participants', mapping: { Student: 'Name' } });
+    deleteMappingTemplate('Lincoln High');
+    expect(loadMappingTemplates()).toEqual({});
+  });
+
+  test('loading ignores corrupt storage', () => {
+    localStorage.setItem('hs_import_templates', '{not json');
+    expect(loadMappingTemplates()).toEqual({});
+  });
+
+  test('a template matches only files whose headers it covers', () => {
+    const templates = {
+      Lincoln: { importType: 'participants', mapping: { Student: 'Name', 'Student #': 'ID Number' } }
+    };
+    expect(findMatchingTemplate(templates, ['Student', 'Student #'], 'participants')).toBe('Lincoln');
+    expect(findMatchingTemplate(templates, ['Student', 'Grade'], 'participants')).toBe('');
+    expect(findMatchingTemplate(templates, ['Student'], 'programs')).toBe('');
+  });
+
+  test('mappingFromTemplate falls back to suggestions for new columns', () => {
+    const template = { importType: 'participants', mapping: { Student: 'Name', Notes: '' } };
+    expect(mappingFromTemplate(template, ['Student', 'Notes', 'DOB'], 'participants')).toEqual({
+      Student: 'Name',
+      Notes: '',
+      DOB: 'Date of Birth'
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { IMPORT_FIELDS } from './importMapping';
+import { toDate } from './participantFilters';
+import { toCsv } from './csv';
+import { findDuplicates, formatScoreBreakdown } from './duplicates';
+import { EMAIL_PATTERN } from './contacts';
+
+export const ERROR_COLUMN = 'error';
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+const BOOLEAN_VALUES = ['yes', 'no', 'y', 'n', 'true', 'false', '1', '0'];
+
+// Validate mapped rows (header row first, using the expected headers) before upload.
+// Returns one result per data row: { rowNumber, values, errors, warnings }, where rowNumber
+// is the line in the spreadsheet (the header is row 1). Program names are only checked
+// when `programNames` is given. Participant rows that look like an existing participant
+// (or an earlier row) get a warning rather than an error so staff can decide.
+export const validateImportRows = (rows, importType, { programNames, existingParticipants = [] } = {}) => {
+  const [headers = [], ...body] = rows;
+  const fields = IMPORT_FIELDS[importType] || [];
+  const knownPrograms = programNames ? new Set(programNames.map(normalizeKey)) : null;
+  const uniqueHeader = importType === 'programs' ? 'Name' : 'ID Number';
+  const seen = {};
+  const earlierRows = [];
+
+  return body.map((row, index) => {
+    const rowNumber = index + 2;
+    const values = headers.reduce((acc, header, column) => ({ ...acc, [header]: (row[column] ?? '').trim() }), {});
+    const errors = [];
+    const warnings = [];
+
+    fields.forEach(field => {
+      if (!(field.header in values)) return;
+      const value = values[field.header];
+      if (!value) {
+        if (field.required) errors.push(`${field.header} is required`);
+        return;
+      }
+      if (field.type === 'date' && !toDate(value)) {
+        errors.push(`${field.header} "${value}" is not a valid date`);
+      }
+      if (field.type === 'number' && (isNaN(Number(value)) || Number(value) < 0)) {
+        errors.push(`${field.header} "${value}" is not a valid number`);
+      }
+      if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        errors.push(`${field.header} "${value}" is not a valid email address`);
+      }
+      if (field.type === 'phone' && value.replace(/\D/g, '').length < 10) {
+        errors.push(`${field.header} "${value}" is not a valid phone number`);
+      }
+      if (field.type === 'boolean' && !BOOLEAN_VALUES.includes(normalizeKey(value))) {
+        errors.push(`${field.header} "${value}" should be Yes or No`);
+      }
+    });
+
+    const dateOfBirth = toDate(values['Date of Birth']);
+    if (dateOfBirth && dateOfBirth > new Date()) {
+      errors.push('Date of Birth is in the future');
+    }
+
+    ['Guardian', 'Emergency Contact'].forEach(prefix => {
+      const hasDetails = ['Relationship', 'Phone', 'Email', 'Language', 'Pickup Authorized']
+        .some(suffix => values[`${prefix} ${suffix}`]);
+      if (hasDetails && !values[`${prefix} Name`]) {
+        errors.push(`${prefix} Name is required when other ${prefix.toLowerCase()} columns are filled in`);
+      }
+    });
+
+    const startDate = toDate(values['Start Date']);
+    const endDate = toDate(values['End Date']);
+    if (startDate && endDate && endDate < startDate) {
+      errors.push('End Date is before Start Date');
+    }
+
+    if (knownPrograms && importType === 'participants' && values.Program &&
+        !knownPrograms.has(normalizeKey(values.Program))) {
+      errors.push(`Unknown program "${values.Program}"`);
+    }
+
+    const key = normalizeKey(values[uniqueHeader]);
+    if (key) {
+      if (seen[key]) {
+        errors.push(`Duplicate ${uniqueHeader} "${values[uniqueHeader]}" (also on row ${seen[key]})`);
+      } else {
+        seen[key] = rowNumber;
+      }
+    }
+
+    if (importType === 'participants' && values.Name) {
+      const candidate = {
+        name: values.Name,
+        dateOfBirth: values['Date of Birth'],
+        school: values.School,
+        identificationNumber: values['ID Number']
+      };
+      // A record with the same ID number is an update of that participant, not a duplicate
+      const sameId = (match) => key && normalizeKey(match.participant.identificationNumber) === key;
+      const [existing] = findDuplicates(candidate, existingParticipants).filter(match => !sameId(match));
+      if (existing) {
+        const { participant } = existing;
+        warnings.push(`Possible duplicate of existing participant ${participant.name}` +
+          `${participant.identificationNumber ? ` (ID ${participant.identificationNumber})` : ''}: ${existing.reasons.join(', ')}` +
+          ` (${formatScoreBreakdown(existing.breakdown)})`);
+      }
+      const [earlier] = findDuplicates(candidate, earlierRows).filter(match => !sameId(match));
+      if (earlier) {
+        warnings.push(`Possible duplicate of row ${earlier.participant.rowNumber}: ${earlier.reasons.join(', ')}` +
+          ` (${formatScoreBreakdown(earlier.breakdown)})`);
+      }
+      earlierRows.push({ ...candidate, rowNumber });
+    }
+
+    return { rowNumber, values, errors, warnings };
+  });
+};
+
+// Add errors reported by the server to the client-side results. Server errors are
+// { row, message | error, data? } where row is the line in the uploaded file, which
+// `uploadedRowNumbers` maps back to the original spreadsheet line when rows were skipped.
+export const mergeServerErrors = (results, serverErrors, uploadedRowNumbers) => {
+  if (!Array.isArray(serverErrors) || serverErrors.length === 0) return results;
+
+  const merged = results.map(result => ({ ...result, errors: [...result.errors] }));
+  serverErrors.forEach(serverError => {
+    const message = typeof serverError === 'string'
+      ? serverError
+      : serverError.message || serverError.error || 'Rejected by server';
+    const uploadedRow = Number(serverError?.row);
+    const rowNumber = uploadedRowNumbers?.[uploadedRow - 2] ?? (uploadedRow || null);
+    const existing = rowNumber && merged.find(result => result.rowNumber === rowNumber);
+
+    if (existing) {
+      if (!existing.errors.includes(message)) existing.errors.push(message);
+    } else {
+      merged.push({ rowNumber, values: serverError?.data || {}, errors: [message], warnings: [] });
+    }
+  });
+
+  return merged.sort((a, b) => (a.rowNumber || Infinity) - (b.rowNumber || Infinity));
+};
+
+// CSV of the failed rows with an added "error" column, ready to fix and re-import
+export const buildErrorCsv = (results) => {
+  const failed = results.filter(result => result.errors.length > 0);
+  const headers = [];
+  failed.forEach(result => Object.keys(result.values).forEach(header => {
+    if (!headers.includes(header)) headers.push(header);
+  }));
+
+  return toCsv([
+    [...headers, ERROR_COLUMN],
+    ...failed.map(result => [
+      ...headers.map(header => result.values[header] ?? ''),
+      result.errors.join('; ')
+    ])
+  ]);
+};
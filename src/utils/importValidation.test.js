@@ -0,0 +1,132 @@
+import { validateImportRows, mergeServerErrors, buildErrorCsv } from './importValidation';
+
+const PARTICIPANT_HEADERS = ['Name', 'ID Number', 'Date of Birth', 'Age', 'Program'];
+
+describe('validateImportRows', () => {
+  test('numbers rows from 2 and passes valid rows', () => {
+    const [result] = validateImportRows([PARTICIPANT_HEADERS, ['Ana Lopez', 'A1', '2010-04-02', '14', '']], 'participants');
+    expect(result).toMatchObject({ rowNumber: 2, errors: [], warnings: [] });
+    expect(result.values).toMatchObject({ Name: 'Ana Lopez', 'ID Number': 'A1' });
+  });
+
+  test('reports missing required fields and invalid dates and numbers', () => {
+    const [result] = validateImportRows([PARTICIPANT_HEADERS, ['', ' ', 'someday', '-3', '']], 'participants');
+    expect(result.errors).toEqual([
+      'Name is required',
+      'Age "-3" is not a valid number',
+      'Date of Birth "someday" is not a valid date',
+      'ID Number is required'
+    ]);
+  });
+
+  test('rejects a date of birth in the future', () => {
+    const [result] = validateImportRows([PARTICIPANT_HEADERS, ['Ana', 'A1', '2999-01-01', '', '']], 'participants');
+    expect(result.errors).toEqual(['Date of Birth is in the future']);
+  });
+
+  test('flags a repeated ID number, case-insensitively', () => {
+    const results = validateImportRows([
+      PARTICIPANT_HEADERS,
+      ['Ana', 'a1', '', '', ''],
+      ['Ben', 'A1 ', '', '', '']
+    ], 'participants');
+    expect(results[0].errors).toEqual([]);
+    expect(results[1].errors).toEqual(['Duplicate ID Number "A1" (also on row 2)']);
+  });
+
+  test('checks program names only when they are known', () => {
+    const rows = [PARTICIPANT_HEADERS, ['Ana', 'A1', '', '', 'Chess Club']];
+    expect(validateImportRows(rows, 'participants')[0].errors).toEqual([]);
+    expect(validateImportRows(rows, 'participants', { programNames: ['chess club'] })[0].errors).toEqual([]);
+    expect(validateImportRows(rows, 'participants', { programNames: ['Robotics'] })[0].errors).toEqual([
+      'Unknown program "Chess Club"'
+    ]);
+  });
+
+  test('validates contact columns', () => {
+    const headers = ['Name', 'ID Number', 'Guardian Phone', 'Guardian Email', 'Guardian Pickup Authorized'];
+    const [result] = validateImportRows([headers, ['Ana', 'A1', '555-1234', 'not-an-email', 'maybe']], 'participants');
+    expect(result.errors).toEqual([
+      'Guardian Phone "555-1234" is not a valid phone number',
+      'Guardian Email "not-an-email" is not a valid email address',
+      'Guardian Pickup Authorized "maybe" should be Yes or No',
+      'Guardian Name is required when other guardian columns are filled in'
+    ]);
+  });
+
+  test('checks program date order and unique program names', () => {
+    const results = validateImportRows([
+      ['Name', 'Start Date', 'End Date'],
+      ['Robotics', '2025-09-01', '2025-06-01'],
+      ['robotics', '', '']
+    ], 'programs');
+    expect(results[0].errors).toEqual(['End Date is before Start Date']);
+    expect(results[1].errors).toEqual(['Duplicate Name "robotics" (also on row 2)']);
+  });
+});
+
+describe('mergeServerErrors', () => {
+  const results = [
+    { rowNumber: 2, values: { Name: 'Ana' }, errors: [], warnings: [] },
+    { rowNumber: 3, values: { Name: '' }, errors: ['Name is required'], warnings: [] },
+    { rowNumber: 4, values: { Name: 'Ben' }, errors: [], warnings: [] }
+  ];
+
+  test('maps uploaded rows back to spreadsheet rows when failed rows were skipped', () => {
+    // Rows 2 and 4 were uploaded, so uploaded row 3 is spreadsheet row 4
+    const merged = mergeServerErrors(results, [{ row: 3, message: 'ID already exists' }], [2, 4]);
+    expect(merged.find(result => result.rowNumber === 4).errors).toEqual(['ID already exists']);
+    expect(results[2].errors).toEqual([]);
+  });
+
+  test('adds rows the client did not know about and sorts by row', () => {
+    const merged = mergeServerErrors(results, ['Server unavailable', { row: 9, error: 'Bad row', data: { Name: 'Cy' } }]);
+    expect(merged.map(result => result.rowNumber)).toEqual([2, 3, 4, 9, null]);
+    expect(merged[3]).toMatchObject({ values: { Name: 'Cy' }, errors: ['Bad row'] });
+    expect(merged[4].errors).toEqual(['Server unavailable']);
+  });
+
+  test('returns the results unchanged without server errors', () => {
+    expect(mergeServerErrors(results, [])).toBe(results);
+    expect(mergeServerErrors(results, undefined)).toBe(results);
+  });
+});
+
+test('buildErrorCsv lists only failed rows with their errors', () => {
+  const csv = buildErrorCsv([
+    { rowNumber: 2, values: { Name: 'Ana', 'ID Number': 'A1' }, errors: [] },
+    { rowNumber: 3, values: { Name: 'Ben, Jr.', 'ID Number': '' }, errors: ['ID Number is required', 'Unknown program "X"'] }
+  ]);
+  expect(csv).toBe('Name,ID Number,error\r\n"Ben, Jr.",,"ID Number is required; Unknown program ""X"""');
+});
+
+describe('duplicate warnings', () => {
+  const headers = ['Name', 'ID Number', 'Date of Birth'];
+
+  test('warn about a likely existing participant with the score breakdown', () => {
+    const [result] = validateImportRows([headers, ['John Smith', 'B2', '']], 'participants', {
+      existingParticipants: [{ id: 'p1', name: 'Smith, John', identificationNumber: 'A1' }]
+    });
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([
+      'Possible duplicate of existing participant Smith, John (ID A1): Same name (Name 60/60 · DOB 0/30 · School 0/10)'
+    ]);
+  });
+
+  test('do not warn when the ID number matches, since that updates the participant', () => {
+    const [result] = validateImportRows([headers, ['John Smith', 'a1', '']], 'participants', {
+      existingParticipants: [{ id: 'p1', name: 'John Smith', identificationNumber: 'A1' }]
+    });
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('warn about an earlier row in the same file', () => {
+    const results = validateImportRows([
+      headers,
+      ['John Smith', 'A1', '2010-04-02'],
+      ['Jon Smith', 'A2', '2010-04-02']
+    ], 'participants');
+    expect(results[1].warnings).toHaveLength(1);
+    expect(results[1].warnings[0]).toMatch(/^Possible duplicate of row 2: Similar name, Same date of birth/);
+  });
+});
@@ -0,0 +1,103 @@
+// Helpers for participant notes: types, visibility, dates, revision history and search
+import { toDate } from './participantFilters';
+import { PERMISSIONS, hasPermission } from './permissions';
+
+export const NOTE_TYPES = [
+  { value: 'general', label: 'General' },
+  { value: 'session', label: 'Session' },
+  { value: 'milestone', label: 'Milestone' },
+  { value: 'concern', label: 'Concern' }
+];
+
+export const NOTE_TYPE_COLORS = {
+  general: '#667eea',
+  session: '#17a2b8',
+  milestone: '#28a745',
+  concern: '#dc3545'
+};
+
+// Who may read a note. Notes without a visibility predate this setting and are open to everyone.
+export const NOTE_VISIBILITY = [
+  { value: 'everyone', label: 'Everyone', description: 'All signed-in staff, including UMD research staff' },
+  { value: 'heartSmiles', label: 'HeartSmiles only', description: 'HeartSmiles staff only' },
+  { value: 'restricted', label: 'Author + admins', description: 'Only the author and admins' }
+];
+
+const VISIBILITY_PERMISSION = {
+  heartSmiles: PERMISSIONS.NOTES_VIEW_SENSITIVE,
+  restricted: PERMISSIONS.NOTES_VIEW_RESTRICTED
+};
+
+export const getNoteVisibility = (note) => note?.visibility || 'everyone';
+
+export const canViewNote = (note, user) => {
+  const permission = VISIBILITY_PERMISSION[getNoteVisibility(note)];
+  if (!permission) return true;
+  if (user?.id && note.authorId === user.id) return true;
+  return hasPermission(user, permission);
+};
+
+// Visibility levels the user may read on anyone's notes; sent with exports so restricted
+// notes are left out of the file (the server also checks)
+export const getReadableVisibilities = (user) =>
+  NOTE_VISIBILITY.map(level => level.value).filter(value => {
+    const permission = VISIBILITY_PERMISSION[value];
+    return !permission || hasPermission(user, permission);
+  });
+
+// Hide the content and history of notes the user may not read, keeping who/when/type
+export const redactNotes = (notes, user) =>
+  (notes || []).map(note => (canViewNote(note, user)
+    ? note
+    : { ...note, content: '', revisions: [], redacted: true }));
+
+export const formatNoteDate = (value, withTime = false) => {
+  const date = toDate(value);
+  if (!date) return '';
+  return withTime ? date.toLocaleString() : date.toLocaleDateString();
+};
+
+// Earlier versions of a note, newest first. The server appends the previous content to
+// `revisions` on every edit: [{ content, type, createdAt, author, editedAt }]
+export const getNoteRevisions = (note) =>
+  (note?.revisions || [])
+    .slice()
+    .sort((a, b) => (toDate(b.editedAt)?.getTime() || 0) - (toDate(a.editedAt)?.getTime() || 0));
+
+// Newest note date first; notes without a date go last
+export const sortNotesNewestFirst = (notes) =>
+  (notes || []).slice().sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0));
+
+// Full-text search: every word in the query must appear in the note's content, type or
+// author (case-insensitive), so "bus late" finds "Late again — missed the bus".
+export const searchNotes = (notes, query) => {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return notes;
+  return notes.filter(note => {
+    const haystack = [note.content, note.type, note.author, note.lastEditedBy].filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+};
+
+// Sunday 00:00 of the current week, as a YYYY-MM-DD string for date filters
+export const startOfWeek = (now = new Date()) => {
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Re-apply feed filters on the client: type, an inclusive YYYY-MM-DD date range and search
+export const filterNotes = (notes, { type, from, to, q } = {}) => {
+  const fromDate = from ? toDate(from) : null;
+  const toDateEnd = to ? toDate(to) : null;
+  if (toDateEnd) toDateEnd.setHours(23, 59, 59, 999);
+  const filtered = notes.filter(note => {
+    if (type && (note.type || 'general') !== type) return false;
+    const date = toDate(note.createdAt);
+    if (fromDate && (!date || date < fromDate)) return false;
+    if (toDateEnd && (!date || date > toDateEnd)) return false;
+    return true;
+  });
+  return searchNotes(filtered, q);
+};
@@ -0,0 +1,98 @@
+import {
+  getNoteVisibility,
+  canViewNote,
+  getReadableVisibilities,
+  redactNotes,
+  getNoteRevisions,
+  sortNotesNewestFirst,
+  searchNotes,
+  startOfWeek,
+  filterNotes
+} from './notes';
+
+const heartSmiles = { id: 'hs1', role: 'heartSmiles' };
+const umd = { id: 'umd1', role: 'umd' };
+const admin = { id: 'admin1', role: 'heartSmiles', isAdmin: true };
+
+const openNote = { id: 'n1', content: 'Open', visibility: 'everyone' };
+const legacyNote = { id: 'n2', content: 'Written before visibility existed' };
+const staffNote = { id: 'n3', content: 'Staff only', visibility: 'heartSmiles', authorId: 'hs2' };
+const restrictedNote = { id: 'n4', content: 'Private', visibility: 'restricted', authorId: 'hs1', revisions: [{ content: 'Old' }] };
+
+describe('note visibility', () => {
+  test('notes without a visibility are open to everyone', () => {
+    expect(getNoteVisibility(legacyNote)).toBe('everyone');
+    expect(canViewNote(legacyNote, umd)).toBe(true);
+  });
+
+  test('HeartSmiles-only notes are hidden from UMD staff', () => {
+    expect(canViewNote(staffNote, heartSmiles)).toBe(true);
+    expect(canViewNote(staffNote, umd)).toBe(false);
+  });
+
+  test('restricted notes are readable by their author and admins only', () => {
+    expect(canViewNote(restrictedNote, heartSmiles)).toBe(true);
+    expect(canViewNote(restrictedNote, { id: 'hs2', role: 'heartSmiles' })).toBe(false);
+    expect(canViewNote(restrictedNote, admin)).toBe(true);
+  });
+
+  test('getReadableVisibilities lists the levels a user may read on anyone\'s notes', () => {
+    expect(getReadableVisibilities(umd)).toEqual(['everyone']);
+    expect(getReadableVisibilities(heartSmiles)).toEqual(['everyone', 'heartSmiles']);
+    expect(getReadableVisibilities(admin)).toEqual(['everyone', 'heartSmiles', 'restricted']);
+  });
+});
+
+test('redactNotes hides the content and history of unreadable notes but keeps the rest', () => {
+  const redacted = redactNotes([openNote, staffNote, restrictedNote], umd);
+  expect(redacted[0]).toBe(openNote);
+  expect(redacted[1]).toEqual({ ...staffNote, content: '', revisions: [], redacted: true });
+  expect(redacted[2]).toMatchObject({ id: 'n4', content: '', revisions: [], redacted: true });
+  expect(redactNotes(undefined, umd)).toEqual([]);
+});
+
+test('getNoteRevisions returns earlier versions newest first', () => {
+  const note = {
+    revisions: [
+      { content: 'First', editedAt: '2025-01-01T10:00:00Z' },
+      { content: 'Second', editedAt: '2025-02-01T10:00:00Z' }
+    ]
+  };
+  expect(getNoteRevisions(note).map(revision => revision.content)).toEqual(['Second', 'First']);
+  expect(getNoteRevisions(null)).toEqual([]);
+});
+
+test('sortNotesNewestFirst puts undated notes last', () => {
+  const notes = [
+    { id: 'a', createdAt: '2025-01-01T10:00:00Z' },
+    { id: 'b' },
+    { id: 'c', createdAt: { seconds: 1767225600 } }
+  ];
+  expect(sortNotesNewestFirst(notes).map(note => note.id)).toEqual(['c', 'a', 'b']);
+});
+
+test('searchNotes requires every word to appear in the content, type or author', () => {
+  const notes = [
+    { id: 'a', content: 'Late again — missed the bus', type: 'concern', author: 'Dana' },
+    { id: 'b', content: 'Bus trip to the museum', type: 'session', author: 'Lee' }
+  ];
+  expect(searchNotes(notes, 'bus late').map(note => note.id)).toEqual(['a']);
+  expect(searchNotes(notes, 'LEE session').map(note => note.id)).toEqual(['b']);
+  expect(searchNotes(notes, '  ')).toBe(notes);
+});
+
+test('startOfWeek returns the Sunday of the given week', () => {
+  expect(startOfWeek(new Date(2025, 9, 15))).toBe('2025-10-12');
+  expect(startOfWeek(new Date(2025, 9, 12))).toBe('2025-10-12');
+});
+
+test('filterNotes applies type, an inclusive date range and search', () => {
+  const notes = [
+    { id: 'a', content: 'Math test', type: 'session', createdAt: new Date(2025, 2, 1, 9) },
+    { id: 'b', content: 'Math help', createdAt: new Date(2025, 2, 10, 20) },
+    { id: 'c', content: 'Math award', type: 'milestone' }
+  ];
+  expect(filterNotes(notes, { type: 'general' }).map(note => note.id)).toEqual(['b']);
+  expect(filterNotes(notes, { from: '2025-03-01', to: '2025-03-10' }).map(note => note.id)).toEqual(['a', 'b']);
+  expect(filterNotes(notes, { from: '2025-03-02', q: 'math' }).map(note => note.id)).toEqual(['b']);
+});
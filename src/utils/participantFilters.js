@@ -0,0 +1,60 @@
+// Helpers for participant lists: dates, ages and the filter/sort state kept in the URL
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Convert a Firestore Timestamp, Date or ISO string to a Date (or null)
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') {
+    if (value.seconds !== undefined) return new Date(value.seconds * 1000);
+    if (value._seconds !== undefined) return new Date(value._seconds * 1000);
+    if (typeof value.toDate === 'function') return value.toDate();
+  }
+  // Date-only strings (from <input type="date">) are local dates, not UTC midnight
+  const date = DATE_ONLY.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Convert a Firestore Timestamp, Date or ISO string to a YYYY-MM-DD string
+export const toDateString = (value) => {
+  if (DATE_ONLY.test(value)) return value;
+  const date = toDate(value);
+  return date ? date.toISOString().split('T')[0] : '';
+};
+
+// YYYY-MM-DD of a moment in the user's time zone, for date inputs showing when
+// something happened (e.g. a note written at 9pm stays on that day)
+export const toLocalDateString = (value) => {
+  if (DATE_ONLY.test(value)) return value;
+  const date = toDate(value);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const getAge = (dateOfBirth) => {
+  const dob = toDate(dateOfBirth);
+  if (!dob) return null;
+  const today = new Date();
+  let age = today.getFullYear() - dob.getFullYear();
+  const monthDiff = today.getMonth() - dob.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) age -= 1;
+  return age;
+};
+
+// Filter keys persisted in the URL query string
+export const PARTICIPANT_FILTER_KEYS = ['q', 'program', 'school', 'minAge', 'maxAge', 'referredFrom', 'referredTo'];
+export const PARTICIPANT_SORT_FIELDS = {
+  name: 'Name',
+  age: 'Age',
+  school: 'School',
+  referralDate: 'Referral Date'
+};
+
+export const readParticipantFilters = (searchParams) => ({
+  ...PARTICIPANT_FILTER_KEYS.reduce((filters, key) => ({ ...filters, [key]: searchParams.get(key) || '' }), {}),
+  sort: PARTICIPANT_SORT_FIELDS[searchParams.get('sort')] ? searchParams.get('sort') : 'name',
+  dir: searchParams.get('dir') === 'desc' ? 'desc' : 'asc'
+});
+
+export const hasActiveFilters = (filters) => PARTICIPANT_FILTER_KEYS.some(key => filters[key]);
@@ -0,0 +1,35 @@
+// Password rules shared by registration, password reset and the account page.
+// These mirror the backend's rule: at least 8 characters with an uppercase letter,
+// a lowercase letter and a number.
+
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', test: (pw) => pw.length >= 8 },
+  { id: 'uppercase', label: 'One uppercase letter', test: (pw) => /[A-Z]/.test(pw) },
+  { id: 'lowercase', label: 'One lowercase letter', test: (pw) => /[a-z]/.test(pw) },
+  { id: 'number', label: 'One number', test: (pw) => /\d/.test(pw) }
+];
+
+const STRENGTH_LEVELS = [
+  { label: 'Too weak', color: '#dc3545' },
+  { label: 'Weak', color: '#fd7e14' },
+  { label: 'Fair', color: '#ffc107' },
+  { label: 'Good', color: '#28a745' },
+  { label: 'Strong', color: '#1e7e34' }
+];
+
+// { rules: [{ id, label, met }], valid, score (0-4), label, color }
+// A password is valid once every rule is met; length and symbols only raise the score.
+export const checkPassword = (password = '') => {
+  const rules = PASSWORD_RULES.map(rule => ({ id: rule.id, label: rule.label, met: rule.test(password) }));
+  const valid = rules.every(rule => rule.met);
+  const metCount = rules.filter(rule => rule.met).length;
+
+  // Until valid: no rules met is too weak, one or two weak, three of four fair
+  let score = metCount === 3 ? 2 : metCount >= 1 ? 1 : 0;
+  if (valid) {
+    score = 3;
+    if (password.length >= 12 && /[^A-Za-z0-9]/.test(password)) score = 4;
+  }
+
+  return { rules, valid, score, ...STRENGTH_LEVELS[score] };
+};
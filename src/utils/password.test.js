@@ -0,0 +1,34 @@
+import { PASSWORD_RULES, checkPassword } from './password';
+
+const metRules = (password) => checkPassword(password).rules.filter(rule => rule.met).map(rule => rule.id);
+
+test('checks length, uppercase, lowercase and a number', () => {
+  expect(PASSWORD_RULES.map(rule => rule.id)).toEqual(['length', 'uppercase', 'lowercase', 'number']);
+  expect(metRules('abcdefgh')).toEqual(['length', 'lowercase']);
+  expect(metRules('ABC1')).toEqual(['uppercase', 'number']);
+  expect(metRules('')).toEqual([]);
+});
+
+test('is valid only once every rule is met', () => {
+  expect(checkPassword('Abcdefg1').valid).toBe(true);
+  expect(checkPassword('abcdefg1').valid).toBe(false);
+  expect(checkPassword('Abc1').valid).toBe(false);
+});
+
+describe('strength score', () => {
+  test.each([
+    ['', 0, 'Too weak'],
+    ['abc', 1, 'Weak'],
+    ['abcdefgh', 1, 'Weak'],
+    ['abcdefg1', 2, 'Fair'],
+    ['Abcdefg1', 3, 'Good'],
+    ['Abcdefghijk1', 3, 'Good'],
+    ['Abcdefghij1!', 4, 'Strong']
+  ])('%p scores %i (%s)', (password, score, label) => {
+    expect(checkPassword(password)).toMatchObject({ score, label });
+  });
+
+  test('defaults to an empty password', () => {
+    expect(checkPassword()).toMatchObject({ valid: false, score: 0 });
+  });
+});
@@ -0,0 +1,92 @@
+// Central permission model. Pages ask "can this user do X?" (see usePermission and
+// <Can>) instead of checking roles inline, so what each role may do lives here.
+
+export const PERMISSIONS = {
+  PARTICIPANTS_VIEW: 'participants:view',
+  PARTICIPANTS_CREATE: 'participants:create',
+  PARTICIPANTS_EDIT: 'participants:edit',
+  PARTICIPANTS_ARCHIVE: 'participants:archive',
+  PARTICIPANTS_MERGE: 'participants:merge',
+  PARTICIPANTS_DELETE: 'participants:delete',
+  NOTES_VIEW: 'notes:view',
+  NOTES_CREATE: 'notes:create',
+  NOTES_EDIT: 'notes:edit',
+  NOTES_DELETE: 'notes:delete',
+  NOTES_VIEW_SENSITIVE: 'notes:view-sensitive',
+  NOTES_VIEW_RESTRICTED: 'notes:view-restricted',
+  GOALS_MANAGE: 'goals:manage',
+  DOCUMENTS_VIEW: 'documents:view',
+  DOCUMENTS_MANAGE: 'documents:manage',
+  PROGRAMS_VIEW: 'programs:view',
+  PROGRAMS_EDIT: 'programs:edit',
+  ATTENDANCE_MARK: 'attendance:mark',
+  PHOTOS_MANAGE: 'photos:manage',
+  IMPORT_RUN: 'import:run',
+  EXPORT_RUN: 'export:run',
+  // Export participants without the UMD data-sharing consent filter
+  EXPORT_UNFILTERED: 'export:unfiltered',
+  STAFF_VIEW: 'staff:view',
+  STAFF_MANAGE: 'staff:manage'
+};
+
+const P = PERMISSIONS;
+
+const READ_ONLY = [
+  P.PARTICIPANTS_VIEW,
+  P.NOTES_VIEW,
+  P.DOCUMENTS_VIEW,
+  P.PROGRAMS_VIEW,
+  P.EXPORT_RUN,
+  P.STAFF_VIEW
+];
+
+const ROLE_PERMISSIONS = {
+  heartSmiles: [
+    ...READ_ONLY,
+    P.PARTICIPANTS_CREATE,
+    P.PARTICIPANTS_EDIT,
+    P.PARTICIPANTS_ARCHIVE,
+    P.PARTICIPANTS_MERGE,
+    P.NOTES_CREATE,
+    P.NOTES_EDIT,
+    P.NOTES_DELETE,
+    P.NOTES_VIEW_SENSITIVE,
+    P.GOALS_MANAGE,
+    P.DOCUMENTS_MANAGE,
+    P.PROGRAMS_EDIT,
+    P.ATTENDANCE_MARK,
+    P.PHOTOS_MANAGE,
+    P.IMPORT_RUN,
+    P.EXPORT_UNFILTERED
+  ],
+  umd: READ_ONLY
+};
+
+// Granted on top of the role's permissions to admins (user.isAdmin). The app never sets
+// isAdmin itself: it must arrive on the `staff` object returned by POST /auth/login
+// (stored by AuthContext.login), e.g. { id, name, email, role: 'heartSmiles', isAdmin: true }.
+// If the backend leaves it out nobody is an admin, so no one can invite staff, change
+// roles or permanently delete participants.
+const ADMIN_PERMISSIONS = [
+  P.PARTICIPANTS_DELETE,
+  P.NOTES_VIEW_RESTRICTED,
+  P.STAFF_MANAGE
+];
+
+export const ROLE_LABELS = {
+  heartSmiles: 'HeartSmiles Staff',
+  umd: 'University of Maryland Staff'
+};
+
+export const getPermissions = (user) => {
+  if (!user) return [];
+  const permissions = ROLE_PERMISSIONS[user.role] || [];
+  return user.isAdmin ? [...permissions, ...ADMIN_PERMISSIONS] : permissions;
+};
+
+// `permission` may be a single permission or a list, in which case any one of them is enough
+export const hasPermission = (user, permission) => {
+  const granted = getPermissions(user);
+  const required = Array.isArray(permission) ? permission : [permission];
+  return required.some(p => granted.includes(p));
+};
@@ -0,0 +1,67 @@
+import { PERMISSIONS, getPermissions, hasPermission } from './permissions';
+
+const heartSmiles = { role: 'heartSmiles' };
+const umd = { role: 'umd' };
+const admin = { role: 'heartSmiles', isAdmin: true };
+
+describe('getPermissions', () => {
+  test('gives nothing to signed-out or unknown users', () => {
+    expect(getPermissions(null)).toEqual([]);
+    expect(getPermissions({ role: 'guest' })).toEqual([]);
+  });
+
+  test('gives UMD staff read-only access', () => {
+    expect(getPermissions(umd)).toEqual(expect.arrayContaining([
+      PERMISSIONS.PARTICIPANTS_VIEW,
+      PERMISSIONS.NOTES_VIEW,
+      PERMISSIONS.PROGRAMS_VIEW,
+      PERMISSIONS.EXPORT_RUN
+    ]));
+    [
+      PERMISSIONS.PARTICIPANTS_CREATE,
+      PERMISSIONS.PARTICIPANTS_EDIT,
+      PERMISSIONS.NOTES_CREATE,
+      PERMISSIONS.NOTES_VIEW_SENSITIVE,
+      PERMISSIONS.IMPORT_RUN,
+      PERMISSIONS.EXPORT_UNFILTERED,
+      PERMISSIONS.STAFF_MANAGE
+    ].forEach(permission => expect(getPermissions(umd)).not.toContain(permission));
+  });
+
+  test('gives HeartSmiles staff everything but the admin permissions', () => {
+    const granted = getPermissions(heartSmiles);
+    expect(granted).toEqual(expect.arrayContaining([
+      PERMISSIONS.PARTICIPANTS_EDIT,
+      PERMISSIONS.NOTES_VIEW_SENSITIVE,
+      PERMISSIONS.IMPORT_RUN,
+      PERMISSIONS.EXPORT_UNFILTERED
+    ]));
+    expect(granted).not.toContain(PERMISSIONS.PARTICIPANTS_DELETE);
+    expect(granted).not.toContain(PERMISSIONS.NOTES_VIEW_RESTRICTED);
+    expect(granted).not.toContain(PERMISSIONS.STAFF_MANAGE);
+  });
+
+  test('adds the admin permissions on top of the role for isAdmin users', () => {
+    expect(getPermissions(admin)).toEqual(expect.arrayContaining([
+      ...getPermissions(heartSmiles),
+      PERMISSIONS.PARTICIPANTS_DELETE,
+      PERMISSIONS.NOTES_VIEW_RESTRICTED,
+      PERMISSIONS.STAFF_MANAGE
+    ]));
+    expect(getPermissions({ role: 'umd', isAdmin: true })).toContain(PERMISSIONS.STAFF_MANAGE);
+    expect(getPermissions({ role: 'umd', isAdmin: true })).not.toContain(PERMISSIONS.PARTICIPANTS_EDIT);
+  });
+});
+
+describe('hasPermission', () => {
+  test('checks a single permission', () => {
+    expect(hasPermission(heartSmiles, PERMISSIONS.PARTICIPANTS_EDIT)).toBe(true);
+    expect(hasPermission(umd, PERMISSIONS.PARTICIPANTS_EDIT)).toBe(false);
+    expect(hasPermission(null, PERMISSIONS.PARTICIPANTS_VIEW)).toBe(false);
+  });
+
+  test('accepts any one of a list', () => {
+    expect(hasPermission(umd, [PERMISSIONS.PARTICIPANTS_EDIT, PERMISSIONS.PARTICIPANTS_VIEW])).toBe(true);
+    expect(hasPermission(heartSmiles, [PERMISSIONS.STAFF_MANAGE, PERMISSIONS.PARTICIPANTS_DELETE])).toBe(false);
+  });
+});
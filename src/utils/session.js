@@ -0,0 +1,26 @@
+// Auth storage keys and helpers shared by the API client, AuthContext and routes
+
+export const TOKEN_KEY = 'hs_token';
+export const USER_KEY = 'hs_user';
+export const REFRESH_TOKEN_KEY = 'hs_refresh_token';
+// { tabId, at } while one tab refreshes the shared tokens; other tabs wait for its result
+export const REFRESH_LOCK_KEY = 'hs_refresh_lock';
+// Longer than the API timeout, so a lock left by a closed tab frees itself
+export const REFRESH_LOCK_MS = 15000;
+// Why the last session ended ('expired' | 'invalid'); lets other tabs tell an expiry from a logout
+export const SESSION_ENDED_KEY = 'hs_session_ended';
+
+// Expiry time (ms since epoch) from a JWT's `exp` claim, or null if it can't be read
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Only follow in-app redirects (e.g. "/participants/123/edit"), never other sites
+export const getSafeRedirect = (redirect, fallback = '/dashboard') =>
+  redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : fallback;
@@ -0,0 +1,117 @@
+// Merge a participant's notes, photos, attendance and record history into one
+// chronological activity timeline
+import { toDate } from './participantFilters';
+import { ATTENDANCE_STATUSES } from './attendance';
+import { redactNotes } from './notes';
+
+export const TIMELINE_EVENT_TYPES = {
+  program: { label: 'Programs', icon: '🎓', color: '#6f42c1' },
+  note: { label: 'Notes', icon: '📝', color: '#667eea' },
+  photo: { label: 'Photos', icon: '📷', color: '#fd7e14' },
+  attendance: { label: 'Attendance', icon: '📅', color: '#17a2b8' },
+  profile: { label: 'Profile Edits', icon: '✏️', color: '#6c757d' }
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  dateOfBirth: 'Date of Birth',
+  identificationNumber: 'ID Number',
+  school: 'School',
+  address: 'Address',
+  referralDate: 'Referral Date',
+  contacts: 'Contacts'
+};
+
+const describeHistoryEvent = (event) => {
+  const details = event.details || {};
+  switch (event.action) {
+    case 'created':
+      return { type: 'profile', title: 'Participant record created' };
+    case 'updated': {
+      const fields = (details.fields || []).map(change => FIELD_LABELS[change.field] || change.field);
+      return {
+        type: 'profile',
+        title: 'Profile updated',
+        detail: fields.length > 0 ? `Changed ${fields.join(', ')}` : ''
+      };
+    }
+    case 'program-added':
+      return { type: 'program', title: `Enrolled in ${details.programName || 'a program'}` };
+    case 'program-removed':
+      return { type: 'program', title: `Removed from ${details.programName || 'a program'}` };
+    case 'archived':
+      return { type: 'profile', title: 'Archived', detail: details.reason || '' };
+    case 'restored':
+      return { type: 'profile', title: 'Restored from archive' };
+    case 'merged':
+      return { type: 'profile', title: `Merged in ${details.sourceName || 'a duplicate record'}` };
+    default:
+      return { type: 'profile', title: event.action };
+  }
+};
+
+// Events, newest first: [{ id, type, date, title, detail, actor }]. Notes the user may
+// not read keep their date and author but not their content.
+export const buildTimeline = ({ participant, attendance = [], history = [], user }) => {
+  const events = [];
+
+  redactNotes(participant?.notes, user).forEach((note, index) => {
+    events.push({
+      id: `note-${note.id || index}`,
+      type: 'note',
+      date: toDate(note.createdAt),
+      title: `${note.type ? note.type.charAt(0).toUpperCase() + note.type.slice(1) : 'General'} note`,
+      detail: note.redacted ? 'Restricted note' : note.content,
+      actor: note.author
+    });
+  });
+
+  (participant?.uploadedPhotos || []).forEach((photo, index) => {
+    events.push({
+      id: `photo-${photo.id || index}`,
+      type: 'photo',
+      date: toDate(photo.uploadedAt),
+      title: photo.activity ? `Photo uploaded: ${photo.activity}` : 'Photo uploaded',
+      detail: photo.caption || '',
+      actor: photo.uploadedBy
+    });
+  });
+
+  attendance.forEach((record, index) => {
+    const status = ATTENDANCE_STATUSES[record.status];
+    events.push({
+      id: `attendance-${record.sessionId || index}`,
+      type: 'attendance',
+      date: toDate(record.date),
+      title: `${status?.label || record.status} — ${record.programName || 'Program session'}`,
+      detail: record.title || ''
+    });
+  });
+
+  history.forEach((event, index) => {
+    events.push({
+      id: `history-${event.id || index}`,
+      date: toDate(event.createdAt),
+      actor: event.actorName,
+      detail: '',
+      ...describeHistoryEvent(event)
+    });
+  });
+
+  return events
+    .filter(event => event.date)
+    .sort((a, b) => b.date.getTime() - a.date.getTime());
+};
+
+// Keep events of the given types within an inclusive YYYY-MM-DD date range
+export const filterTimeline = (events, { types, from, to } = {}) => {
+  const fromDate = from ? toDate(from) : null;
+  const toDateEnd = to ? toDate(to) : null;
+  if (toDateEnd) toDateEnd.setHours(23, 59, 59, 999);
+  return events.filter(event => {
+    if (types && !types.includes(event.type)) return false;
+    if (fromDate && event.date < fromDate) return false;
+    if (toDateEnd && event.date > toDateEnd) return false;
+    return true;
+  });
+};